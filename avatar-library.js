@@ -0,0 +1,90 @@
+// ============================================================
+// Avatar Library (IndexedDB)
+// 불러온 VRM 파일을 썸네일 / 이름 / 아바타별 설정과 함께 브라우저에 보관
+// record: { id, name, file (Blob), thumbnail (Blob | null), settings, addedAt, lastUsedAt }
+// ============================================================
+const DB_NAME = 'prismic-eagle';
+const DB_VERSION = 1;
+const STORE = 'avatars';
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // 실패하면 다음 호출에서 다시 시도
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withStore(mode, callback) {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE, mode);
+    const complete = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await callback(transaction.objectStore(STORE));
+    await complete;
+    return result;
+}
+
+export const AVATAR_LIBRARY_SUPPORTED = typeof indexedDB !== 'undefined';
+
+// 최근 사용 순
+export async function listAvatars() {
+    const records = await withStore('readonly', store => promisify(store.getAll()));
+    return records.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+}
+
+export function getAvatar(id) {
+    return withStore('readonly', store => promisify(store.get(id)));
+}
+
+// 새 id 반환
+export function addAvatar({ name, file, thumbnail = null, settings = {} }) {
+    const now = Date.now();
+    return withStore('readwrite', store => promisify(store.add({
+        name,
+        file,
+        thumbnail,
+        settings,
+        addedAt: now,
+        lastUsedAt: now
+    })));
+}
+
+// 일부 필드만 갱신 (settings는 키 단위로 병합)
+export function updateAvatar(id, changes) {
+    return withStore('readwrite', async (store) => {
+        const record = await promisify(store.get(id));
+        if (!record) return null;
+        const updated = {
+            ...record,
+            ...changes,
+            settings: { ...record.settings, ...changes.settings }
+        };
+        await promisify(store.put(updated));
+        return updated;
+    });
+}
+
+export function deleteAvatar(id) {
+    return withStore('readwrite', store => promisify(store.delete(id)));
+}
@@ -0,0 +1,274 @@
+import * as THREE from 'three';
+import {
+    VRM, VRMHumanoid, VRMExpressionManager, VRMExpression, VRMExpressionMorphTargetBind,
+    VRMLookAt, VRMLookAtBoneApplier, VRMLookAtRangeMap
+} from '@pixiv/three-vrm';
+
+// ============================================================
+// glTF / GLB Humanoid → VRM
+// VRM 확장이 없는 아바타 (Ready Player Me, Mixamo 등)를 본 이름과 ARKit 모프 타겟으로 VRM 객체로 구성
+// 정규화 본 / 표정 / LookAt이 VRM과 같으므로 트래킹 파이프라인은 그대로 동작
+// ============================================================
+
+// ARKit 블렌드쉐이프 52개 (Perfect Sync 판별 / 모프 타겟 매핑 공용)
+export const ARKIT_BLENDSHAPE_NAMES = [
+    'browDownLeft', 'browDownRight', 'browInnerUp', 'browOuterUpLeft', 'browOuterUpRight',
+    'cheekPuff', 'cheekSquintLeft', 'cheekSquintRight',
+    'eyeBlinkLeft', 'eyeBlinkRight', 'eyeLookDownLeft', 'eyeLookDownRight',
+    'eyeLookInLeft', 'eyeLookInRight', 'eyeLookOutLeft', 'eyeLookOutRight',
+    'eyeLookUpLeft', 'eyeLookUpRight', 'eyeSquintLeft', 'eyeSquintRight',
+    'eyeWideLeft', 'eyeWideRight',
+    'jawForward', 'jawLeft', 'jawOpen', 'jawRight',
+    'mouthClose', 'mouthDimpleLeft', 'mouthDimpleRight', 'mouthFrownLeft', 'mouthFrownRight',
+    'mouthFunnel', 'mouthLeft', 'mouthLowerDownLeft', 'mouthLowerDownRight',
+    'mouthPressLeft', 'mouthPressRight', 'mouthPucker', 'mouthRight',
+    'mouthRollLower', 'mouthRollUpper', 'mouthShrugLower', 'mouthShrugUpper',
+    'mouthSmileLeft', 'mouthSmileRight', 'mouthStretchLeft', 'mouthStretchRight',
+    'mouthUpperUpLeft', 'mouthUpperUpRight',
+    'noseSneerLeft', 'noseSneerRight',
+    'tongueOut'
+];
+
+// 이름 정규화: 대소문자/구분자/접두사/L·R 접미사 차이 흡수
+// 'EyeBlinkLeft', 'eyeBlink_L', 'BlendShape.eyeBlinkLeft' → 'eyeblinkleft'
+export function normalizeBlendshapeName(name) {
+    return name
+        .replace(/^(blendshape\d*|arkit)[._]?/i, '')
+        .replace(/[_.\s-]L$/i, 'Left')
+        .replace(/[_.\s-]R$/i, 'Right')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '');
+}
+
+// Mixamo / Ready Player Me 본 이름 → VRM humanoid 본
+// (GLTFLoader가 ':'를 제거하므로 'mixamorig:Hips'는 'mixamorigHips'로 들어옴)
+const BONE_NAME_MAP = {
+    hips: 'hips',
+    spine: 'spine',
+    spine1: 'chest',
+    spine2: 'upperChest',
+    neck: 'neck',
+    head: 'head'
+};
+const LIMB_BONE_MAP = {
+    shoulder: 'Shoulder',
+    arm: 'UpperArm',
+    forearm: 'LowerArm',
+    hand: 'Hand',
+    upleg: 'UpperLeg',
+    leg: 'LowerLeg',
+    foot: 'Foot',
+    toebase: 'Toes',
+    eye: 'Eye'
+};
+const FINGER_NAMES = { thumb: 'Thumb', index: 'Index', middle: 'Middle', ring: 'Ring', pinky: 'Little' };
+const FINGER_SEGMENTS = {
+    thumb: ['Metacarpal', 'Proximal', 'Distal'],
+    other: ['Proximal', 'Intermediate', 'Distal']
+};
+const REQUIRED_BONES = ['hips', 'spine', 'head', 'leftUpperArm', 'leftLowerArm', 'leftHand',
+    'rightUpperArm', 'rightLowerArm', 'rightHand'];
+
+function getHumanBoneName(nodeName) {
+    const name = nodeName.replace(/^mixamorig\d*[:_]?/i, '').toLowerCase();
+    if (BONE_NAME_MAP[name]) return BONE_NAME_MAP[name];
+
+    const side = name.match(/^(left|right)(.+)$/);
+    if (!side) return null;
+    const [, prefix, rest] = side;
+
+    if (LIMB_BONE_MAP[rest]) return prefix + LIMB_BONE_MAP[rest];
+
+    // LeftHandIndex1 → leftIndexProximal
+    const finger = rest.match(/^hand(thumb|index|middle|ring|pinky)([123])$/);
+    if (finger) {
+        const segments = finger[1] === 'thumb' ? FINGER_SEGMENTS.thumb : FINGER_SEGMENTS.other;
+        return prefix + FINGER_NAMES[finger[1]] + segments[finger[2] - 1];
+    }
+    return null;
+}
+
+function findHumanBones(root) {
+    const humanBones = {};
+    root.traverse((node) => {
+        if (node.isMesh) return;
+        const boneName = getHumanBoneName(node.name);
+        if (boneName && !humanBones[boneName]) humanBones[boneName] = { node };
+    });
+    return humanBones;
+}
+
+// 정규화 본은 rest pose를 회전 0으로 잡으므로, A-pose 모델은 팔을 수평 (T-pose)으로 펴 둠
+// 아바타는 +Z를 바라보므로 왼팔은 +X, 오른팔은 -X 방향
+const ARM_CHAINS = {
+    left: [['leftUpperArm', 'leftLowerArm'], ['leftLowerArm', 'leftHand'], ['leftHand', 'leftMiddleProximal']],
+    right: [['rightUpperArm', 'rightLowerArm'], ['rightLowerArm', 'rightHand'], ['rightHand', 'rightMiddleProximal']]
+};
+
+function straightenArms(humanBones) {
+    const from = new THREE.Vector3();
+    const to = new THREE.Vector3();
+    const worldRotation = new THREE.Quaternion();
+    const parentRotation = new THREE.Quaternion();
+    const delta = new THREE.Quaternion();
+
+    for (const [side, chain] of Object.entries(ARM_CHAINS)) {
+        const target = new THREE.Vector3(side === 'left' ? 1 : -1, 0, 0);
+        for (const [boneName, childName] of chain) {
+            const bone = humanBones[boneName]?.node;
+            const child = humanBones[childName]?.node;
+            if (!bone || !child) continue;
+
+            bone.updateWorldMatrix(true, true);
+            bone.getWorldPosition(from);
+            child.getWorldPosition(to);
+            delta.setFromUnitVectors(to.sub(from).normalize(), target);
+
+            // 월드 회전에 delta를 곱한 뒤 로컬 회전으로 환산
+            bone.getWorldQuaternion(worldRotation);
+            bone.parent.getWorldQuaternion(parentRotation);
+            bone.quaternion.copy(parentRotation.invert().multiply(delta.multiply(worldRotation)));
+        }
+    }
+    humanBones.hips.node.updateWorldMatrix(true, true);
+}
+
+// preset 표정: 모델에 있는 모프 조합 중 첫 번째로 전부 갖춘 것을 사용
+const PRESET_EXPRESSIONS = {
+    aa: [{ viseme_aa: 1 }, { jawOpen: 0.8 }, { mouthOpen: 1 }],
+    ih: [{ viseme_I: 1 }, { jawOpen: 0.3, mouthStretchLeft: 0.5, mouthStretchRight: 0.5 }],
+    ou: [{ viseme_U: 1 }, { jawOpen: 0.2, mouthPucker: 1 }],
+    ee: [{ viseme_E: 1 }, { jawOpen: 0.3, mouthSmileLeft: 0.4, mouthSmileRight: 0.4 }],
+    oh: [{ viseme_O: 1 }, { jawOpen: 0.5, mouthFunnel: 1 }],
+    blink: [{ eyeBlinkLeft: 1, eyeBlinkRight: 1 }, { eyesClosed: 1 }],
+    blinkLeft: [{ eyeBlinkLeft: 1 }],
+    blinkRight: [{ eyeBlinkRight: 1 }],
+    happy: [
+        { mouthSmileLeft: 1, mouthSmileRight: 1, cheekSquintLeft: 0.5, cheekSquintRight: 0.5 },
+        { mouthSmile: 1 }
+    ],
+    angry: [{ browDownLeft: 1, browDownRight: 1, noseSneerLeft: 0.5, noseSneerRight: 0.5, mouthPressLeft: 0.5, mouthPressRight: 0.5 }],
+    sad: [{ browInnerUp: 1, mouthFrownLeft: 1, mouthFrownRight: 1 }],
+    relaxed: [{ mouthSmileLeft: 0.5, mouthSmileRight: 0.5, eyeSquintLeft: 0.5, eyeSquintRight: 0.5 }],
+    surprised: [{ browInnerUp: 1, browOuterUpLeft: 1, browOuterUpRight: 1, eyeWideLeft: 1, eyeWideRight: 1, jawOpen: 0.4 }]
+};
+
+// 모프 이름 → 그 모프를 가진 [{ mesh, index }] (Ready Player Me는 머리/치아/눈이 메시가 나뉘어 있음)
+function collectMorphTargets(root) {
+    const morphs = new Map();
+    root.traverse((node) => {
+        if (!node.isMesh || !node.morphTargetDictionary) return;
+        for (const [name, index] of Object.entries(node.morphTargetDictionary)) {
+            if (!morphs.has(name)) morphs.set(name, []);
+            morphs.get(name).push({ mesh: node, index });
+        }
+    });
+    return morphs;
+}
+
+function createExpression(name, weights, morphs) {
+    const expression = new VRMExpression(name);
+    for (const [morphName, weight] of Object.entries(weights)) {
+        for (const { mesh, index } of morphs.get(morphName)) {
+            expression.addBind(new VRMExpressionMorphTargetBind({ primitives: [mesh], index, weight }));
+        }
+    }
+    return expression;
+}
+
+function createExpressionManager(scene) {
+    const morphs = collectMorphTargets(scene);
+    const manager = new VRMExpressionManager();
+    const register = (expression) => {
+        scene.add(expression);
+        manager.registerExpression(expression);
+    };
+
+    // ARKit 모프 → 같은 이름의 커스텀 표정 (Perfect Sync)
+    const arkitMorphs = new Map();
+    for (const morphName of morphs.keys()) {
+        arkitMorphs.set(normalizeBlendshapeName(morphName), morphName);
+    }
+    const resolved = new Map();   // ARKit 이름 / 모델 모프 이름 → 모델 모프 이름
+    for (const arkitName of ARKIT_BLENDSHAPE_NAMES) {
+        const morphName = arkitMorphs.get(normalizeBlendshapeName(arkitName));
+        if (!morphName) continue;
+        resolved.set(arkitName, morphName);
+        register(createExpression(arkitName, { [morphName]: 1 }, morphs));
+    }
+    for (const morphName of morphs.keys()) {
+        if (!resolved.has(morphName)) resolved.set(morphName, morphName);
+    }
+
+    for (const [presetName, candidates] of Object.entries(PRESET_EXPRESSIONS)) {
+        const weights = candidates.find(candidate => Object.keys(candidate).every(name => resolved.has(name)));
+        if (!weights) continue;
+        const mapped = Object.fromEntries(Object.entries(weights).map(([name, weight]) => [resolved.get(name), weight]));
+        register(createExpression(presetName, mapped, morphs));
+    }
+
+    console.log(`[GLTF Avatar] ${manager.expressions.length} expressions from ${morphs.size} morph targets`);
+    return manager;
+}
+
+// 눈 본이 있으면 본 회전으로 시선 처리 (입력 각도 = 출력 각도)
+const LOOK_AT_RANGE = { horizontal: 30, vertical: 20 };
+
+function createLookAt(humanoid) {
+    const leftEye = humanoid.getRawBoneNode('leftEye');
+    const rightEye = humanoid.getRawBoneNode('rightEye');
+    const head = humanoid.getRawBoneNode('head');
+    if (!leftEye || !rightEye || !head) return null;
+
+    const horizontal = new VRMLookAtRangeMap(LOOK_AT_RANGE.horizontal, LOOK_AT_RANGE.horizontal);
+    const vertical = new VRMLookAtRangeMap(LOOK_AT_RANGE.vertical, LOOK_AT_RANGE.vertical);
+    const applier = new VRMLookAtBoneApplier(humanoid, horizontal, horizontal, vertical, vertical);
+    const lookAt = new VRMLookAt(humanoid, applier);
+
+    // 시선 기준점: 두 눈 사이 (머리 본 로컬 좌표)
+    const eyeCenter = leftEye.getWorldPosition(new THREE.Vector3())
+        .add(rightEye.getWorldPosition(new THREE.Vector3()))
+        .multiplyScalar(0.5);
+    lookAt.offsetFromHeadBone.copy(head.worldToLocal(eyeCenter));
+    return lookAt;
+}
+
+// 센티미터 단위로 내보낸 모델 (Mixamo FBX 변환 등)은 미터로 축소
+const CENTIMETER_HEAD_HEIGHT = 10;
+
+// 이름은 meta에 없으므로 (null) 호출한 쪽에서 파일 이름 등으로 대체
+export function createVrmFromGltf(gltf) {
+    const scene = gltf.scene;
+    const humanBones = findHumanBones(scene);
+    const missing = REQUIRED_BONES.filter(boneName => !humanBones[boneName]);
+    if (missing.length > 0) {
+        throw new Error(`Not a humanoid avatar (missing bones: ${missing.join(', ')})`);
+    }
+
+    scene.updateWorldMatrix(true, true);
+    const headHeight = humanBones.head.node.getWorldPosition(new THREE.Vector3()).y;
+    if (headHeight > CENTIMETER_HEAD_HEIGHT) {
+        scene.scale.multiplyScalar(0.01);
+        scene.updateWorldMatrix(true, true);
+    }
+
+    straightenArms(humanBones);
+
+    const humanoid = new VRMHumanoid(humanBones, { autoUpdateHumanBones: true });
+    scene.add(humanoid.normalizedHumanBonesRoot);
+
+    // 본을 움직이면 bounding sphere가 맞지 않아 잘릴 수 있음
+    scene.traverse((node) => {
+        if (node.isSkinnedMesh) node.frustumCulled = false;
+    });
+
+    const vrm = new VRM({
+        scene,
+        meta: { metaVersion: '1', name: null },
+        humanoid,
+        expressionManager: createExpressionManager(scene),
+        lookAt: createLookAt(humanoid)
+    });
+    console.log(`[GLTF Avatar] ${Object.keys(humanBones).length} humanoid bones mapped`);
+    return vrm;
+}
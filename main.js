@@ -1,7 +1,23 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { VRMLoaderPlugin, VRMUtils, VRMExpressionPresetName } from '@pixiv/three-vrm';
-import { FilesetResolver, FaceLandmarker, PoseLandmarker, HandLandmarker, DrawingUtils } from '@mediapipe/tasks-vision';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { HDRLoader } from 'three/addons/loaders/HDRLoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+import { LightProbeGenerator } from 'three/addons/lights/LightProbeGenerator.js';
+import {
+    VRMLoaderPlugin, VRMUtils, VRMExpressionPresetName, VRMHumanBoneList, VRMHumanBoneParentMap,
+    VRMSpringBoneCollider, VRMSpringBoneColliderShapeCapsule, VRMSpringBoneColliderHelper
+} from '@pixiv/three-vrm';
+import { FaceLandmarker, PoseLandmarker, HandLandmarker, DrawingUtils } from '@mediapipe/tasks-vision';
+import {
+    createLandmarkers, closeLandmarkers, DetectionScheduler, DEFAULT_SCHEDULER_SETTINGS, DEFAULT_MODEL_SETTINGS,
+    ASSET_SOURCES, WASM_FILES, getModelUrl
+} from './mediapipe.js';
+import { WebMWriter } from './webm-writer.js';
+import { createVrmFromGltf, ARKIT_BLENDSHAPE_NAMES, normalizeBlendshapeName } from './gltf-avatar.js';
+import {
+    AVATAR_LIBRARY_SUPPORTED, listAvatars, getAvatar, addAvatar, updateAvatar, deleteAvatar
+} from './avatar-library.js';
 
 // --- Mobile Detection ---
 const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
@@ -63,6 +79,12 @@ class OneEuroFilter {
         return xFiltered;
     }
 
+    setParams({ minCutoff, beta, dCutoff }) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+    }
+
     reset() {
         this.xPrev = null;
         this.dxPrev = null;
@@ -72,10 +94,10 @@ class OneEuroFilter {
 
 // 3D 좌표용 One Euro Filter
 class OneEuroFilter3D {
-    constructor(minCutoff = 1.0, beta = 0.007) {
-        this.xFilter = new OneEuroFilter(minCutoff, beta);
-        this.yFilter = new OneEuroFilter(minCutoff, beta);
-        this.zFilter = new OneEuroFilter(minCutoff, beta);
+    constructor(minCutoff = 1.0, beta = 0.007, dCutoff = 1.0) {
+        this.xFilter = new OneEuroFilter(minCutoff, beta, dCutoff);
+        this.yFilter = new OneEuroFilter(minCutoff, beta, dCutoff);
+        this.zFilter = new OneEuroFilter(minCutoff, beta, dCutoff);
     }
 
     filter(point, t) {
@@ -87,6 +109,12 @@ class OneEuroFilter3D {
         };
     }
 
+    setParams(params) {
+        this.xFilter.setParams(params);
+        this.yFilter.setParams(params);
+        this.zFilter.setParams(params);
+    }
+
     reset() {
         this.xFilter.reset();
         this.yFilter.reset();
@@ -94,38 +122,220 @@ class OneEuroFilter3D {
     }
 }
 
+// 회전용 One Euro Filter (성분별 필터 후 정규화)
+class OneEuroFilterQuaternion {
+    constructor(minCutoff = 1.0, beta = 0.007, dCutoff = 1.0) {
+        this.filters = [0, 1, 2, 3].map(() => new OneEuroFilter(minCutoff, beta, dCutoff));
+        this.prev = null;
+    }
+
+    filter(q, t) {
+        // q와 -q는 같은 회전이므로 이전 값과 같은 반구로 맞춤 (부호 뒤집힘으로 튀는 것 방지)
+        const input = q.clone();
+        if (this.prev && this.prev.dot(input) < 0) {
+            input.set(-input.x, -input.y, -input.z, -input.w);
+        }
+
+        const [x, y, z, w] = this.filters.map((f, i) => f.filter(input.toArray()[i], t));
+        this.prev = new THREE.Quaternion(x, y, z, w).normalize();
+        return this.prev.clone();
+    }
+
+    setParams(params) {
+        this.filters.forEach(f => f.setParams(params));
+    }
+
+    reset() {
+        this.filters.forEach(f => f.reset());
+        this.prev = null;
+    }
+}
+
+// ============================================================
+// Tracking Filters (채널별 One Euro Filter)
+// blendshapes: 표정 점수, head: 얼굴 변환 행렬 (회전 + 이동),
+// hands: 손 랜드마크, pose: 몸 랜드마크
+// ============================================================
+const FILTER_STORAGE_KEY = 'prismic-eagle.filters';
+
+const FILTER_CHANNELS = {
+    blendshapes: 'Face',
+    head: 'Head',
+    hands: 'Hands',
+    pose: 'Pose'
+};
+
+// minCutoff 낮을수록 부드러움, beta 높을수록 빠른 움직임에 반응
+const FILTER_PRESETS = {
+    // 기본: 떨림 억제와 반응 속도의 균형
+    streaming: {
+        blendshapes: { minCutoff: 3.0, beta: 1.0, dCutoff: 1.0 },
+        head: { minCutoff: 2.0, beta: 0.5, dCutoff: 1.0 },
+        hands: { minCutoff: 2.0, beta: 0.05, dCutoff: 1.0 },
+        pose: { minCutoff: 1.5, beta: 0.01, dCutoff: 1.0 }
+    },
+    // 발표/녹화: 더 부드럽게 (약간의 지연 허용)
+    presentation: {
+        blendshapes: { minCutoff: 1.5, beta: 0.5, dCutoff: 1.0 },
+        head: { minCutoff: 1.0, beta: 0.2, dCutoff: 1.0 },
+        hands: { minCutoff: 1.0, beta: 0.02, dCutoff: 1.0 },
+        pose: { minCutoff: 0.8, beta: 0.005, dCutoff: 1.0 }
+    },
+    // 빠른 반응: 떨림은 조금 남지만 지연 최소
+    snappy: {
+        blendshapes: { minCutoff: 6.0, beta: 2.0, dCutoff: 1.0 },
+        head: { minCutoff: 4.0, beta: 1.0, dCutoff: 1.0 },
+        hands: { minCutoff: 4.0, beta: 0.1, dCutoff: 1.0 },
+        pose: { minCutoff: 3.0, beta: 0.05, dCutoff: 1.0 }
+    }
+};
+
+let filterSettings = createFilterSettings('streaming');  // { preset, channels } (localStorage에 저장)
+let trackingFilters = null;                               // 채널별 필터 인스턴스 (첫 사용 시 생성)
+
+function createFilterSettings(preset) {
+    return { preset, channels: structuredClone(FILTER_PRESETS[preset]) };
+}
+
+function createLandmarkFilters(count, params) {
+    return Array.from({ length: count }, () => new OneEuroFilter3D(params.minCutoff, params.beta, params.dCutoff));
+}
+
+function getTrackingFilters() {
+    if (!trackingFilters) {
+        const { head } = filterSettings.channels;
+        trackingFilters = {
+            blendshapes: new Map(),  // 카테고리 이름 → OneEuroFilter
+            head: {
+                rotation: new OneEuroFilterQuaternion(head.minCutoff, head.beta, head.dCutoff),
+                translation: new OneEuroFilter3D(head.minCutoff, head.beta, head.dCutoff)
+            },
+            hands: { Left: null, Right: null },  // handedness → { landmarks, worldLandmarks }
+            pose: null
+        };
+    }
+    return trackingFilters;
+}
+
+function resetTrackingFilters() {
+    trackingFilters = null;
+}
+
+// 설정 변경 시 진행 중인 필터 상태는 유지하고 파라미터만 교체
+function updateTrackingFilterParams() {
+    if (!trackingFilters) return;
+    const { channels } = filterSettings;
+
+    for (const filter of trackingFilters.blendshapes.values()) filter.setParams(channels.blendshapes);
+    trackingFilters.head.rotation.setParams(channels.head);
+    trackingFilters.head.translation.setParams(channels.head);
+
+    const landmarkSets = [trackingFilters.hands.Left, trackingFilters.hands.Right].filter(Boolean);
+    for (const set of landmarkSets) {
+        [...set.landmarks, ...set.worldLandmarks].forEach(f => f.setParams(channels.hands));
+    }
+    if (trackingFilters.pose) {
+        [...trackingFilters.pose.landmarks, ...trackingFilters.pose.worldLandmarks].forEach(f => f.setParams(channels.pose));
+    }
+}
+
+function filterBlendshapes(blendShapesData, timestamp) {
+    const filters = getTrackingFilters().blendshapes;
+    const params = filterSettings.channels.blendshapes;
+    const t = timestamp / 1000;
+
+    return {
+        categories: blendShapesData.categories.map(({ categoryName, score }) => {
+            let filter = filters.get(categoryName);
+            if (!filter) {
+                filter = new OneEuroFilter(params.minCutoff, params.beta, params.dCutoff);
+                filters.set(categoryName, filter);
+            }
+            return { categoryName, score: THREE.MathUtils.clamp(filter.filter(score, t), 0, 1) };
+        })
+    };
+}
+
+// 얼굴 변환 행렬: 회전은 쿼터니언, 이동은 m 단위로 필터 후 다시 행렬로 (이동은 cm 유지)
+function filterHeadMatrix(matrix, timestamp) {
+    const filters = getTrackingFilters().head;
+    const t = timestamp / 1000;
+
+    const m = new THREE.Matrix4().fromArray(matrix.data);
+    const position = new THREE.Vector3();
+    const rotation = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    m.decompose(position, rotation, scale);
+
+    const filteredRotation = filters.rotation.filter(rotation, t);
+    const p = filters.translation.filter(position.clone().multiplyScalar(0.01), t);
+    const filteredPosition = new THREE.Vector3(p.x, p.y, p.z).multiplyScalar(100);
+
+    return {
+        rows: matrix.rows,
+        columns: matrix.columns,
+        data: new THREE.Matrix4().compose(filteredPosition, filteredRotation, scale).toArray()
+    };
+}
+
+function filterHandLandmarks(handedness, landmarks, worldLandmarks, timestamp) {
+    const filters = getTrackingFilters().hands;
+    const params = filterSettings.channels.hands;
+    if (!filters[handedness]) {
+        filters[handedness] = {
+            landmarks: createLandmarkFilters(21, params),
+            worldLandmarks: createLandmarkFilters(21, params)
+        };
+    }
+
+    const t = timestamp / 1000;
+    const set = filters[handedness];
+    return {
+        landmarks: landmarks.map((lm, i) => set.landmarks[i].filter(lm, t)),
+        worldLandmarks: worldLandmarks ? worldLandmarks.map((lm, i) => set.worldLandmarks[i].filter(lm, t)) : null
+    };
+}
+
 // Pose landmarks 필터 (33개 랜드마크)
-let poseFilters = null;
 function getFilteredPoseLandmarks(landmarks, worldLandmarks, timestamp) {
-    if (!poseFilters) {
-        // 필터 초기화 (minCutoff 낮을수록 부드러움, beta 높을수록 빠른 움직임에 반응)
-        poseFilters = {
-            landmarks: Array.from({ length: 33 }, () => new OneEuroFilter3D(1.5, 0.01)),
-            worldLandmarks: Array.from({ length: 33 }, () => new OneEuroFilter3D(1.5, 0.01))
+    const filters = getTrackingFilters();
+    if (!filters.pose) {
+        const params = filterSettings.channels.pose;
+        filters.pose = {
+            landmarks: createLandmarkFilters(33, params),
+            worldLandmarks: createLandmarkFilters(33, params)
         };
     }
 
     const t = timestamp / 1000;  // 초 단위로 변환
 
-    const filteredLandmarks = landmarks.map((lm, i) => poseFilters.landmarks[i].filter(lm, t));
+    const filteredLandmarks = landmarks.map((lm, i) => filters.pose.landmarks[i].filter(lm, t));
     const filteredWorldLandmarks = worldLandmarks
-        ? worldLandmarks.map((lm, i) => poseFilters.worldLandmarks[i].filter(lm, t))
+        ? worldLandmarks.map((lm, i) => filters.pose.worldLandmarks[i].filter(lm, t))
         : null;
 
     return { filteredLandmarks, filteredWorldLandmarks };
 }
 
 // --- Globals ---
+const AVATAR_URL = './avatar.vrm';
 let scene, camera, renderer;
 let video;
-let faceLandmarker, poseLandmarker, handLandmarker;
 let currentVrm;
 let lastVideoTime = -1;
 let lastFrameTime = performance.now();
 let blendShapes = [];
 let rotation = new THREE.Euler();
-let currentGesture = 'neutral';
-let gestureTimer = 0;
+let currentGesture = 'neutral';      // 현재 인식된(발동된) 제스처
+let gestureTimer = 0;                // 후보 제스처 유지 시간 (초)
+let gestureCandidate = null;         // 이번 프레임에 분류된 제스처
+let isGestureEnabled = false;        // 제스처 인식 (기본: OFF, 명령 오작동 방지)
+let activeEmote = null;              // 재생 중인 emote { name, elapsed }
+
+// --- Expression Hotkeys ---
+let expressionHotkeys = [];          // 키 바인딩 테이블 (localStorage에 저장)
+let hotkeyDraft = [];                // 설정 패널에서 편집 중인 사본 (Save 시 적용)
+let toggledHotkeys = new Set();      // toggle 모드로 켜진 핫키의 override owner
 let debugCanvas, debugCtx, drawingUtils;
 let DEBUG_MODE = false;              // 기본: Hide landmarks
 let isDebugView = false;             // 기본: Default mode
@@ -141,6 +351,22 @@ let recordedChunks = [];             // 녹화 데이터
 let isMiniAvatar = false;            // 미니 아바타 모드
 let miniAvatarPosition = { x: null, y: null };  // 미니 아바타 위치
 
+// --- Motion Recording (VRMA / BVH) ---
+let isMotionRecording = false;       // 모션 녹화 상태
+let motionFrames = [];               // 프레임별 본 회전/표정 샘플
+let motionSkeleton = null;           // 녹화 시작 시점의 골격 정보
+let motionStartTime = 0;             // 녹화 시작 시각 (ms)
+
+// --- Tracking Session (record / replay) ---
+let isSessionRecording = false;      // 세션 기록 상태
+let sessionFrames = [];              // 직렬화된 MediaPipe 결과
+let sessionStartTime = 0;            // 기록 시작 시각 (ms)
+let isSessionReplaying = false;      // 세션 재생 상태
+let replayFrames = [];               // 재생할 프레임 목록
+let replayIndex = 0;                 // 다음에 적용할 프레임 인덱스
+let replayStartTime = 0;             // 재생 시작 시각 (ms)
+let lastReplayTimestamp = 0;         // 마지막으로 적용한 프레임의 세션 시간 (ms)
+
 // --- Audio ---
 let micStream = null;                // 마이크 스트림
 let isMicEnabled = false;            // 마이크 활성화 상태
@@ -158,6 +384,24 @@ let micGainNode = null;              // 마이크 볼륨 조절
 let tabGainNode = null;              // 탭 오디오 볼륨 조절
 let audioMixValue = 50;              // 0 = Mic only, 100 = Tab only
 
+// --- Eye Gaze ---
+const GAZE_YAW_RANGE = 25;           // eyeLook 점수 1.0에 대응하는 좌우 각도 (deg)
+const GAZE_PITCH_RANGE = 15;         // eyeLook 점수 1.0에 대응하는 상하 각도 (deg)
+const GAZE_LERP_SPEED = 18;          // 시선 반응 속도
+let gazeYaw = 0;                     // 현재 시선 (deg)
+let gazePitch = 0;
+let gazeCameraBlend = 0;             // 0 = 트래킹만, 1 = 항상 카메라 응시
+let gazeLimits = { yawOuter: GAZE_YAW_RANGE, yawInner: GAZE_YAW_RANGE, pitchUp: GAZE_PITCH_RANGE, pitchDown: GAZE_PITCH_RANGE };  // 아바타별 한계
+
+// --- Perfect Sync ---
+let perfectSyncMap = null;           // ARKit 이름 → 아바타 표정 이름 (null = preset 모드)
+
+// --- Calibration ---
+let calibrationProfile = null;       // 사용자별 보정 프로필 (localStorage에 저장)
+let calibrationCapture = null;       // 현재 단계에서 수집 중인 샘플
+let isCalibrating = false;           // 보정 마법사 진행 상태
+let calibrationCancelled = false;
+
 // --- Arm Activity State (for hysteresis) ---
 let leftArmActive = false;
 let rightArmActive = false;
@@ -782,6 +1026,7 @@ function setupDialogue() {
                 e.preventDefault();
                 if (input.value.trim()) {
                     addDialogueMessage(input.value);
+                    speakText(input.value);
                     input.value = '';
                 }
             }
@@ -821,6 +1066,339 @@ function setupDialogue() {
     });
 }
 
+// ============================================================
+// Text-to-Speech (타이핑 대화 메시지를 아바타 음성으로)
+// backend: 'browser' (speechSynthesis) / 'http' (로컬 TTS 서버, 오디오 응답)
+// - http: Web Audio로 재생하여 녹화 믹스와 립싱크 분석기에 연결
+// - browser: 브라우저가 오디오를 직접 출력하므로 녹화에 포함할 수 없음
+//   → 단어 경계 이벤트와 글자별 모음으로 입모양을 추정
+// ============================================================
+const TTS_STORAGE_KEY = 'prismic-eagle.tts';
+const TTS_CHAR_DURATION = 0.07;      // 라틴 문자 1자 발화 시간 (초, rate 1.0 기준)
+const TTS_SYLLABLE_DURATION = 0.15;  // 한글 1음절 발화 시간 (초)
+
+// 한글 중성 (ㅏ ㅐ ㅑ ㅒ ㅓ ㅔ ㅕ ㅖ ㅗ ㅘ ㅙ ㅚ ㅛ ㅜ ㅝ ㅞ ㅟ ㅠ ㅡ ㅢ ㅣ) → 모음 입모양
+const HANGUL_VOWEL_VISEMES = [
+    'aa', 'ee', 'aa', 'ee', 'oh', 'ee', 'oh', 'ee', 'oh', 'aa', 'ee',
+    'ee', 'oh', 'ou', 'oh', 'ee', 'ih', 'ou', 'ih', 'ih', 'ih'
+];
+const LATIN_VOWEL_VISEMES = { a: 'aa', e: 'ee', i: 'ih', y: 'ih', o: 'oh', u: 'ou', w: 'ou' };
+
+let ttsSettings = {
+    enabled: false,
+    backend: 'browser',
+    voice: '',                                           // speechSynthesis 음성 이름 (빈 값 = 기본)
+    rate: 1.0,
+    httpUrl: 'http://localhost:5002/api/tts?text={text}'  // {text} 자리에 URL 인코딩된 문장
+};
+let ttsQueue = Promise.resolve();    // 메시지 순서대로 발화
+let ttsGeneration = 0;               // stopSpeaking()마다 증가 → 이전에 대기열에 들어간 메시지는 건너뜀
+let isTtsSpeaking = false;
+let ttsAudioContext = null;          // http backend 재생용
+let ttsOutput = null;                // 스피커 / 녹화 / 분석기로 분기하는 GainNode
+let ttsStreamDestination = null;     // 녹화 믹스에 연결되는 스트림
+let ttsLipSyncAnalyser = null;
+let ttsTextState = null;             // browser backend 입모양 추정 { text, charIndex, startTime, rate }
+
+const TTS_BACKENDS = {
+    browser: {
+        speak(text) {
+            return new Promise((resolve) => {
+                if (!('speechSynthesis' in window)) {
+                    console.warn('[TTS] speechSynthesis not supported');
+                    resolve();
+                    return;
+                }
+
+                const utterance = new SpeechSynthesisUtterance(text);
+                const voice = speechSynthesis.getVoices().find(v => v.name === ttsSettings.voice);
+                if (voice) utterance.voice = voice;
+                utterance.rate = ttsSettings.rate;
+
+                utterance.onstart = () => {
+                    ttsTextState = { text, charIndex: 0, startTime: performance.now(), rate: ttsSettings.rate };
+                };
+                utterance.onboundary = (e) => {
+                    if (e.name === 'word' && ttsTextState) {
+                        ttsTextState.charIndex = e.charIndex;
+                        ttsTextState.startTime = performance.now();
+                    }
+                };
+                utterance.onend = () => resolve();
+                utterance.onerror = (e) => {
+                    console.warn('[TTS] Speech error:', e.error);
+                    resolve();
+                };
+
+                speechSynthesis.speak(utterance);
+            });
+        },
+        stop() {
+            if ('speechSynthesis' in window) speechSynthesis.cancel();
+        }
+    },
+
+    http: {
+        source: null,
+        controller: null,   // 요청 / 디코딩 중에 stop()으로 취소
+
+        async speak(text) {
+            const url = ttsSettings.httpUrl.includes('{text}')
+                ? ttsSettings.httpUrl.replace('{text}', encodeURIComponent(text))
+                : ttsSettings.httpUrl + (ttsSettings.httpUrl.includes('?') ? '&' : '?') + 'text=' + encodeURIComponent(text);
+
+            const controller = new AbortController();
+            this.controller = controller;
+            try {
+                const response = await fetch(url, { signal: controller.signal });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+                const context = ensureTtsAudio();
+                if (context.state === 'suspended') await context.resume();
+                const buffer = await context.decodeAudioData(await response.arrayBuffer());
+                if (controller.signal.aborted) return;
+
+                await new Promise((resolve) => {
+                    const source = context.createBufferSource();
+                    source.buffer = buffer;
+                    source.playbackRate.value = ttsSettings.rate;
+                    source.connect(ttsOutput);
+                    source.onended = () => {
+                        this.source = null;
+                        resolve();
+                    };
+                    this.source = source;
+                    source.start();
+                });
+            } catch (err) {
+                if (!controller.signal.aborted) console.error('[TTS] HTTP backend error:', err);
+            } finally {
+                if (this.controller === controller) this.controller = null;
+            }
+        },
+        stop() {
+            if (this.controller) {
+                this.controller.abort();
+                this.controller = null;
+            }
+            if (this.source) {
+                this.source.stop();
+                this.source = null;
+            }
+        }
+    }
+};
+
+// http backend 오디오 그래프: source → ttsOutput → (스피커, 녹화 스트림, 립싱크 분석기)
+function ensureTtsAudio() {
+    if (!ttsAudioContext) {
+        ttsAudioContext = new AudioContext();
+        ttsOutput = ttsAudioContext.createGain();
+        ttsStreamDestination = ttsAudioContext.createMediaStreamDestination();
+        ttsOutput.connect(ttsAudioContext.destination);
+        ttsOutput.connect(ttsStreamDestination);
+        ttsLipSyncAnalyser = createLipSyncAnalyser(ttsAudioContext, ttsOutput);
+    }
+    return ttsAudioContext;
+}
+
+// force: TTS가 꺼져 있어도 발화 (설정 패널의 Test)
+function speakText(text, { force = false } = {}) {
+    if ((!force && !ttsSettings.enabled) || !text.trim()) return;
+
+    const backend = TTS_BACKENDS[ttsSettings.backend] ?? TTS_BACKENDS.browser;
+    const generation = ttsGeneration;
+    ttsQueue = ttsQueue.then(async () => {
+        if (generation !== ttsGeneration || (!force && !ttsSettings.enabled)) return;
+        isTtsSpeaking = true;
+        try {
+            await backend.speak(text);
+        } finally {
+            isTtsSpeaking = false;
+            ttsTextState = null;
+        }
+    });
+}
+
+function stopSpeaking() {
+    ttsGeneration++;
+    Object.values(TTS_BACKENDS).forEach(backend => backend.stop());
+}
+
+// TTS 발화 중의 모음 값 (http: 오디오 분석, browser: 텍스트 기반 추정)
+function getTtsVisemes() {
+    if (ttsSettings.backend === 'http' && ttsLipSyncAnalyser) {
+        return estimateVisemes(ttsLipSyncAnalyser);
+    }
+
+    const visemes = { aa: 0, ih: 0, ou: 0, ee: 0, oh: 0 };
+    if (!ttsTextState) return visemes;
+
+    // 마지막 단어 경계부터 경과 시간만큼 글자를 진행
+    const { text, charIndex, startTime, rate } = ttsTextState;
+    let remaining = (performance.now() - startTime) / 1000 * rate;
+    let index = charIndex;
+    while (index < text.length) {
+        const duration = isHangulSyllable(text[index]) ? TTS_SYLLABLE_DURATION : TTS_CHAR_DURATION;
+        if (remaining < duration) break;
+        remaining -= duration;
+        index++;
+    }
+    if (index >= text.length) return visemes;
+
+    const char = text[index];
+    if (isHangulSyllable(char)) {
+        const vowel = Math.floor(((char.charCodeAt(0) - 0xAC00) % 588) / 28);
+        visemes[HANGUL_VOWEL_VISEMES[vowel]] = 0.8;
+    } else if (/\s|[.,!?]/.test(char)) {
+        // 단어 사이 / 문장 부호: 입 닫음
+    } else if (LATIN_VOWEL_VISEMES[char.toLowerCase()]) {
+        visemes[LATIN_VOWEL_VISEMES[char.toLowerCase()]] = 0.8;
+    } else if (!/[mbp]/i.test(char)) {
+        // 자음: 살짝 벌림 (m/b/p는 입술이 닫힘)
+        visemes.aa = 0.2;
+    }
+    return visemes;
+}
+
+function isHangulSyllable(char) {
+    const code = char.charCodeAt(0);
+    return code >= 0xAC00 && code <= 0xD7A3;
+}
+
+function loadTtsSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(TTS_STORAGE_KEY));
+        if (stored) Object.assign(ttsSettings, stored);
+    } catch (e) {
+        console.warn('[TTS] Failed to load settings:', e);
+    }
+}
+
+function saveTtsSettings() {
+    try {
+        localStorage.setItem(TTS_STORAGE_KEY, JSON.stringify(ttsSettings));
+    } catch (e) {
+        console.warn('[TTS] Failed to save settings:', e);
+    }
+}
+
+function setTtsEnabled(enabled) {
+    ttsSettings.enabled = enabled;
+    if (!enabled) stopSpeaking();
+    // 녹화 시작 전에 스트림이 있어야 믹스에 포함되므로 미리 생성
+    if (enabled && ttsSettings.backend === 'http') ensureTtsAudio();
+    saveTtsSettings();
+    document.querySelectorAll('.option-btn[data-tts]').forEach(btn => {
+        btn.classList.toggle('active', (btn.dataset.tts === 'on') === enabled);
+    });
+}
+
+function toggleTtsPanel() {
+    if (toggleSettingsPanel('tts-panel')) renderTtsPanel();
+}
+
+function renderTtsPanel() {
+    const backendSelect = document.getElementById('tts-backend');
+    const voiceSelect = document.getElementById('tts-voice');
+    const urlInput = document.getElementById('tts-url');
+    const rateInput = document.getElementById('tts-rate');
+    if (!backendSelect || !voiceSelect || !urlInput || !rateInput) return;
+
+    backendSelect.value = ttsSettings.backend;
+    const note = document.getElementById('tts-note');
+    if (note) note.hidden = ttsSettings.backend !== 'browser';
+    urlInput.value = ttsSettings.httpUrl;
+    rateInput.value = ttsSettings.rate;
+
+    voiceSelect.innerHTML = '';
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = 'Default';
+    voiceSelect.appendChild(defaultOption);
+    if ('speechSynthesis' in window) {
+        for (const voice of speechSynthesis.getVoices()) {
+            const option = document.createElement('option');
+            option.value = voice.name;
+            option.textContent = `${voice.name} (${voice.lang})`;
+            voiceSelect.appendChild(option);
+        }
+    }
+    voiceSelect.value = ttsSettings.voice;
+}
+
+function setupTts() {
+    loadTtsSettings();
+    setTtsEnabled(ttsSettings.enabled);
+
+    document.querySelectorAll('.option-btn[data-tts]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (btn.dataset.tts === 'setup') {
+                toggleTtsPanel();
+            } else {
+                setTtsEnabled(btn.dataset.tts === 'on');
+            }
+        });
+    });
+
+    const backendSelect = document.getElementById('tts-backend');
+    if (backendSelect) {
+        backendSelect.addEventListener('change', () => {
+            stopSpeaking();
+            ttsSettings.backend = backendSelect.value;
+            if (ttsSettings.enabled && ttsSettings.backend === 'http') ensureTtsAudio();
+            saveTtsSettings();
+            renderTtsPanel();
+        });
+    }
+
+    const voiceSelect = document.getElementById('tts-voice');
+    if (voiceSelect) {
+        voiceSelect.addEventListener('change', () => {
+            ttsSettings.voice = voiceSelect.value;
+            saveTtsSettings();
+        });
+    }
+
+    const urlInput = document.getElementById('tts-url');
+    if (urlInput) {
+        urlInput.addEventListener('change', () => {
+            ttsSettings.httpUrl = urlInput.value.trim();
+            saveTtsSettings();
+        });
+    }
+
+    const rateInput = document.getElementById('tts-rate');
+    if (rateInput) {
+        rateInput.addEventListener('change', () => {
+            const rate = parseFloat(rateInput.value);
+            if (rate > 0) ttsSettings.rate = rate;
+            saveTtsSettings();
+        });
+    }
+
+    const testBtn = document.getElementById('tts-test');
+    if (testBtn) {
+        testBtn.addEventListener('click', () => {
+            speakText('Hello! This is my avatar voice.', { force: true });
+        });
+    }
+
+    const closeBtn = document.getElementById('tts-close');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => {
+            document.getElementById('tts-panel')?.classList.remove('open');
+        });
+    }
+
+    // 음성 목록은 비동기로 로드됨
+    if ('speechSynthesis' in window) {
+        speechSynthesis.addEventListener('voiceschanged', () => {
+            if (document.getElementById('tts-panel')?.classList.contains('open')) renderTtsPanel();
+        });
+    }
+}
+
 // --- Initialization ---
 async function init() {
     // 모바일 모드 설정
@@ -872,10 +1450,49 @@ async function init() {
                 if (debugCtx) {
                     debugCtx.clearRect(0, 0, debugCanvas.width, debugCanvas.height);
                 }
+            } else if (action === 'motion-record') {
+                toggleMotionRecording();
+            } else if (action === 'motion-vrma') {
+                exportMotionVRMA();
+            } else if (action === 'motion-bvh') {
+                exportMotionBVH();
+            } else if (action === 'torso-center') {
+                resetTorsoTranslation();
+            } else if (action === 'lighting-edit') {
+                toggleLightingPanel();
+            } else if (action === 'physics-edit') {
+                togglePhysicsPanel();
+            } else if (action === 'avatar-library') {
+                toggleAvatarPanel();
+            } else if (action === 'avatar-open') {
+                openAvatarFile();
+            } else if (action === 'offline-export') {
+                toggleOfflineExport();
+            } else if (action === 'models-edit') {
+                toggleModelPanel();
+            } else if (action === 'scheduler-edit') {
+                toggleSchedulerPanel();
+            } else if (action === 'filter-tune') {
+                toggleFilterPanel();
+            } else if (action === 'hotkeys-edit') {
+                toggleHotkeyPanel();
+            } else if (action === 'calibration-run') {
+                runCalibration();
+            } else if (action === 'calibration-reset') {
+                resetCalibration();
+            } else if (action === 'session-record') {
+                toggleSessionRecording();
+            } else if (action === 'session-replay') {
+                toggleSessionReplay();
             }
         });
     });
 
+    // Gaze (카메라 응시 블렌드) 옵션
+    document.querySelectorAll('.option-btn[data-gaze]').forEach(btn => {
+        btn.addEventListener('click', () => setGazeCameraBlend(parseFloat(btn.dataset.gaze)));
+    });
+
     // 초기 view 상태 적용
     updateView();
     updateDevOptions();
@@ -889,6 +1506,8 @@ async function init() {
             if (!BODY_TRACKING_ENABLED) {
                 leftArmActive = false;
                 rightArmActive = false;
+            } else if (modelStatus && !modelStatus.pose.delegate && !modelStatus.hand.delegate) {
+                console.warn('[Models] Pose/Hand models are not loaded, tracking face only');
             }
         });
     }
@@ -899,14 +1518,65 @@ async function init() {
         currentGesture = name;
         gestureTimer = 0;
         console.log("Gesture manually triggered:", name);
+        fireGesture(name);
     };
 
+    // Gesture 인식 ON/OFF 옵션
+    document.querySelectorAll('.option-btn[data-gesture]').forEach(btn => {
+        btn.addEventListener('click', () => setGestureEnabled(btn.dataset.gesture === 'on'));
+    });
+
+    // 상체 이동 ON/OFF 옵션
+    document.querySelectorAll('.option-btn[data-torso]').forEach(btn => {
+        btn.addEventListener('click', () => setTorsoTranslationEnabled(btn.dataset.torso === 'on'));
+    });
+
+    // 립싱크 입력 (Auto / 영상 / 오디오)
+    document.querySelectorAll('.option-btn[data-lipsync]').forEach(btn => {
+        btn.addEventListener('click', () => setLipSyncMode(btn.dataset.lipsync));
+    });
+
+    // Idle layer ON/OFF 옵션
+    document.querySelectorAll('.option-btn[data-idle]').forEach(btn => {
+        btn.addEventListener('click', () => setIdleEnabled(btn.dataset.idle === 'on'));
+    });
+
+    // 오프라인 내보내기 fps
+    document.querySelectorAll('.option-btn[data-export-fps]').forEach(btn => {
+        btn.addEventListener('click', () => setExportFps(parseInt(btn.dataset.exportFps, 10)));
+    });
+    document.getElementById('export-cancel')?.addEventListener('click', () => {
+        isExportCancelled = true;
+    });
+
+    // 추론 스레드 (메인 / Worker)
+    document.querySelectorAll('.option-btn[data-inference]').forEach(btn => {
+        btn.addEventListener('click', () => setInferenceMode(btn.dataset.inference));
+    });
+    updateInferenceOptions();
+
     // Screen capture & recording buttons
     setupScreenCaptureControls();
 
     // Unified dialogue system
     setupDialogue();
 
+    // 타이핑 메시지 음성 출력
+    setupTts();
+
+    // 사용자별 보정 프로필
+    setupCalibration();
+
+    // 표정 단축키
+    setupExpressionHotkeys();
+
+    // 트래킹 필터 프리셋/튜닝
+    setupFilterTuning();
+    setupDetectionScheduler();
+    setupModelSettings();
+    setupAvatarLibrary();
+    setupSpringPhysics();
+
     // 키보드 단축키: Escape로 녹화 중지
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape' && mediaRecorder && mediaRecorder.state === 'recording') {
@@ -921,6 +1591,8 @@ async function init() {
     if (tabMeter) tabMeter.classList.add('inactive');
 
     setupScene(canvas);
+    setupCameraFraming();
+    setupLighting();
 
     debugCanvas = document.getElementById('debug_canvas');
     if (debugCanvas) {
@@ -931,9 +1603,16 @@ async function init() {
     }
 
     setupWebcam();
+    setupServiceWorker();
     setupMediaPipe();
     loadAvatar();
 
+    // ?replay=<url>: 기록된 트래킹 세션을 웹캠 대신 재생
+    const replayUrl = new URLSearchParams(window.location.search).get('replay');
+    if (replayUrl) {
+        loadSessionFromUrl(replayUrl);
+    }
+
     // 탭 전환/최소화 시 처리
     document.addEventListener('visibilitychange', () => {
         if (document.hidden) {
@@ -1002,6 +1681,10 @@ function setupScreenCaptureControls() {
     if (toggleCameraBtn) {
         toggleCameraBtn.addEventListener('click', toggleCamera);
     }
+    const toggleVideoFileBtn = document.getElementById('toggle-video-file');
+    if (toggleVideoFileBtn) {
+        toggleVideoFileBtn.addEventListener('click', toggleVideoFileSource);
+    }
 
     // 오디오 믹스 슬라이더
     const mixSlider = document.getElementById('audio-mix-slider');
@@ -1062,6 +1745,7 @@ async function toggleMicrophone() {
         }
         isMicEnabled = false;
         micAnalyser = null;
+        micLipSyncAnalyser = null;
         if (btn) {
             btn.innerHTML = 'Mic<br>OFF';
             btn.classList.remove('mic-active');
@@ -1085,6 +1769,7 @@ async function toggleMicrophone() {
                         isMicEnabled = false;
                         micStream = null;
                         micAnalyser = null;
+                        micLipSyncAnalyser = null;
                         if (btn) {
                             btn.innerHTML = 'Mic<br>OFF';
                             btn.classList.remove('mic-active');
@@ -1147,6 +1832,9 @@ async function setupMicMeter() {
     const source = meterAudioContext.createMediaStreamSource(micStream);
     source.connect(micAnalyser);
 
+    // 오디오 립싱크용 분석기 (같은 소스)
+    micLipSyncAnalyser = createLipSyncAnalyser(meterAudioContext, source);
+
     startMeterAnimation();
 }
 
@@ -1252,6 +1940,9 @@ function toggleAvatarSize() {
         btn.innerHTML = isMiniAvatar ? 'Avatar<br>Mini' : 'Avatar<br>Full';
     }
 
+    // 미니 모드에서는 드래그로 창을 옮기므로 카메라 조작 비활성화
+    if (cameraControls) cameraControls.enabled = !isMiniAvatar;
+
     if (isMiniAvatar) {
         document.body.classList.add('mini-avatar');
 
@@ -1473,6 +2164,7 @@ function stopScreenCapture() {
     if (isMiniAvatar) {
         isMiniAvatar = false;
         document.body.classList.remove('mini-avatar');
+        if (cameraControls) cameraControls.enabled = true;
         const btn = document.getElementById('toggle-avatar-size');
         if (btn) btn.innerHTML = 'Avatar<br>Full';
 
@@ -1506,10 +2198,101 @@ let compositeCanvas = null;
 let compositeCtx = null;
 let compositeAnimationId = null;
 
-function startRecording() {
+// 녹화 합성 프레임: 화면 공유 배경 + 아바타 + 대화 메시지 (실시간 녹화 / 오프라인 내보내기 공용)
+function drawCompositeFrame(ctx, width, height) {
     const avatarCanvas = document.getElementById('output_canvas');
     const screenBg = document.getElementById('screen-background');
 
+    // 1. 배경 그리기 (화면 공유가 있으면)
+    if (screenBg && screenBg.srcObject) {
+        // 비디오를 캔버스 중앙에 맞춰 그리기
+        const videoAspect = screenBg.videoWidth / screenBg.videoHeight;
+        const canvasAspect = width / height;
+
+        let drawWidth, drawHeight, drawX, drawY;
+
+        if (videoAspect > canvasAspect) {
+            drawWidth = width;
+            drawHeight = drawWidth / videoAspect;
+            drawX = 0;
+            drawY = (height - drawHeight) / 2;
+        } else {
+            drawHeight = height;
+            drawWidth = drawHeight * videoAspect;
+            drawX = (width - drawWidth) / 2;
+            drawY = 0;
+        }
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(screenBg, drawX, drawY, drawWidth, drawHeight);
+    } else {
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    // 2. 아바타 캔버스 그리기
+    if (isMiniAvatar) {
+        // 미니 모드: 현재 위치에 맞춰 그리기
+        const miniWidth = 300;
+        const miniHeight = 400;
+
+        // 현재 창 크기에 맞게 위치 클램프 (창 크기 변경 대응)
+        const clampedX = Math.min(miniAvatarPosition.x || 0, window.innerWidth - miniWidth);
+        const clampedY = Math.min(miniAvatarPosition.y || 0, window.innerHeight - miniHeight);
+        const safeX = Math.max(0, clampedX);
+        const safeY = Math.max(0, clampedY);
+
+        // 균일한 스케일 사용 (비율 유지)
+        const scaleX = width / window.innerWidth;
+        const scaleY = height / window.innerHeight;
+        const uniformScale = Math.min(scaleX, scaleY);
+
+        const scaledWidth = miniWidth * uniformScale;
+        const scaledHeight = miniHeight * uniformScale;
+
+        // 위치 계산: 하단/우측 경계 기준으로 정렬
+        // 미니 아바타의 우측 끝이 창 우측에 있으면 녹화에서도 우측에
+        // 미니 아바타의 하단 끝이 창 하단에 있으면 녹화에서도 하단에
+        const rightEdge = safeX + miniWidth;
+        const bottomEdge = safeY + miniHeight;
+
+        // X 위치: 우측 경계 기준으로 계산
+        const miniX = (rightEdge / window.innerWidth) * width - scaledWidth;
+        // Y 위치: 하단 경계 기준으로 계산
+        const miniY = (bottomEdge / window.innerHeight) * height - scaledHeight;
+
+        ctx.drawImage(avatarCanvas, miniX, miniY, scaledWidth, scaledHeight);
+    } else {
+        // 풀 모드: 비율 유지하며 하단 정렬 (프리뷰와 동일하게)
+        const avatarAspect = avatarCanvas.width / avatarCanvas.height;
+        const canvasAspect = width / height;
+        let drawWidth, drawHeight, drawX, drawY;
+
+        if (avatarAspect > canvasAspect) {
+            // 아바타가 더 넓음 - 좌우 맞춤, 상단 여백 (하단 정렬)
+            drawWidth = width;
+            drawHeight = drawWidth / avatarAspect;
+            drawX = 0;
+            drawY = height - drawHeight;  // 하단 정렬
+        } else {
+            // 아바타가 더 높음 - 상하 맞춤, 좌우 중앙 정렬
+            drawHeight = height;
+            drawWidth = drawHeight * avatarAspect;
+            drawX = (width - drawWidth) / 2;
+            drawY = 0;
+        }
+
+        ctx.drawImage(avatarCanvas, drawX, drawY, drawWidth, drawHeight);
+    }
+
+    // 3. 대화 메시지 그리기
+    drawDialogueToCanvas(ctx, width, height);
+}
+
+function startRecording() {
+    const avatarCanvas = document.getElementById('output_canvas');
+
     if (!avatarCanvas) return;
 
     recordedChunks = [];
@@ -1524,92 +2307,7 @@ function startRecording() {
 
     // 합성 루프 시작
     function compositeFrame() {
-        // 1. 배경 그리기 (화면 공유가 있으면)
-        if (screenBg && screenBg.srcObject) {
-            // 비디오를 캔버스 중앙에 맞춰 그리기
-            const videoAspect = screenBg.videoWidth / screenBg.videoHeight;
-            const canvasAspect = compositeCanvas.width / compositeCanvas.height;
-
-            let drawWidth, drawHeight, drawX, drawY;
-
-            if (videoAspect > canvasAspect) {
-                drawWidth = compositeCanvas.width;
-                drawHeight = drawWidth / videoAspect;
-                drawX = 0;
-                drawY = (compositeCanvas.height - drawHeight) / 2;
-            } else {
-                drawHeight = compositeCanvas.height;
-                drawWidth = drawHeight * videoAspect;
-                drawX = (compositeCanvas.width - drawWidth) / 2;
-                drawY = 0;
-            }
-
-            compositeCtx.fillStyle = '#000';
-            compositeCtx.fillRect(0, 0, compositeCanvas.width, compositeCanvas.height);
-            compositeCtx.drawImage(screenBg, drawX, drawY, drawWidth, drawHeight);
-        } else {
-            compositeCtx.fillStyle = '#000';
-            compositeCtx.fillRect(0, 0, compositeCanvas.width, compositeCanvas.height);
-        }
-
-        // 2. 아바타 캔버스 그리기
-        if (isMiniAvatar) {
-            // 미니 모드: 현재 위치에 맞춰 그리기
-            const miniWidth = 300;
-            const miniHeight = 400;
-
-            // 현재 창 크기에 맞게 위치 클램프 (창 크기 변경 대응)
-            const clampedX = Math.min(miniAvatarPosition.x || 0, window.innerWidth - miniWidth);
-            const clampedY = Math.min(miniAvatarPosition.y || 0, window.innerHeight - miniHeight);
-            const safeX = Math.max(0, clampedX);
-            const safeY = Math.max(0, clampedY);
-
-            // 균일한 스케일 사용 (비율 유지)
-            const scaleX = compositeCanvas.width / window.innerWidth;
-            const scaleY = compositeCanvas.height / window.innerHeight;
-            const uniformScale = Math.min(scaleX, scaleY);
-
-            const scaledWidth = miniWidth * uniformScale;
-            const scaledHeight = miniHeight * uniformScale;
-
-            // 위치 계산: 하단/우측 경계 기준으로 정렬
-            // 미니 아바타의 우측 끝이 창 우측에 있으면 녹화에서도 우측에
-            // 미니 아바타의 하단 끝이 창 하단에 있으면 녹화에서도 하단에
-            const rightEdge = safeX + miniWidth;
-            const bottomEdge = safeY + miniHeight;
-
-            // X 위치: 우측 경계 기준으로 계산
-            const miniX = (rightEdge / window.innerWidth) * compositeCanvas.width - scaledWidth;
-            // Y 위치: 하단 경계 기준으로 계산
-            const miniY = (bottomEdge / window.innerHeight) * compositeCanvas.height - scaledHeight;
-
-            compositeCtx.drawImage(avatarCanvas, miniX, miniY, scaledWidth, scaledHeight);
-        } else {
-            // 풀 모드: 비율 유지하며 하단 정렬 (프리뷰와 동일하게)
-            const avatarAspect = avatarCanvas.width / avatarCanvas.height;
-            const canvasAspect = compositeCanvas.width / compositeCanvas.height;
-            let drawWidth, drawHeight, drawX, drawY;
-
-            if (avatarAspect > canvasAspect) {
-                // 아바타가 더 넓음 - 좌우 맞춤, 상단 여백 (하단 정렬)
-                drawWidth = compositeCanvas.width;
-                drawHeight = drawWidth / avatarAspect;
-                drawX = 0;
-                drawY = compositeCanvas.height - drawHeight;  // 하단 정렬
-            } else {
-                // 아바타가 더 높음 - 상하 맞춤, 좌우 중앙 정렬
-                drawHeight = compositeCanvas.height;
-                drawWidth = drawHeight * avatarAspect;
-                drawX = (compositeCanvas.width - drawWidth) / 2;
-                drawY = 0;
-            }
-
-            compositeCtx.drawImage(avatarCanvas, drawX, drawY, drawWidth, drawHeight);
-        }
-
-        // 3. 대화 메시지 그리기
-        drawDialogueToCanvas(compositeCtx, compositeCanvas.width, compositeCanvas.height);
-
+        drawCompositeFrame(compositeCtx, compositeCanvas.width, compositeCanvas.height);
         compositeAnimationId = requestAnimationFrame(compositeFrame);
     }
     compositeFrame();
@@ -1646,9 +2344,26 @@ function startRecording() {
         micGainNode.connect(audioDestination);
     }
 
+    // TTS 음성 추가 (http backend, 볼륨 믹서와 무관하게 그대로)
+    if (ttsStreamDestination) {
+        const ttsAudioSource = audioContext.createMediaStreamSource(ttsStreamDestination.stream);
+        ttsAudioSource.connect(audioDestination);
+    }
+    if (ttsSettings.enabled && ttsSettings.backend === 'browser') {
+        console.warn('[TTS] Browser voices are not included in recordings. Use the local HTTP backend to record speech.');
+    }
+
+    // 트래킹 중인 영상 파일의 오디오 추가 (볼륨 믹서와 무관하게 그대로)
+    if (isVideoFileSource() && videoFileStreamDestination) {
+        const videoFileAudioSource = audioContext.createMediaStreamSource(videoFileStreamDestination.stream);
+        videoFileAudioSource.connect(audioDestination);
+    }
+
     // 비디오 + 오디오 스트림 합성 (오디오 소스가 있을 때만 오디오 추가)
     const hasAudioSource = (micStream && micStream.getAudioTracks().length > 0) ||
-                           (screenStream && screenStream.getAudioTracks().length > 0);
+                           (screenStream && screenStream.getAudioTracks().length > 0) ||
+                           !!ttsStreamDestination ||
+                           (isVideoFileSource() && !!videoFileStreamDestination);
 
     const streamTracks = [...canvasStream.getVideoTracks()];
     if (hasAudioSource) {
@@ -1747,17 +2462,21 @@ function downloadRecording() {
     }
 
     const blob = new Blob(recordedChunks, { type: 'video/webm' });
+    downloadBlob(blob, `avatar-recording-${Date.now()}.webm`);
+    recordedChunks = [];
+}
+
+function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
 
     const a = document.createElement('a');
     a.href = url;
-    a.download = `avatar-recording-${Date.now()}.webm`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
 
     URL.revokeObjectURL(url);
-    recordedChunks = [];
 }
 
 function updateScreenCaptureButtons(isCapturing) {
@@ -1792,821 +2511,5343 @@ function toggleRecording() {
     }
 }
 
-function updateView() {
-    if (isDebugView) {
-        document.body.classList.add('debug-view');
+// ============================================================
+// Motion Recording (VRMA / BVH Export)
+// 매 프레임 정규화된 humanoid 본 회전과 표정 값을 샘플링하여
+// VRM Animation(.vrma) / BVH 파일로 내보냄
+// ============================================================
+const BVH_FPS = 30;          // BVH는 고정 프레임 간격이 필요하므로 리샘플링
+const BVH_SCALE = 100;       // m → cm (Blender/Unity BVH 임포터 기본 단위)
+
+function toggleMotionRecording() {
+    if (isMotionRecording) {
+        stopMotionRecording();
     } else {
-        document.body.classList.remove('debug-view');
+        startMotionRecording();
     }
 }
 
-function updateDevOptions() {
-    // Update Debug option buttons
-    document.querySelectorAll('.option-btn[data-dev="debug-on"]').forEach(btn => {
-        btn.classList.toggle('active', isDebugView);
-    });
-    document.querySelectorAll('.option-btn[data-dev="debug-off"]').forEach(btn => {
-        btn.classList.toggle('active', !isDebugView);
-    });
+function startMotionRecording() {
+    if (!currentVrm) {
+        alert('아바타가 로드되지 않았습니다.');
+        return;
+    }
 
-    // Update Landmarks option buttons
-    document.querySelectorAll('.option-btn[data-dev="landmarks-on"]').forEach(btn => {
-        btn.classList.toggle('active', DEBUG_MODE);
-    });
-    document.querySelectorAll('.option-btn[data-dev="landmarks-off"]').forEach(btn => {
-        btn.classList.toggle('active', !DEBUG_MODE);
-    });
+    motionSkeleton = captureMotionSkeleton(currentVrm);
+    motionFrames = [];
+    motionStartTime = performance.now();
+    isMotionRecording = true;
+    updateDevOptions();
+    console.log('[Motion] Recording started');
 }
 
-function setupScene(canvas) {
-    const sceneWrapper = document.getElementById('scene-wrapper');
-    const width = sceneWrapper ? sceneWrapper.clientWidth : window.innerWidth / 2;
-    const height = sceneWrapper ? sceneWrapper.clientHeight : window.innerHeight;
+function stopMotionRecording() {
+    isMotionRecording = false;
+    updateDevOptions();
+    console.log(`[Motion] Recording stopped (${motionFrames.length} frames)`);
+}
 
-    scene = new THREE.Scene();
+// 골격 구조는 녹화 시작 시점에 고정 (녹화 도중 아바타가 바뀌어도 내보내기가 깨지지 않도록)
+function captureMotionSkeleton(vrm) {
+    const humanoid = vrm.humanoid;
+    // VRM 0.x 정규화 본은 Y축 180도 회전된 좌표계 → VRM 1.0 기준으로 변환
+    const flip = vrm.meta?.metaVersion === '0';
+    const restPose = humanoid.normalizedRestPose;
+
+    const bones = [];
+    for (const name of VRMHumanBoneList) {
+        if (!humanoid.getNormalizedBoneNode(name)) continue;
+
+        // 선택 본(upperChest 등)이 없으면 존재하는 가장 가까운 조상에 연결
+        let parent = VRMHumanBoneParentMap[name];
+        while (parent && !humanoid.getNormalizedBoneNode(parent)) {
+            parent = VRMHumanBoneParentMap[parent];
+        }
 
-    camera = new THREE.PerspectiveCamera(30.0, width / height, 0.1, 20.0);
-    camera.position.set(0.0, 1.4, 1.5);
+        const pos = restPose[name]?.position ?? [0, 0, 0];
+        bones.push({
+            name,
+            parent,
+            offset: flip ? [-pos[0], pos[1], -pos[2]] : [pos[0], pos[1], pos[2]]
+        });
+    }
 
-    const light = new THREE.DirectionalLight(0xffffff, 1.0);
-    light.position.set(1.0, 1.0, 1.0).normalize();
-    scene.add(light);
+    const presetNames = new Set(Object.keys(vrm.expressionManager?.presetExpressionMap ?? {}));
+    return { bones, flip, presetNames };
+}
 
-    renderer = new THREE.WebGLRenderer({ canvas: canvas, alpha: true, antialias: true });
-    renderer.setSize(width, height);
-    renderer.setPixelRatio(window.devicePixelRatio);
+function sampleMotionFrame(timestamp) {
+    if (!isMotionRecording || !currentVrm || !motionSkeleton) return;
 
-    // WebGL 컨텍스트 손실 처리
-    canvas.addEventListener('webglcontextlost', (event) => {
-        event.preventDefault();
-        console.error('[WebGL] Context lost');
-        alert('그래픽 컨텍스트가 손실되었습니다. 페이지를 새로고침해주세요.');
-    });
+    const humanoid = currentVrm.humanoid;
+    const flip = motionSkeleton.flip;
 
-    canvas.addEventListener('webglcontextrestored', () => {
-        console.log('[WebGL] Context restored');
+    const rotations = {};
+    for (const { name } of motionSkeleton.bones) {
+        const node = humanoid.getNormalizedBoneNode(name);
+        if (!node) continue;
+        const q = node.quaternion;
+        rotations[name] = flip ? [-q.x, q.y, -q.z, q.w] : [q.x, q.y, q.z, q.w];
+    }
+
+    const hipsNode = humanoid.getNormalizedBoneNode('hips');
+    const p = hipsNode ? hipsNode.position : new THREE.Vector3();
+    const hips = flip ? [-p.x, p.y, -p.z] : [p.x, p.y, p.z];
+
+    const expressions = {};
+    for (const expression of currentVrm.expressionManager?.expressions ?? []) {
+        expressions[expression.expressionName] = expression.weight;
+    }
+
+    motionFrames.push({
+        time: (timestamp - motionStartTime) / 1000,
+        rotations,
+        hips,
+        expressions
     });
+}
 
-    const resizeObserver = new ResizeObserver(() => {
-        if (sceneWrapper) {
-            const newWidth = sceneWrapper.clientWidth;
-            const newHeight = sceneWrapper.clientHeight;
-            if (newWidth > 0 && newHeight > 0) {
-                camera.aspect = newWidth / newHeight;
-                camera.updateProjectionMatrix();
-                renderer.setSize(newWidth, newHeight);
-            }
+function exportMotionVRMA() {
+    if (motionFrames.length < 2) {
+        console.warn('[Motion] No recorded motion available');
+        return;
+    }
+    const glb = buildVRMA(motionSkeleton, motionFrames);
+    downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), `avatar-motion-${Date.now()}.vrma`);
+}
+
+function exportMotionBVH() {
+    if (motionFrames.length < 2) {
+        console.warn('[Motion] No recorded motion available');
+        return;
+    }
+    const bvh = buildBVH(motionSkeleton, motionFrames);
+    downloadBlob(new Blob([bvh], { type: 'text/plain' }), `avatar-motion-${Date.now()}.bvh`);
+}
+
+// VRMC_vrm_animation 확장을 사용하는 glTF(GLB) 생성
+// - 노드 rest 회전은 모두 identity (정규화 본 = T-Pose)
+// - 표정은 노드 translation.x 값으로 표현
+function buildVRMA(skeleton, frames) {
+    const nodes = [];
+    const nodeIndex = {};
+    const rootNodes = [];
+
+    skeleton.bones.forEach((bone) => {
+        nodeIndex[bone.name] = nodes.length;
+        nodes.push({ name: bone.name, translation: bone.offset });
+    });
+    skeleton.bones.forEach((bone) => {
+        if (bone.parent) {
+            const parentNode = nodes[nodeIndex[bone.parent]];
+            (parentNode.children ??= []).push(nodeIndex[bone.name]);
+        } else {
+            rootNodes.push(nodeIndex[bone.name]);
         }
     });
-    if (sceneWrapper) resizeObserver.observe(sceneWrapper);
-}
 
-async function setupWebcam() {
-    video = document.getElementById('webcam');
-    try {
-        webcamStream = await navigator.mediaDevices.getUserMedia({
-            video: { width: VIDEO_WIDTH, height: VIDEO_HEIGHT }
-        });
-        video.srcObject = webcamStream;
-        await new Promise((resolve) => {
-            video.onloadedmetadata = () => {
-                resolve(video);
-            };
-        });
-        video.play();
+    const expressionNames = Object.keys(frames[0].expressions);
+    const expressionNodeIndex = {};
+    for (const name of expressionNames) {
+        expressionNodeIndex[name] = nodes.length;
+        rootNodes.push(nodes.length);
+        nodes.push({ name: `Expression_${name}` });
+    }
 
-        // 외부에서 카메라가 종료되면 (다른 앱이 점유, 장치 분리 등)
-        webcamStream.getVideoTracks().forEach(track => {
-            track.onended = () => {
-                console.warn('[Camera] Camera track ended externally');
-                if (isCameraEnabled) {
-                    isCameraEnabled = false;
-                    webcamStream = null;
-                    if (video) video.srcObject = null;
-                    updateCameraButton();
-                }
-            };
-        });
+    // 바이너리 버퍼 & accessor 구성
+    const binChunks = [];
+    const bufferViews = [];
+    const accessors = [];
+    let byteLength = 0;
+
+    const addAccessor = (array, type, min, max) => {
+        bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: array.byteLength });
+        binChunks.push(array);
+        byteLength += array.byteLength;
+
+        const componentCount = { SCALAR: 1, VEC3: 3, VEC4: 4 }[type];
+        const accessor = {
+            bufferView: bufferViews.length - 1,
+            componentType: 5126, // FLOAT
+            count: array.length / componentCount,
+            type
+        };
+        if (min) accessor.min = min;
+        if (max) accessor.max = max;
+        accessors.push(accessor);
+        return accessors.length - 1;
+    };
 
-        isCameraEnabled = true;
-        updateCameraButton();
-    } catch (err) {
-        console.error("Error accessing webcam:", err);
+    const times = new Float32Array(frames.map(f => f.time));
+    const timeAccessor = addAccessor(times, 'SCALAR', [times[0]], [times[times.length - 1]]);
+
+    const samplers = [];
+    const channels = [];
+    const addChannel = (node, path, values, type) => {
+        samplers.push({ input: timeAccessor, output: addAccessor(values, type), interpolation: 'LINEAR' });
+        channels.push({ sampler: samplers.length - 1, target: { node, path } });
+    };
+
+    for (const { name } of skeleton.bones) {
+        const values = new Float32Array(frames.length * 4);
+        frames.forEach((frame, i) => values.set(frame.rotations[name] ?? [0, 0, 0, 1], i * 4));
+        addChannel(nodeIndex[name], 'rotation', values, 'VEC4');
+    }
+
+    if (nodeIndex.hips !== undefined) {
+        const values = new Float32Array(frames.length * 3);
+        frames.forEach((frame, i) => values.set(frame.hips, i * 3));
+        addChannel(nodeIndex.hips, 'translation', values, 'VEC3');
+    }
+
+    for (const name of expressionNames) {
+        const values = new Float32Array(frames.length * 3);
+        frames.forEach((frame, i) => { values[i * 3] = frame.expressions[name] ?? 0; });
+        addChannel(expressionNodeIndex[name], 'translation', values, 'VEC3');
+    }
+
+    const humanBones = {};
+    for (const { name } of skeleton.bones) {
+        humanBones[name] = { node: nodeIndex[name] };
+    }
+
+    const preset = {};
+    const custom = {};
+    for (const name of expressionNames) {
+        const target = skeleton.presetNames.has(name) ? preset : custom;
+        target[name] = { node: expressionNodeIndex[name] };
+    }
+
+    const json = {
+        asset: { version: '2.0', generator: 'prismic-eagle motion recorder' },
+        extensionsUsed: ['VRMC_vrm_animation'],
+        extensions: {
+            VRMC_vrm_animation: {
+                specVersion: '1.0',
+                humanoid: { humanBones },
+                expressions: { preset, custom }
+            }
+        },
+        scene: 0,
+        scenes: [{ nodes: rootNodes }],
+        nodes,
+        animations: [{ name: 'Motion', samplers, channels }],
+        accessors,
+        bufferViews,
+        buffers: [{ byteLength }]
+    };
+
+    return encodeGLB(json, binChunks, byteLength);
+}
+
+// glTF JSON + 바이너리 → GLB 컨테이너
+function encodeGLB(json, binChunks, binLength) {
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonPadded = Math.ceil(jsonBytes.length / 4) * 4;
+    const binPadded = Math.ceil(binLength / 4) * 4;
+    const totalLength = 12 + 8 + jsonPadded + 8 + binPadded;
+
+    const buffer = new ArrayBuffer(totalLength);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    // Header
+    view.setUint32(0, 0x46546C67, true); // 'glTF'
+    view.setUint32(4, 2, true);
+    view.setUint32(8, totalLength, true);
+
+    // JSON chunk (공백으로 패딩)
+    view.setUint32(12, jsonPadded, true);
+    view.setUint32(16, 0x4E4F534A, true); // 'JSON'
+    bytes.set(jsonBytes, 20);
+    bytes.fill(0x20, 20 + jsonBytes.length, 20 + jsonPadded);
+
+    // BIN chunk (0으로 패딩)
+    let offset = 20 + jsonPadded;
+    view.setUint32(offset, binPadded, true);
+    view.setUint32(offset + 4, 0x004E4942, true); // 'BIN'
+    offset += 8;
+    for (const chunk of binChunks) {
+        bytes.set(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength), offset);
+        offset += chunk.byteLength;
     }
+
+    return buffer;
 }
 
-// 카메라 토글
-async function toggleCamera() {
-    const btn = document.getElementById('toggle-camera');
+// BVH 생성 (회전 채널 순서: ZXY, 단위: cm / degree)
+function buildBVH(skeleton, frames) {
+    const children = {};
+    for (const bone of skeleton.bones) {
+        if (bone.parent) (children[bone.parent] ??= []).push(bone);
+    }
 
-    if (isCameraEnabled) {
-        // 카메라 비활성화
-        if (webcamStream) {
-            webcamStream.getTracks().forEach(track => track.stop());
-            webcamStream = null;
+    const lines = ['HIERARCHY'];
+    const channelBones = [];
+    const fmt = (v) => v.toFixed(4);
+
+    const writeJoint = (bone, depth) => {
+        const indent = '\t'.repeat(depth);
+        const isRoot = depth === 0;
+        // 루트 위치는 채널에서 절대값으로 기록하므로 OFFSET은 0
+        const offset = isRoot ? [0, 0, 0] : bone.offset.map(v => v * BVH_SCALE);
+
+        lines.push(`${indent}${isRoot ? 'ROOT' : 'JOINT'} ${bone.name}`);
+        lines.push(`${indent}{`);
+        lines.push(`${indent}\tOFFSET ${offset.map(fmt).join(' ')}`);
+        lines.push(isRoot
+            ? `${indent}\tCHANNELS 6 Xposition Yposition Zposition Zrotation Xrotation Yrotation`
+            : `${indent}\tCHANNELS 3 Zrotation Xrotation Yrotation`);
+        channelBones.push(bone.name);
+
+        const kids = children[bone.name] ?? [];
+        if (kids.length > 0) {
+            kids.forEach(child => writeJoint(child, depth + 1));
+        } else {
+            // 말단 본: 본 방향으로 짧은 End Site 추가
+            const tip = bone.offset.map(v => v * BVH_SCALE * 0.5);
+            lines.push(`${indent}\tEnd Site`);
+            lines.push(`${indent}\t{`);
+            lines.push(`${indent}\t\tOFFSET ${tip.map(fmt).join(' ')}`);
+            lines.push(`${indent}\t}`);
         }
-        if (video) {
-            video.srcObject = null;
+        lines.push(`${indent}}`);
+    };
+
+    const roots = skeleton.bones.filter(bone => !bone.parent);
+    roots.forEach(root => writeJoint(root, 0));
+
+    // 고정 fps로 리샘플링
+    const duration = frames[frames.length - 1].time;
+    const frameCount = Math.floor(duration * BVH_FPS) + 1;
+    lines.push('MOTION');
+    lines.push(`Frames: ${frameCount}`);
+    lines.push(`Frame Time: ${(1 / BVH_FPS).toFixed(6)}`);
+
+    const qa = new THREE.Quaternion();
+    const qb = new THREE.Quaternion();
+    const euler = new THREE.Euler();
+    const toDeg = THREE.MathUtils.RAD2DEG;
+    let cursor = 0;
+
+    for (let f = 0; f < frameCount; f++) {
+        const t = f / BVH_FPS;
+        while (cursor < frames.length - 2 && frames[cursor + 1].time <= t) cursor++;
+
+        const a = frames[cursor];
+        const b = frames[Math.min(cursor + 1, frames.length - 1)];
+        const span = b.time - a.time;
+        const alpha = span > 0 ? THREE.MathUtils.clamp((t - a.time) / span, 0, 1) : 0;
+
+        const values = [];
+        for (const name of channelBones) {
+            if (name === roots[0].name) {
+                for (let i = 0; i < 3; i++) {
+                    values.push(THREE.MathUtils.lerp(a.hips[i], b.hips[i], alpha) * BVH_SCALE);
+                }
+            }
+            qa.fromArray(a.rotations[name] ?? [0, 0, 0, 1]);
+            qb.fromArray(b.rotations[name] ?? [0, 0, 0, 1]);
+            qa.slerp(qb, alpha);
+            euler.setFromQuaternion(qa, 'ZXY');
+            values.push(euler.z * toDeg, euler.x * toDeg, euler.y * toDeg);
         }
-        isCameraEnabled = false;
+        lines.push(values.map(fmt).join(' '));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// ============================================================
+// Tracking Session (MediaPipe 원본 결과 기록 / 재생)
+// 웹캠 없이 동일한 적용 경로(applyBlendshapes/applyPose/applyHands)로
+// 재생하여 떨림·IK 버그를 결정적으로 재현하기 위함
+// ============================================================
+const SESSION_FORMAT_VERSION = 1;
+
+function toggleSessionRecording() {
+    if (isSessionRecording) {
+        stopSessionRecording();
     } else {
-        // 카메라 활성화
+        startSessionRecording();
+    }
+}
+
+function startSessionRecording() {
+    if (isSessionReplaying) {
+        console.warn('[Session] Cannot record while replaying');
+        return;
+    }
+    sessionFrames = [];
+    sessionStartTime = performance.now();
+    isSessionRecording = true;
+    updateDevOptions();
+    console.log('[Session] Recording started');
+}
+
+function stopSessionRecording() {
+    isSessionRecording = false;
+    updateDevOptions();
+    console.log(`[Session] Recording stopped (${sessionFrames.length} frames)`);
+
+    if (sessionFrames.length === 0) {
+        console.warn('[Session] No tracking data recorded');
+        return;
+    }
+
+    // NDJSON: 첫 줄은 헤더, 이후 한 줄에 한 프레임
+    const header = {
+        type: 'session',
+        version: SESSION_FORMAT_VERSION,
+        videoWidth: video?.videoWidth || VIDEO_WIDTH,
+        videoHeight: video?.videoHeight || VIDEO_HEIGHT,
+        createdAt: new Date().toISOString()
+    };
+    const lines = [JSON.stringify(header), ...sessionFrames.map(frame => JSON.stringify(frame))];
+    downloadBlob(new Blob([lines.join('\n') + '\n'], { type: 'application/x-ndjson' }),
+        `tracking-session-${Date.now()}.ndjson`);
+    sessionFrames = [];
+}
+
+function recordSessionFrame(results) {
+    if (!isSessionRecording) return;
+    // 모든 모델이 건너뛴 프레임 (이전 결과 재사용)은 새 프레임이 아니므로 기록하지 않음
+    const stale = results.stale;
+    if (stale && ['face', 'hands', 'pose'].every(model => stale[model] || !results[model])) return;
+    sessionFrames.push(serializeTrackingResults(results, results.timestamp - sessionStartTime));
+}
+
+// 재생에 필요한 필드만 직렬화 (faceLandmarks 478개는 용량 문제로 제외)
+// 재사용된 (stale) 결과는 생략하고, 재생 시 직전 프레임 값으로 채움 (parseTrackingSession)
+function serializeTrackingResults(results, t) {
+    const { face, hands, pose } = results;
+    const toCategories = (list) => list.map(({ categoryName, score }) => ({ categoryName, score }));
+    const toLandmarks = (list) => list.map(({ x, y, z, visibility }) => (
+        visibility === undefined ? { x, y, z } : { x, y, z, visibility }
+    ));
+
+    const frame = {
+        t,
+        bodyTracking: results.bodyTracking,
+        face: face ? {
+            faceBlendshapes: (face.faceBlendshapes ?? []).map(c => ({ categories: toCategories(c.categories) })),
+            facialTransformationMatrixes: (face.facialTransformationMatrixes ?? []).map(m => ({
+                rows: m.rows,
+                columns: m.columns,
+                data: Array.from(m.data)
+            }))
+        } : null,
+        hands: hands ? {
+            landmarks: (hands.landmarks ?? []).map(toLandmarks),
+            worldLandmarks: (hands.worldLandmarks ?? []).map(toLandmarks),
+            handednesses: (hands.handednesses ?? []).map(toCategories)
+        } : null,
+        pose: pose ? {
+            landmarks: (pose.landmarks ?? []).map(toLandmarks),
+            worldLandmarks: (pose.worldLandmarks ?? []).map(toLandmarks)
+        } : null
+    };
+    for (const model of ['face', 'hands', 'pose']) {
+        if (results.stale?.[model]) delete frame[model];
+    }
+    return frame;
+}
+
+// JSON 배열, { frames: [...] } 객체, NDJSON 모두 허용
+// .ndjson / .jsonl은 항상 줄 단위로 읽음 (한 줄짜리 NDJSON도 JSON 객체로 오인하지 않도록)
+function parseTrackingSession(text, name = '') {
+    const parseLines = () => text.split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .map(line => JSON.parse(line));
+
+    let entries = null;
+    if (!/\.(ndjson|jsonl)$/i.test(name)) {
         try {
-            webcamStream = await navigator.mediaDevices.getUserMedia({
-                video: { width: VIDEO_WIDTH, height: VIDEO_HEIGHT }
-            });
+            const parsed = JSON.parse(text);
+            if (Array.isArray(parsed)) entries = parsed;
+            else if (Array.isArray(parsed?.frames)) entries = parsed.frames;
+        } catch (e) {
+            // 여러 줄 NDJSON
+        }
+    }
+    entries ??= parseLines();
 
-            // 외부에서 카메라가 종료되면
-            webcamStream.getVideoTracks().forEach(track => {
-                track.onended = () => {
-                    console.warn('[Camera] Camera track ended externally');
-                    if (isCameraEnabled) {
-                        isCameraEnabled = false;
-                        webcamStream = null;
-                        if (video) video.srcObject = null;
-                        updateCameraButton();
-                    }
-                };
-            });
+    const header = entries.find(entry => entry.type === 'session');
+    if (header && header.version > SESSION_FORMAT_VERSION) {
+        console.warn('[Session] Newer session format version:', header.version);
+    }
 
-            if (video) {
-                video.srcObject = webcamStream;
-                video.play();
-            }
-            isCameraEnabled = true;
-        } catch (err) {
-            console.error("Camera access error:", err);
-            alert('카메라 접근 권한이 필요합니다.');
-            return;
+    const frames = entries
+        .filter(entry => typeof entry.t === 'number')
+        .sort((a, b) => a.t - b.t);
+
+    // 생략된 (기록 시 재사용된) 결과는 직전 프레임 값으로
+    let previous = null;
+    for (const frame of frames) {
+        for (const model of ['face', 'hands', 'pose']) {
+            if (!(model in frame)) frame[model] = previous?.[model] ?? null;
         }
+        previous = frame;
     }
-    updateCameraButton();
+    return frames;
 }
 
-function updateCameraButton() {
-    const btn = document.getElementById('toggle-camera');
-    if (btn) {
-        btn.innerHTML = isCameraEnabled ? 'Cam<br>ON' : 'Cam<br>OFF';
-        btn.classList.toggle('camera-active', isCameraEnabled);
+function startSessionReplay(frames) {
+    if (frames.length === 0) {
+        alert('재생할 트래킹 데이터가 없습니다.');
+        return;
+    }
+    if (isSessionRecording) {
+        stopSessionRecording();
     }
+
+    replayFrames = frames;
+    restartSessionReplay(performance.now());
+    isSessionReplaying = true;
+    updateDevOptions();
+    console.log(`[Session] Replay started (${frames.length} frames, ${(frames[frames.length - 1].t / 1000).toFixed(1)}s)`);
 }
 
-async function setupMediaPipe() {
-    try {
-        const filesetResolver = await FilesetResolver.forVisionTasks(
-            "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.32/wasm"
-        );
+function stopSessionReplay() {
+    isSessionReplaying = false;
+    replayFrames = [];
+    resetTrackingState();
+    updateDevOptions();
+    console.log('[Session] Replay stopped');
+}
 
-        faceLandmarker = await FaceLandmarker.createFromOptions(filesetResolver, {
-            baseOptions: {
-                modelAssetPath: `https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task`,
-                delegate: "GPU"
-            },
-            outputFaceBlendshapes: true,
-            outputFacialTransformationMatrixes: true,
-            runningMode: "VIDEO",
-            numFaces: 1
-        });
+// 재생 시작/반복 시 필터와 hysteresis 상태를 초기화하여 매번 동일한 결과를 보장
+function restartSessionReplay(now) {
+    replayStartTime = now;
+    replayIndex = 0;
+    lastReplayTimestamp = replayFrames.length > 0 ? replayFrames[0].t : 0;
+    resetTrackingState();
+}
 
-        poseLandmarker = await PoseLandmarker.createFromOptions(filesetResolver, {
-            baseOptions: {
-                modelAssetPath: `https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task`,
-                delegate: "GPU"
-            },
-            runningMode: "VIDEO",
-            numPoses: 1
-        });
+function resetTrackingState() {
+    resetTrackingFilters();
+    resetDetectionScheduler();
+    leftArmActive = false;
+    rightArmActive = false;
+    detectedHands.left = null;
+    detectedHands.right = null;
+    resetTorsoTranslation();
+}
 
-        handLandmarker = await HandLandmarker.createFromOptions(filesetResolver, {
-            baseOptions: {
-                modelAssetPath: `https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`,
-                delegate: "GPU"
-            },
-            runningMode: "VIDEO",
-            numHands: 2
-        });
+// 경과 시간까지의 프레임을 순서대로 모두 적용
+// deltaTime/timestamp는 벽시계가 아닌 세션에 기록된 시간을 사용 (결정적 재생)
+function updateSessionReplay(now) {
+    const elapsed = now - replayStartTime + replayFrames[0].t;
 
-        console.log("MediaPipe (Face, Pose, Hand) initialized");
-    } catch (err) {
-        console.error("MediaPipe init error:", err);
-        alert('MediaPipe 초기화 실패. 인터넷 연결을 확인하고 페이지를 새로고침해주세요.');
+    while (replayIndex < replayFrames.length && replayFrames[replayIndex].t <= elapsed) {
+        const frame = replayFrames[replayIndex];
+        const deltaTime = (frame.t - lastReplayTimestamp) / 1000;
+        lastReplayTimestamp = frame.t;
+
+        processTrackingResults({ ...frame, timestamp: frame.t }, deltaTime);
+        replayIndex++;
+    }
+
+    // 끝까지 재생하면 처음부터 반복
+    if (replayIndex >= replayFrames.length) {
+        restartSessionReplay(now);
     }
 }
 
-async function loadAvatar() {
-    const loader = new GLTFLoader();
-    loader.register((parser) => {
-        return new VRMLoaderPlugin(parser);
+function toggleSessionReplay() {
+    if (isSessionReplaying) {
+        stopSessionReplay();
+        return;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.ndjson,.jsonl,.json';
+    input.addEventListener('change', async () => {
+        const file = input.files && input.files[0];
+        if (!file) return;
+        try {
+            startSessionReplay(parseTrackingSession(await file.text(), file.name));
+        } catch (err) {
+            console.error('[Session] Failed to load session:', err);
+            alert('세션 파일을 읽을 수 없습니다: ' + err.message);
+        }
     });
+    input.click();
+}
 
+// ?replay=<url> 로 세션 자동 재생 (카메라 없는 환경용)
+async function loadSessionFromUrl(url) {
     try {
-        const url = './avatar.vrm';
-        const gltf = await loader.loadAsync(url);
-        const vrm = gltf.userData.vrm;
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        startSessionReplay(parseTrackingSession(await response.text(), new URL(url, document.baseURI).pathname));
+    } catch (err) {
+        console.error('[Session] Failed to load session from URL:', url, err);
+    }
+}
 
-        VRMUtils.removeUnnecessaryVertices(gltf.scene);
-        VRMUtils.removeUnnecessaryJoints(gltf.scene);
+// ============================================================
+// Offline Export (WebCodecs 프레임 단위 렌더링)
+// 영상 파일 / 세션 재생 입력을 고정 fps로 한 프레임씩 진행하며 트래킹 → 렌더링 → 합성 → 인코딩
+// 렌더 루프와 벽시계를 쓰지 않으므로 기기 부하와 무관하게 프레임 단위로 정확하고, 실시간보다 빠를 수도 있음
+// (벽시계/마이크에 의존하는 idle layer와 오디오 립싱크는 내보내기에서 제외)
+// ============================================================
+const EXPORT_WIDTH = 1920;
+const EXPORT_HEIGHT = 1080;
+const EXPORT_VIDEO_BITRATE = 8000000;
+const EXPORT_AUDIO_BITRATE = 128000;
+const EXPORT_AUDIO_SAMPLE_RATE = 48000;
+const EXPORT_KEYFRAME_INTERVAL = 2;       // 초
+const EXPORT_VIDEO_CODECS = [
+    { codec: 'vp09.00.10.08', container: 'V_VP9' },
+    { codec: 'vp8', container: 'V_VP8' }
+];
+
+let exportFps = 30;
+let isOfflineExporting = false;
+let isExportCancelled = false;
+
+function setExportFps(fps) {
+    exportFps = fps;
+    document.querySelectorAll('.option-btn[data-export-fps]').forEach(btn => {
+        btn.classList.toggle('active', parseInt(btn.dataset.exportFps, 10) === fps);
+    });
+}
 
-        scene.add(vrm.scene);
-        currentVrm = vrm;
-        console.log("Avatar loaded");
-    } catch (err) {
-        console.error("VRM load error:", err);
-        alert('아바타 로딩 실패. 페이지를 새로고침해주세요.');
+function toggleOfflineExport() {
+    if (isOfflineExporting) {
+        isExportCancelled = true;
+        return;
     }
+    runOfflineExport();
 }
 
-function animate() {
-    requestAnimationFrame(animate);
+async function runOfflineExport() {
+    const source = isVideoFileSource() ? 'video' : (isSessionReplaying ? 'session' : null);
+    if (!source) {
+        alert('오프라인 내보내기는 영상 파일(File) 또는 세션 재생(Replay) 입력에서만 사용할 수 있습니다.');
+        return;
+    }
+    if (typeof VideoEncoder === 'undefined') {
+        alert('이 브라우저는 WebCodecs를 지원하지 않습니다.');
+        return;
+    }
+    if (mediaRecorder && mediaRecorder.state === 'recording') {
+        alert('녹화 중에는 내보낼 수 없습니다.');
+        return;
+    }
+    if (!currentVrm) return;
 
-    const currentTime = performance.now();
-    const deltaTime = (currentTime - lastFrameTime) / 1000; // 초 단위
-    lastFrameTime = currentTime;
+    const fps = exportFps;
+    const duration = source === 'video'
+        ? video.duration
+        : (replayFrames[replayFrames.length - 1].t - replayFrames[0].t) / 1000;
+    if (!Number.isFinite(duration) || duration <= 0) {
+        alert('입력 길이를 알 수 없어 내보낼 수 없습니다.');
+        return;
+    }
+    const frameCount = Math.floor(duration * fps);
 
-    if (video && video.readyState >= 2) {
-        if (DEBUG_MODE && debugCtx) {
-            debugCtx.clearRect(0, 0, debugCanvas.width, debugCanvas.height);
-        }
+    const videoCodec = await pickExportVideoCodec(fps);
+    if (!videoCodec) {
+        alert('지원되는 비디오 코덱(VP9/VP8)이 없습니다.');
+        return;
+    }
 
-        if (video.currentTime !== lastVideoTime) {
-            lastVideoTime = video.currentTime;
+    isOfflineExporting = true;
+    isExportCancelled = false;
+    trackingInterpolation.from = null;
+    trackingInterpolation.to = null;
+    showExportProgress(0, frameCount, 0);
 
-            // 1. Detect Face
-            if (faceLandmarker) {
-                const results = faceLandmarker.detectForVideo(video, currentTime);
-                if (results.faceBlendshapes && results.faceBlendshapes.length > 0) {
-                    applyBlendshapes(results.faceBlendshapes[0], deltaTime);
-                }
-                if (results.facialTransformationMatrixes && results.facialTransformationMatrixes.length > 0) {
-                    applyHeadRotation(results.facialTransformationMatrixes[0], deltaTime);
-                }
-                if (DEBUG_MODE && drawingUtils && results.faceLandmarks) {
-                    for (const landmarks of results.faceLandmarks) {
-                        drawingUtils.drawConnectors(landmarks, FaceLandmarker.FACE_LANDMARKS_TESSELATION, { color: "#90EE90A0", lineWidth: 2 });
-                    }
-                }
+    const wasPlaying = source === 'video' && !video.paused;
+    const resumeTime = source === 'video' ? video.currentTime : 0;
+    let exportLandmarkers = null;
+    let encoder = null;
+
+    try {
+        // 영상 입력은 내보내기 전용 landmarker (타임스탬프를 0부터 다시 시작, 자동 조정 없는 고정 주기)
+        let scheduler = null;
+        if (source === 'video') {
+            video.pause();
+            exportLandmarkers = (await createLandmarkers(resolveModelSettings())).landmarkers;
+            scheduler = new DetectionScheduler({ ...schedulerSettings, adaptive: false });
+        }
+
+        const audioBuffer = source === 'video' ? await decodeVideoFileAudio(duration) : null;
+        const writer = new WebMWriter({
+            video: { codec: videoCodec.container, width: EXPORT_WIDTH, height: EXPORT_HEIGHT },
+            audio: audioBuffer ? { sampleRate: EXPORT_AUDIO_SAMPLE_RATE, channels: audioBuffer.numberOfChannels } : null
+        });
+
+        let encodeError = null;
+        encoder = new VideoEncoder({
+            output: (chunk) => writer.addVideoChunk(chunk),
+            error: (err) => { encodeError = err; }
+        });
+        encoder.configure({
+            codec: videoCodec.codec,
+            width: EXPORT_WIDTH,
+            height: EXPORT_HEIGHT,
+            bitrate: EXPORT_VIDEO_BITRATE,
+            framerate: fps
+        });
+
+        const exportCanvas = document.createElement('canvas');
+        exportCanvas.width = EXPORT_WIDTH;
+        exportCanvas.height = EXPORT_HEIGHT;
+        const exportCtx = exportCanvas.getContext('2d');
+
+        resetTrackingState();
+        resetSpringPhysics();
+        const deltaTime = 1 / fps;
+        const replay = { index: 0, lastTimestamp: source === 'session' ? replayFrames[0].t : 0 };
+        const startTime = performance.now();
+
+        for (let i = 0; i < frameCount && !isExportCancelled; i++) {
+            if (encodeError) throw encodeError;
+            const timestamp = i * 1000 / fps;
+
+            if (DEBUG_MODE && debugCtx) {
+                debugCtx.clearRect(0, 0, debugCanvas.width, debugCanvas.height);
+            }
+            if (source === 'video') {
+                await seekVideo(timestamp / 1000);
+                const results = scheduler.detect(exportLandmarkers, video, timestamp, BODY_TRACKING_ENABLED);
+                processTrackingResults(results, deltaTime);
+            } else {
+                stepReplayFrames(replay, replayFrames[0].t + timestamp);
+            }
+
+            renderExportFrame(deltaTime, exportCtx);
+
+            const frame = new VideoFrame(exportCanvas, {
+                timestamp: Math.round(i * 1000000 / fps),
+                duration: Math.round(1000000 / fps)
+            });
+            encoder.encode(frame, { keyFrame: i % (fps * EXPORT_KEYFRAME_INTERVAL) === 0 });
+            frame.close();
+
+            // 인코더 큐가 쌓이면 대기 (메모리 보호)
+            while (encoder.encodeQueueSize > 2) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            if (i % 5 === 0) {
+                showExportProgress(i + 1, frameCount, (i + 1) / fps / ((performance.now() - startTime) / 1000));
+                await new Promise(resolve => setTimeout(resolve, 0));  // UI 갱신 / 취소 입력 처리
+            }
+        }
+
+        await encoder.flush();
+        if (encodeError) throw encodeError;
+
+        if (isExportCancelled) {
+            console.log('[Export] Cancelled');
+        } else {
+            if (audioBuffer) await encodeExportAudio(audioBuffer, writer);
+            const blob = writer.finalize(frameCount * 1000 / fps);
+            downloadBlob(blob, `avatar-export-${Date.now()}.webm`);
+            console.log(`[Export] ${frameCount} frames at ${fps} fps (${(blob.size / 1048576).toFixed(1)} MB) in ${((performance.now() - startTime) / 1000).toFixed(1)}s`);
+        }
+    } catch (err) {
+        console.error('[Export] Failed:', err);
+        alert('내보내기 실패: ' + (err.message || err));
+    } finally {
+        if (encoder && encoder.state !== 'closed') encoder.close();
+        if (exportLandmarkers) closeLandmarkers(exportLandmarkers);
+
+        isOfflineExporting = false;
+        hideExportProgress();
+        resetTrackingState();
+        lastVideoTime = -1;
+        lastFrameTime = performance.now();
+
+        if (source === 'video') {
+            video.currentTime = resumeTime;
+            if (wasPlaying) video.play();
+        } else if (isSessionReplaying) {
+            restartSessionReplay(performance.now());
+        }
+    }
+}
+
+async function pickExportVideoCodec(fps) {
+    for (const candidate of EXPORT_VIDEO_CODECS) {
+        const { supported } = await VideoEncoder.isConfigSupported({
+            codec: candidate.codec,
+            width: EXPORT_WIDTH,
+            height: EXPORT_HEIGHT,
+            bitrate: EXPORT_VIDEO_BITRATE,
+            framerate: fps
+        });
+        if (supported) return candidate;
+    }
+    return null;
+}
+
+function seekVideo(time) {
+    return new Promise((resolve) => {
+        video.addEventListener('seeked', resolve, { once: true });
+        video.currentTime = time;
+    });
+}
+
+// 세션 재생과 같은 방식으로 timestamp까지의 프레임을 순서대로 적용 (updateSessionReplay 참고)
+function stepReplayFrames(replay, timestamp) {
+    while (replay.index < replayFrames.length && replayFrames[replay.index].t <= timestamp) {
+        const frame = replayFrames[replay.index];
+        const deltaTime = (frame.t - replay.lastTimestamp) / 1000;
+        replay.lastTimestamp = frame.t;
+
+        processTrackingResults({ ...frame, timestamp: frame.t }, deltaTime);
+        replay.index++;
+    }
+}
+
+// animate()의 렌더링 순서와 동일 (idle / 오디오 립싱크 제외)
+function renderExportFrame(deltaTime, ctx) {
+    updateEmote(deltaTime);
+    applyTorsoOffset(deltaTime);
+    applyExpressionOverrides(deltaTime);
+    updateSpringPhysics(deltaTime);
+    currentVrm.update(deltaTime);
+    updateCameraFraming(deltaTime);
+    updateLighting(deltaTime);
+
+    renderer.render(scene, camera);
+    drawCompositeFrame(ctx, EXPORT_WIDTH, EXPORT_HEIGHT);
+
+    restoreTrackedExpressions();
+    removeTorsoOffset();
+}
+
+// 파일의 오디오 트랙을 48kHz로 디코딩 (오디오가 없거나 디코딩할 수 없으면 null)
+async function decodeVideoFileAudio(duration) {
+    if (typeof AudioEncoder === 'undefined') return null;
+    try {
+        const data = await (await fetch(videoFileUrl)).arrayBuffer();
+        const context = new OfflineAudioContext(2, Math.ceil(duration * EXPORT_AUDIO_SAMPLE_RATE), EXPORT_AUDIO_SAMPLE_RATE);
+        const buffer = await context.decodeAudioData(data);
+
+        const { supported } = await AudioEncoder.isConfigSupported({
+            codec: 'opus',
+            sampleRate: EXPORT_AUDIO_SAMPLE_RATE,
+            numberOfChannels: buffer.numberOfChannels,
+            bitrate: EXPORT_AUDIO_BITRATE
+        });
+        return supported ? buffer : null;
+    } catch (err) {
+        console.warn('[Export] No audio track exported:', err);
+        return null;
+    }
+}
+
+async function encodeExportAudio(buffer, writer) {
+    let encodeError = null;
+    const encoder = new AudioEncoder({
+        output: (chunk, metadata) => writer.addAudioChunk(chunk, metadata),
+        error: (err) => { encodeError = err; }
+    });
+    encoder.configure({
+        codec: 'opus',
+        sampleRate: EXPORT_AUDIO_SAMPLE_RATE,
+        numberOfChannels: buffer.numberOfChannels,
+        bitrate: EXPORT_AUDIO_BITRATE
+    });
+
+    // 1초 단위 planar 청크로 전달
+    const channels = buffer.numberOfChannels;
+    for (let offset = 0; offset < buffer.length; offset += EXPORT_AUDIO_SAMPLE_RATE) {
+        const frames = Math.min(EXPORT_AUDIO_SAMPLE_RATE, buffer.length - offset);
+        const data = new Float32Array(frames * channels);
+        for (let c = 0; c < channels; c++) {
+            data.set(buffer.getChannelData(c).subarray(offset, offset + frames), c * frames);
+        }
+        const audioData = new AudioData({
+            format: 'f32-planar',
+            sampleRate: EXPORT_AUDIO_SAMPLE_RATE,
+            numberOfFrames: frames,
+            numberOfChannels: channels,
+            timestamp: Math.round(offset * 1000000 / EXPORT_AUDIO_SAMPLE_RATE),
+            data
+        });
+        encoder.encode(audioData);
+        audioData.close();
+    }
+
+    await encoder.flush();
+    encoder.close();
+    if (encodeError) throw encodeError;
+}
+
+function showExportProgress(frame, frameCount, speed) {
+    document.body.classList.add('exporting');
+    const textEl = document.getElementById('export-text');
+    const barEl = document.querySelector('#export-progress .export-progress-bar');
+    if (textEl) {
+        textEl.textContent = `Frame ${frame} / ${frameCount}` + (speed > 0 ? ` (${speed.toFixed(1)}× realtime)` : '');
+    }
+    if (barEl) barEl.style.width = `${frameCount > 0 ? (frame / frameCount) * 100 : 0}%`;
+}
+
+function hideExportProgress() {
+    document.body.classList.remove('exporting');
+}
+
+function updateView() {
+    if (isDebugView) {
+        document.body.classList.add('debug-view');
+    } else {
+        document.body.classList.remove('debug-view');
+    }
+}
+
+function updateDevOptions() {
+    // Update Debug option buttons
+    document.querySelectorAll('.option-btn[data-dev="debug-on"]').forEach(btn => {
+        btn.classList.toggle('active', isDebugView);
+    });
+    document.querySelectorAll('.option-btn[data-dev="debug-off"]').forEach(btn => {
+        btn.classList.toggle('active', !isDebugView);
+    });
+
+    // Update Landmarks option buttons
+    document.querySelectorAll('.option-btn[data-dev="landmarks-on"]').forEach(btn => {
+        btn.classList.toggle('active', DEBUG_MODE);
+    });
+    document.querySelectorAll('.option-btn[data-dev="landmarks-off"]').forEach(btn => {
+        btn.classList.toggle('active', !DEBUG_MODE);
+    });
+
+    // Update Motion recording button
+    document.querySelectorAll('.option-btn[data-dev="motion-record"]').forEach(btn => {
+        btn.classList.toggle('active', isMotionRecording);
+        btn.textContent = isMotionRecording ? 'Stop' : 'Rec';
+    });
+
+    // Update Session record/replay buttons
+    document.querySelectorAll('.option-btn[data-dev="session-record"]').forEach(btn => {
+        btn.classList.toggle('active', isSessionRecording);
+        btn.textContent = isSessionRecording ? 'Stop' : 'Rec';
+    });
+    document.querySelectorAll('.option-btn[data-dev="session-replay"]').forEach(btn => {
+        btn.classList.toggle('active', isSessionReplaying);
+        btn.textContent = isSessionReplaying ? 'Stop' : 'Replay';
+    });
+}
+
+function setupScene(canvas) {
+    const sceneWrapper = document.getElementById('scene-wrapper');
+    const width = sceneWrapper ? sceneWrapper.clientWidth : window.innerWidth / 2;
+    const height = sceneWrapper ? sceneWrapper.clientHeight : window.innerHeight;
+
+    scene = new THREE.Scene();
+
+    camera = new THREE.PerspectiveCamera(30.0, width / height, 0.1, 20.0);
+    camera.position.set(0.0, 1.4, 1.5);
+    // 조명은 setupLighting()에서 추가
+
+    renderer = new THREE.WebGLRenderer({ canvas: canvas, alpha: true, antialias: true });
+    renderer.setSize(width, height);
+    renderer.setPixelRatio(window.devicePixelRatio);
+
+    // WebGL 컨텍스트 손실 처리
+    canvas.addEventListener('webglcontextlost', (event) => {
+        event.preventDefault();
+        console.error('[WebGL] Context lost');
+        alert('그래픽 컨텍스트가 손실되었습니다. 페이지를 새로고침해주세요.');
+    });
+
+    canvas.addEventListener('webglcontextrestored', () => {
+        console.log('[WebGL] Context restored');
+    });
+
+    const resizeObserver = new ResizeObserver(() => {
+        if (sceneWrapper) {
+            const newWidth = sceneWrapper.clientWidth;
+            const newHeight = sceneWrapper.clientHeight;
+            if (newWidth > 0 && newHeight > 0) {
+                camera.aspect = newWidth / newHeight;
+                camera.updateProjectionMatrix();
+                renderer.setSize(newWidth, newHeight);
             }
+        }
+    });
+    if (sceneWrapper) resizeObserver.observe(sceneWrapper);
+}
+
+// ============================================================
+// Lighting
+// key / fill / rim 방향광 + ambient, 로컬 HDR/EXR 환경맵, 프리셋 (기본 제공 + 사용자 저장)
+// 화면 공유 중에는 배경 평균 색으로 fill / rim / ambient를 물들여 아바타를 배경에 어울리게 함
+// ============================================================
+const LIGHTING_STORAGE_KEY = 'prismic-eagle.lighting';           // 현재 설정
+const LIGHTING_PRESETS_STORAGE_KEY = 'prismic-eagle.lighting-presets';  // 사용자 프리셋
+const LIGHT_DIRECTIONS = {
+    key: [1.0, 1.0, 1.0],       // 오른쪽 앞 위 (기존 단일 조명 방향)
+    fill: [-1.0, 0.3, 1.0],     // 왼쪽 앞, 낮게
+    rim: [-0.3, 1.0, -1.2]      // 뒤 위 (윤곽선)
+};
+const LIGHTING_PRESETS = {
+    studio: {
+        key: { color: '#ffffff', intensity: 1.0 },
+        fill: { color: '#e6ecff', intensity: 0.45 },
+        rim: { color: '#ffffff', intensity: 0.6 },
+        ambient: { color: '#ffffff', intensity: 0.3 },
+        environmentIntensity: 1.0,
+        screenTint: 0
+    },
+    sunset: {
+        key: { color: '#ffb070', intensity: 1.1 },
+        fill: { color: '#6a7bd8', intensity: 0.35 },
+        rim: { color: '#ff7040', intensity: 0.9 },
+        ambient: { color: '#ffd8c0', intensity: 0.25 },
+        environmentIntensity: 1.0,
+        screenTint: 0
+    },
+    neon: {
+        key: { color: '#ff4fd8', intensity: 0.9 },
+        fill: { color: '#27e0ff', intensity: 0.8 },
+        rim: { color: '#8a4dff', intensity: 1.2 },
+        ambient: { color: '#30205a', intensity: 0.3 },
+        environmentIntensity: 1.0,
+        screenTint: 0
+    }
+};
+const SCREEN_TINT_LIGHTS = ['fill', 'rim', 'ambient'];
+const SCREEN_SAMPLE_INTERVAL = 0.25;  // 배경 색 샘플링 주기 (초)
+const SCREEN_SAMPLE_SMOOTHING = 0.5;  // 색 변화 지연 (초)
+
+let lights = null;                    // { key, fill, rim, ambient, probe }
+let lightingSettings = null;
+let lightingPresetName = 'studio';
+let userLightingPresets = loadUserLightingPresets();
+let environmentTarget = null;         // PMREM 렌더 타깃 (PBR 재질용)
+let environmentName = null;
+let screenSampleCanvas = null;
+let screenSampleTimer = 0;
+let isScreenTinted = false;           // 화면 색이 조명에 섞여 있는지
+const screenColor = new THREE.Color(1, 1, 1);
+const screenColorTarget = new THREE.Color(1, 1, 1);
+
+function loadLightingState() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(LIGHTING_STORAGE_KEY));
+        if (stored?.settings) return { name: stored.name, settings: normalizeLightingSettings(stored.settings) };
+    } catch (e) {
+        console.warn('[Lighting] Failed to load settings:', e);
+    }
+    return { name: 'studio', settings: structuredClone(LIGHTING_PRESETS.studio) };
+}
+
+function saveLightingState() {
+    try {
+        localStorage.setItem(LIGHTING_STORAGE_KEY, JSON.stringify({ name: lightingPresetName, settings: lightingSettings }));
+    } catch (e) {
+        console.warn('[Lighting] Failed to save settings:', e);
+    }
+}
+
+function loadUserLightingPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(LIGHTING_PRESETS_STORAGE_KEY)) ?? {};
+    } catch (e) {
+        console.warn('[Lighting] Failed to load presets:', e);
+        return {};
+    }
+}
+
+function saveUserLightingPresets() {
+    try {
+        localStorage.setItem(LIGHTING_PRESETS_STORAGE_KEY, JSON.stringify(userLightingPresets));
+    } catch (e) {
+        console.warn('[Lighting] Failed to save presets:', e);
+    }
+}
+
+// 빠진 항목은 studio 값으로 채움 (이전 버전 / 손으로 고친 저장값 대비)
+function normalizeLightingSettings(settings) {
+    const base = structuredClone(LIGHTING_PRESETS.studio);
+    for (const name of ['key', 'fill', 'rim', 'ambient']) {
+        base[name] = { ...base[name], ...settings?.[name] };
+    }
+    base.environmentIntensity = settings?.environmentIntensity ?? base.environmentIntensity;
+    base.screenTint = settings?.screenTint ?? base.screenTint;
+    return base;
+}
+
+function getLightingPreset(name) {
+    return LIGHTING_PRESETS[name] ?? userLightingPresets[name] ?? null;
+}
+
+function setupLighting() {
+    lights = {
+        key: new THREE.DirectionalLight(),
+        fill: new THREE.DirectionalLight(),
+        rim: new THREE.DirectionalLight(),
+        ambient: new THREE.AmbientLight(),
+        probe: new THREE.LightProbe()     // HDR에서 만든 간접광 (MToon은 environment map 대신 light probe 사용)
+    };
+    for (const [name, direction] of Object.entries(LIGHT_DIRECTIONS)) {
+        lights[name].position.fromArray(direction).normalize();
+    }
+    for (const light of Object.values(lights)) scene.add(light);
+
+    const state = loadLightingState();
+    lightingPresetName = state.name;
+    lightingSettings = state.settings;
+    applyLightingSettings();
+    updateLightingOptions();
+
+    document.querySelectorAll('.option-btn[data-lighting]').forEach(btn => {
+        btn.addEventListener('click', () => applyLightingPreset(btn.dataset.lighting));
+    });
+    setupLightingPanel();
+}
+
+function applyLightingPreset(name) {
+    const preset = getLightingPreset(name);
+    if (!preset) return;
+    lightingPresetName = name;
+    lightingSettings = normalizeLightingSettings(preset);
+    applyLightingSettings();
+    saveLightingState();
+    updateLightingOptions();
+    if (document.getElementById('lighting-panel')?.classList.contains('open')) renderLightingPanel();
+}
+
+// 패널에서 값을 바꾸면 프리셋 이름은 유지하되 저장된 프리셋과 달라짐 (Save로 덮어쓰기)
+function updateLightingSetting(change) {
+    change(lightingSettings);
+    applyLightingSettings();
+    saveLightingState();
+}
+
+function applyLightingSettings() {
+    if (!lights) return;
+    for (const name of ['key', 'fill', 'rim', 'ambient']) {
+        lights[name].intensity = lightingSettings[name].intensity;
+    }
+    applyLightColors();
+    scene.environmentIntensity = lightingSettings.environmentIntensity;
+    lights.probe.intensity = lightingSettings.environmentIntensity;
+}
+
+// 설정 색에 화면 색을 screenTint 비율로 섞음
+function applyLightColors() {
+    const tint = isScreenTinted ? lightingSettings.screenTint : 0;
+    for (const name of ['key', 'fill', 'rim', 'ambient']) {
+        lights[name].color.set(lightingSettings[name].color);
+        if (tint > 0 && SCREEN_TINT_LIGHTS.includes(name)) lights[name].color.lerp(screenColor, tint);
+    }
+}
+
+function updateLightingOptions() {
+    document.querySelectorAll('.option-btn[data-lighting]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.lighting === lightingPresetName);
+    });
+}
+
+// 매 프레임 호출: 화면 공유 배경 색 샘플링 (screenTint > 0일 때만)
+function updateLighting(deltaTime) {
+    if (!lights) return;
+    const canSample = lightingSettings.screenTint > 0 && screenStream && screenVideo?.readyState >= 2;
+    if (!canSample) {
+        // 화면 공유가 끝나거나 tint를 끄면 원래 색으로
+        if (isScreenTinted) {
+            isScreenTinted = false;
+            applyLightColors();
+        }
+        return;
+    }
+
+    isScreenTinted = true;
+    screenSampleTimer -= deltaTime;
+    if (screenSampleTimer <= 0) {
+        screenSampleTimer = SCREEN_SAMPLE_INTERVAL;
+        sampleScreenColor(screenColorTarget);
+    }
+    screenColor.lerp(screenColorTarget, 1 - Math.exp(-deltaTime / SCREEN_SAMPLE_SMOOTHING));
+    applyLightColors();
+}
+
+// 작은 캔버스에 축소해 그린 뒤 평균, 밝기는 빼고 색만 사용 (어두운 화면에서 아바타가 어두워지지 않도록)
+function sampleScreenColor(target) {
+    if (!screenSampleCanvas) {
+        screenSampleCanvas = document.createElement('canvas');
+        screenSampleCanvas.width = 16;
+        screenSampleCanvas.height = 9;
+    }
+    const ctx = screenSampleCanvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(screenVideo, 0, 0, screenSampleCanvas.width, screenSampleCanvas.height);
+    const { data } = ctx.getImageData(0, 0, screenSampleCanvas.width, screenSampleCanvas.height);
+
+    let r = 0, g = 0, b = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        r += data[i];
+        g += data[i + 1];
+        b += data[i + 2];
+    }
+    const max = Math.max(r, g, b);
+    if (max === 0) return target.set(1, 1, 1);
+    return target.setRGB(r / max, g / max, b / max, THREE.SRGBColorSpace);
+}
+
+// --- HDR 환경맵 ---
+async function loadEnvironmentFile(file) {
+    if (!/\.(hdr|exr)$/i.test(file.name)) {
+        alert('.hdr 또는 .exr 파일만 불러올 수 있습니다.');
+        return;
+    }
+    const url = URL.createObjectURL(file);
+    try {
+        const loader = /\.exr$/i.test(file.name) ? new EXRLoader() : new HDRLoader();
+        const texture = await loader.loadAsync(url);
+        texture.mapping = THREE.EquirectangularReflectionMapping;
+        await setEnvironmentTexture(texture);
+        texture.dispose();
+        environmentName = file.name;
+        console.log(`[Lighting] Environment: ${file.name}`);
+    } catch (err) {
+        console.error('[Lighting] Failed to load environment:', err);
+        alert('환경맵을 불러오지 못했습니다: ' + (err.message || err));
+    } finally {
+        URL.revokeObjectURL(url);
+        renderLightingPanelIfOpen();
+    }
+}
+
+async function setEnvironmentTexture(texture) {
+    // 간접광용 light probe (구면 조화 계수)
+    const cubeTarget = new THREE.WebGLCubeRenderTarget(128, { type: THREE.HalfFloatType });
+    cubeTarget.fromEquirectangularTexture(renderer, texture);
+    const probe = await LightProbeGenerator.fromCubeRenderTarget(renderer, cubeTarget);
+    cubeTarget.dispose();
+
+    // 반사용 PMREM (glTF PBR 재질)
+    const pmrem = new THREE.PMREMGenerator(renderer);
+    const target = pmrem.fromEquirectangular(texture);
+    pmrem.dispose();
+
+    clearEnvironment();
+    environmentTarget = target;
+    scene.environment = target.texture;
+    lights.probe.sh.copy(probe.sh);
+}
+
+function clearEnvironment() {
+    if (environmentTarget) {
+        environmentTarget.dispose();
+        environmentTarget = null;
+    }
+    scene.environment = null;
+    lights.probe.sh.zero();
+    environmentName = null;
+}
+
+function openEnvironmentFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.hdr,.exr';
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (file) loadEnvironmentFile(file);
+    });
+    input.click();
+}
+
+// --- Lighting 설정 패널 ---
+function toggleLightingPanel() {
+    if (toggleSettingsPanel('lighting-panel')) renderLightingPanel();
+}
+
+function renderLightingPanelIfOpen() {
+    if (document.getElementById('lighting-panel')?.classList.contains('open')) renderLightingPanel();
+}
+
+function renderLightingPanel() {
+    const presetSelect = document.getElementById('lighting-preset');
+    if (presetSelect) {
+        presetSelect.innerHTML = '';
+        const names = [...Object.keys(LIGHTING_PRESETS), ...Object.keys(userLightingPresets)];
+        for (const name of new Set(names)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = LIGHTING_PRESETS[name] ? name : `${name} (saved)`;
+            presetSelect.appendChild(option);
+        }
+        presetSelect.value = lightingPresetName;
+    }
+
+    const list = document.getElementById('light-list');
+    if (list) {
+        list.innerHTML = '';
+        for (const name of ['key', 'fill', 'rim', 'ambient']) {
+            const row = document.createElement('div');
+            row.className = 'light-row';
+
+            const label = document.createElement('span');
+            label.textContent = name;
+
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.value = lightingSettings[name].color;
+            color.addEventListener('input', () => {
+                updateLightingSetting(settings => { settings[name].color = color.value; });
+            });
+
+            const intensity = document.createElement('input');
+            intensity.type = 'number';
+            intensity.min = '0';
+            intensity.max = '5';
+            intensity.step = '0.05';
+            intensity.value = lightingSettings[name].intensity;
+            intensity.addEventListener('input', () => {
+                const value = parseFloat(intensity.value);
+                if (!Number.isFinite(value)) return;
+                updateLightingSetting(settings => { settings[name].intensity = Math.max(0, value); });
+            });
+
+            row.append(label, color, intensity);
+            list.appendChild(row);
+        }
+    }
+
+    const envIntensity = document.getElementById('lighting-env-intensity');
+    if (envIntensity) envIntensity.value = lightingSettings.environmentIntensity;
+    const screenTint = document.getElementById('lighting-screen-tint');
+    if (screenTint) screenTint.value = lightingSettings.screenTint;
+    const status = document.getElementById('lighting-env-status');
+    if (status) status.textContent = environmentName ? `HDR: ${environmentName}` : 'HDR: none';
+    const presetName = document.getElementById('lighting-preset-name');
+    if (presetName) presetName.value = LIGHTING_PRESETS[lightingPresetName] ? '' : lightingPresetName;
+    const deleteBtn = document.getElementById('lighting-delete');
+    if (deleteBtn) deleteBtn.disabled = !userLightingPresets[lightingPresetName];
+}
+
+function setupLightingPanel() {
+    document.getElementById('lighting-preset')?.addEventListener('change', (e) => {
+        applyLightingPreset(e.target.value);
+    });
+
+    document.getElementById('lighting-env-intensity')?.addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        if (!Number.isFinite(value)) return;
+        updateLightingSetting(settings => { settings.environmentIntensity = Math.max(0, value); });
+    });
+    document.getElementById('lighting-screen-tint')?.addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        if (!Number.isFinite(value)) return;
+        updateLightingSetting(settings => { settings.screenTint = THREE.MathUtils.clamp(value, 0, 1); });
+    });
+
+    document.getElementById('lighting-env-load')?.addEventListener('click', openEnvironmentFile);
+    document.getElementById('lighting-env-clear')?.addEventListener('click', () => {
+        clearEnvironment();
+        renderLightingPanel();
+    });
+
+    document.getElementById('lighting-save')?.addEventListener('click', () => {
+        const name = document.getElementById('lighting-preset-name')?.value.trim();
+        if (!name) {
+            alert('저장할 프리셋 이름을 입력하세요.');
+            return;
+        }
+        if (LIGHTING_PRESETS[name]) {
+            alert('기본 프리셋 이름은 사용할 수 없습니다.');
+            return;
+        }
+        userLightingPresets[name] = structuredClone(lightingSettings);
+        saveUserLightingPresets();
+        lightingPresetName = name;
+        saveLightingState();
+        updateLightingOptions();
+        renderLightingPanel();
+        console.log(`[Lighting] Preset saved: ${name}`);
+    });
+    document.getElementById('lighting-delete')?.addEventListener('click', () => {
+        if (!userLightingPresets[lightingPresetName]) return;
+        delete userLightingPresets[lightingPresetName];
+        saveUserLightingPresets();
+        lightingPresetName = null;
+        saveLightingState();
+        updateLightingOptions();
+        renderLightingPanel();
+    });
+    document.getElementById('lighting-close')?.addEventListener('click', () => {
+        document.getElementById('lighting-panel')?.classList.remove('open');
+    });
+}
+
+// ============================================================
+// Camera Framing
+// 프리셋 (얼굴 / 가슴 / 허리 / 전신)은 아바타 머리 높이 기준으로 계산해 체형이 달라도 같은 구도
+// 마우스: 왼쪽 드래그 회전, 휠 줌, 오른쪽 드래그 이동 / Follow: 트래킹된 머리를 화면 중앙에 유지
+// ============================================================
+const FRAMING_STORAGE_KEY = 'prismic-eagle.framing';
+const FRAMING_REFERENCE_HEAD = 1.4;   // 프리셋 수치 기준 머리 높이 (m), 아바타 머리 높이에 비례해 조정
+const FRAMING_PRESETS = {
+    // offset: 머리 기준 화면 중심 높이, height: 화면에 보이는 세로 범위 (m)
+    face:  { offset: 0.1,   height: 0.4 },
+    bust:  { offset: 0,     height: 0.8 },    // 기존 고정 카메라 (0, 1.4, 1.5)와 같은 구도
+    waist: { offset: -0.25, height: 1.2 },
+    full:  { offset: -0.6,  height: 1.9 }
+};
+// 숫자 1–5는 표정 핫키 기본값이므로 6–0 사용 (표정 핫키에 같은 키가 있으면 표정 우선)
+const FRAMING_HOTKEYS = { '6': 'face', '7': 'bust', '8': 'waist', '9': 'full', '0': 'follow' };
+const FRAMING_TRANSITION_TIME = 0.6;  // 프리셋 전환 시간 (초)
+const FRAMING_FOLLOW_SMOOTHING = 0.4; // 머리 추적 지연 (초, 지수 평활 시정수)
+
+let cameraControls = null;
+let framingSettings = loadFramingSettings();
+let avatarHeadHeight = FRAMING_REFERENCE_HEAD;
+let framingTransition = null;         // { fromPosition, fromTarget, toPosition, toTarget, elapsed }
+let followedHead = null;              // 평활화된 머리 위치 (Follow 중)
+
+function loadFramingSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(FRAMING_STORAGE_KEY));
+        if (stored && FRAMING_PRESETS[stored.preset]) return { follow: false, ...stored };
+    } catch (e) {
+        console.warn('[Framing] Failed to load settings:', e);
+    }
+    return { preset: 'bust', follow: false };
+}
+
+function saveFramingSettings() {
+    try {
+        localStorage.setItem(FRAMING_STORAGE_KEY, JSON.stringify(framingSettings));
+    } catch (e) {
+        console.warn('[Framing] Failed to save settings:', e);
+    }
+}
+
+function setupCameraFraming() {
+    cameraControls = new OrbitControls(camera, renderer.domElement);
+    cameraControls.enableDamping = true;
+    cameraControls.minDistance = 0.3;
+    cameraControls.maxDistance = 6;
+    // 사용자가 조작을 시작하면 진행 중인 전환은 취소
+    cameraControls.addEventListener('start', () => { framingTransition = null; });
+
+    applyFramingPreset(framingSettings.preset, { immediate: true });
+    updateFramingOptions();
+
+    document.querySelectorAll('.option-btn[data-framing]').forEach(btn => {
+        btn.addEventListener('click', () => applyFramingPreset(btn.dataset.framing));
+    });
+    document.querySelectorAll('.option-btn[data-follow]').forEach(btn => {
+        btn.addEventListener('click', () => setFramingFollow(btn.dataset.follow === 'on'));
+    });
+    document.addEventListener('keydown', onFramingHotkeyDown);
+}
+
+function onFramingHotkeyDown(e) {
+    const action = FRAMING_HOTKEYS[e.key];
+    if (!action || e.repeat || e.shiftKey) return;
+    if (e.target && e.target.closest && e.target.closest('input, textarea, select')) return;
+    if (e.ctrlKey || e.metaKey || e.altKey || findExpressionHotkey(e)) return;
+
+    if (action === 'follow') setFramingFollow(!framingSettings.follow);
+    else applyFramingPreset(action);
+    e.preventDefault();
+}
+
+// 프리셋의 카메라 위치 / 시선 목표 (정면, 화면 중심이 머리 기준 offset 높이)
+function getFramingPose(name) {
+    const preset = FRAMING_PRESETS[name];
+    const scale = avatarHeadHeight / FRAMING_REFERENCE_HEAD;
+    const distance = preset.height * scale / 2 / Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+
+    const target = followedHead
+        ? new THREE.Vector3(followedHead.x, followedHead.y, 0)
+        : new THREE.Vector3(0, avatarHeadHeight, 0);
+    target.y += preset.offset * scale;
+    return { target, position: target.clone().add(new THREE.Vector3(0, 0, distance)) };
+}
+
+function applyFramingPreset(name, { immediate = false } = {}) {
+    if (!FRAMING_PRESETS[name] || !cameraControls) return;
+    framingSettings.preset = name;
+    saveFramingSettings();
+    updateFramingOptions();
+
+    const { target, position } = getFramingPose(name);
+    if (immediate) {
+        framingTransition = null;
+        camera.position.copy(position);
+        cameraControls.target.copy(target);
+        cameraControls.update();
+        return;
+    }
+    framingTransition = {
+        fromPosition: camera.position.clone(),
+        fromTarget: cameraControls.target.clone(),
+        toPosition: position,
+        toTarget: target,
+        elapsed: 0
+    };
+}
+
+function setFramingFollow(enabled) {
+    framingSettings.follow = enabled;
+    followedHead = null;
+    saveFramingSettings();
+    updateFramingOptions();
+    // 끄면 머리 이동분이 빠진 프리셋 구도로 복귀
+    if (!enabled) applyFramingPreset(framingSettings.preset);
+}
+
+function updateFramingOptions() {
+    document.querySelectorAll('.option-btn[data-framing]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.framing === framingSettings.preset);
+    });
+    document.querySelectorAll('.option-btn[data-follow]').forEach(btn => {
+        btn.classList.toggle('active', (btn.dataset.follow === 'on') === framingSettings.follow);
+    });
+}
+
+// 아바타 교체 시: rest pose의 머리 높이로 프리셋 재계산 (트래킹 적용 전에 호출)
+function updateAvatarFraming(vrm) {
+    const head = vrm.humanoid.getRawBoneNode('head');
+    if (head) {
+        vrm.scene.updateMatrixWorld(true);
+        avatarHeadHeight = head.getWorldPosition(new THREE.Vector3()).y;
+    }
+    followedHead = null;
+    applyFramingPreset(framingSettings.preset);
+}
+
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+const _headPosition = new THREE.Vector3();
+const _followDelta = new THREE.Vector3();
+
+// currentVrm.update() 이후 (머리 위치 확정) / 렌더링 전에 호출
+function updateCameraFraming(deltaTime) {
+    if (!cameraControls) return;
+
+    // Follow: 평활화된 머리 이동량만큼 카메라와 목표를 함께 이동 (사용자 회전 / 이동은 유지)
+    const head = framingSettings.follow && currentVrm?.humanoid.getRawBoneNode('head');
+    if (head) {
+        head.getWorldPosition(_headPosition);
+        if (!followedHead) {
+            // 켜는 순간 / 아바타 교체 시 현재 머리 위치로 다시 중앙 정렬
+            followedHead = _headPosition.clone();
+            applyFramingPreset(framingSettings.preset);
+        } else {
+            const k = 1 - Math.exp(-deltaTime / FRAMING_FOLLOW_SMOOTHING);
+            _followDelta.copy(_headPosition).sub(followedHead).multiplyScalar(k).setZ(0);
+            followedHead.add(_followDelta);
+            if (!framingTransition) {
+                camera.position.add(_followDelta);
+                cameraControls.target.add(_followDelta);
+            } else {
+                framingTransition.toPosition.add(_followDelta);
+                framingTransition.toTarget.add(_followDelta);
+            }
+        }
+    }
+
+    if (framingTransition) {
+        const transition = framingTransition;
+        transition.elapsed += deltaTime;
+        const t = easeInOutCubic(Math.min(1, transition.elapsed / FRAMING_TRANSITION_TIME));
+        camera.position.lerpVectors(transition.fromPosition, transition.toPosition, t);
+        cameraControls.target.lerpVectors(transition.fromTarget, transition.toTarget, t);
+        if (t >= 1) framingTransition = null;
+    }
+
+    cameraControls.update();
+}
+
+async function setupWebcam() {
+    video = document.getElementById('webcam');
+    try {
+        webcamStream = await navigator.mediaDevices.getUserMedia({
+            video: { width: VIDEO_WIDTH, height: VIDEO_HEIGHT }
+        });
+        video.srcObject = webcamStream;
+        await new Promise((resolve) => {
+            video.onloadedmetadata = () => {
+                resolve(video);
+            };
+        });
+        video.play();
+
+        // 외부에서 카메라가 종료되면 (다른 앱이 점유, 장치 분리 등)
+        webcamStream.getVideoTracks().forEach(track => {
+            track.onended = () => {
+                console.warn('[Camera] Camera track ended externally');
+                if (isCameraEnabled) {
+                    isCameraEnabled = false;
+                    webcamStream = null;
+                    if (video) video.srcObject = null;
+                    updateCameraButton();
+                }
+            };
+        });
+
+        isCameraEnabled = true;
+        updateCameraButton();
+    } catch (err) {
+        console.error("Error accessing webcam:", err);
+    }
+}
+
+// 카메라 토글
+async function toggleCamera() {
+    const btn = document.getElementById('toggle-camera');
+
+    // 영상 파일 재생 중이면 파일을 닫고 카메라로 전환
+    if (isVideoFileSource()) {
+        wasCameraEnabledBeforeFile = false;
+        stopVideoFileSource();
+    }
+
+    if (isCameraEnabled) {
+        // 카메라 비활성화
+        if (webcamStream) {
+            webcamStream.getTracks().forEach(track => track.stop());
+            webcamStream = null;
+        }
+        if (video) {
+            video.srcObject = null;
+        }
+        isCameraEnabled = false;
+    } else {
+        // 카메라 활성화
+        try {
+            webcamStream = await navigator.mediaDevices.getUserMedia({
+                video: { width: VIDEO_WIDTH, height: VIDEO_HEIGHT }
+            });
+
+            // 외부에서 카메라가 종료되면
+            webcamStream.getVideoTracks().forEach(track => {
+                track.onended = () => {
+                    console.warn('[Camera] Camera track ended externally');
+                    if (isCameraEnabled) {
+                        isCameraEnabled = false;
+                        webcamStream = null;
+                        if (video) video.srcObject = null;
+                        updateCameraButton();
+                    }
+                };
+            });
+
+            if (video) {
+                video.srcObject = webcamStream;
+                video.play();
+            }
+            isCameraEnabled = true;
+        } catch (err) {
+            console.error("Camera access error:", err);
+            alert('카메라 접근 권한이 필요합니다.');
+            return;
+        }
+    }
+    updateCameraButton();
+}
+
+function updateCameraButton() {
+    const btn = document.getElementById('toggle-camera');
+    if (btn) {
+        btn.innerHTML = isCameraEnabled ? 'Cam<br>ON' : 'Cam<br>OFF';
+        btn.classList.toggle('camera-active', isCameraEnabled);
+    }
+}
+
+// ============================================================
+// Video File Source (녹화된 영상 파일을 웹캠 대신 트래킹)
+// 같은 <video id="webcam"> 엘리먼트에서 재생하므로 추론/적용 경로는 웹캠과 동일
+// 파일의 오디오는 스피커와 녹화 믹스로 함께 출력하고, 트래킹 지연만큼 늦춰 아바타와 맞춤
+// ============================================================
+const VIDEO_FILE_MAX_AUDIO_DELAY = 0.5;   // 오디오 지연 상한 (초)
+
+let videoFileUrl = null;                  // 재생 중인 파일의 object URL
+let videoFileAudioContext = null;
+let videoFileDelay = null;                // 트래킹 지연 보정용 DelayNode
+let videoFileStreamDestination = null;    // 녹화 믹스에 연결되는 스트림
+let wasCameraEnabledBeforeFile = false;   // 파일을 닫으면 카메라 복원
+let trackingLatency = 0;                  // 프레임 전송 → 결과 적용까지의 지연 EMA (ms, Worker 모드)
+
+function isVideoFileSource() {
+    return videoFileUrl !== null;
+}
+
+function toggleVideoFileSource() {
+    if (isVideoFileSource()) {
+        stopVideoFileSource();
+        return;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'video/mp4,video/webm,video/*';
+    input.addEventListener('change', () => {
+        const file = input.files && input.files[0];
+        if (file) startVideoFileSource(file);
+    });
+    input.click();
+}
+
+async function startVideoFileSource(file) {
+    if (!video) return;
+    if (isSessionReplaying) stopSessionReplay();
+
+    // 웹캠 정지 (파일을 닫으면 원래 상태로 복원)
+    if (!isVideoFileSource()) {
+        wasCameraEnabledBeforeFile = isCameraEnabled;
+    } else {
+        URL.revokeObjectURL(videoFileUrl);
+    }
+    if (webcamStream) {
+        webcamStream.getTracks().forEach(track => track.stop());
+        webcamStream = null;
+    }
+    isCameraEnabled = false;
+
+    videoFileUrl = URL.createObjectURL(file);
+    video.srcObject = null;
+    video.src = videoFileUrl;
+    video.loop = true;
+    video.muted = false;
+    ensureVideoFileAudio();
+
+    lastVideoTime = -1;
+    resetTrackingState();
+    updateCameraButton();
+    updateVideoFileButton();
+
+    try {
+        await video.play();
+        console.log(`[VideoFile] Playing ${file.name} (${video.videoWidth}x${video.videoHeight}, ${video.duration.toFixed(1)}s)`);
+    } catch (err) {
+        console.error('[VideoFile] Playback failed:', err);
+        alert('영상 파일을 재생할 수 없습니다: ' + err.message);
+        stopVideoFileSource();
+    }
+}
+
+function stopVideoFileSource() {
+    if (!isVideoFileSource()) return;
+
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+    video.loop = false;
+    URL.revokeObjectURL(videoFileUrl);
+    videoFileUrl = null;
+
+    lastVideoTime = -1;
+    resetTrackingState();
+    updateVideoFileButton();
+    console.log('[VideoFile] Stopped');
+
+    if (wasCameraEnabledBeforeFile) {
+        toggleCamera();
+    } else {
+        updateCameraButton();
+    }
+}
+
+// createMediaElementSource는 엘리먼트당 한 번만 가능하므로 한 번 만든 그래프를 계속 사용
+// (웹캠 스트림에는 오디오가 없어 영향 없음)
+function ensureVideoFileAudio() {
+    if (videoFileAudioContext) {
+        if (videoFileAudioContext.state === 'suspended') videoFileAudioContext.resume();
+        return;
+    }
+
+    videoFileAudioContext = new AudioContext();
+    const source = videoFileAudioContext.createMediaElementSource(video);
+    videoFileDelay = videoFileAudioContext.createDelay(VIDEO_FILE_MAX_AUDIO_DELAY);
+    videoFileStreamDestination = videoFileAudioContext.createMediaStreamDestination();
+
+    source.connect(videoFileDelay);
+    videoFileDelay.connect(videoFileAudioContext.destination);
+    videoFileDelay.connect(videoFileStreamDestination);
+}
+
+// Worker 모드: 결과가 늦게 도착하고 보간으로 한 번 더 늦어지므로 그만큼 오디오를 지연
+// 메인 스레드 모드: 같은 프레임에서 추론/렌더링하므로 지연 없음
+function updateVideoFileAudioDelay() {
+    if (!videoFileDelay) return;
+
+    const latency = inferenceMode === 'worker'
+        ? (trackingLatency + workerResultInterval * 0.5) / 1000
+        : 0;
+    videoFileDelay.delayTime.setTargetAtTime(
+        THREE.MathUtils.clamp(latency, 0, VIDEO_FILE_MAX_AUDIO_DELAY),
+        videoFileAudioContext.currentTime,
+        0.5
+    );
+}
+
+function updateVideoFileButton() {
+    const btn = document.getElementById('toggle-video-file');
+    if (btn) {
+        btn.innerHTML = isVideoFileSource() ? 'File<br>ON' : 'File<br>OFF';
+        btn.classList.toggle('camera-active', isVideoFileSource());
+    }
+    document.getElementById('camera-wrapper')?.classList.toggle('file-source', isVideoFileSource());
+}
+
+// ============================================================
+// Inference Mode (메인 스레드 / Web Worker)
+// Worker 모드에서는 추론 결과가 비동기로 도착하므로, 결과를 적용한 포즈를 목표로 저장하고
+// 렌더 프레임마다 이전 포즈에서 보간하여 렌더링/녹화는 디스플레이 주사율을 유지
+// ============================================================
+const INFERENCE_STORAGE_KEY = 'prismic-eagle.inference';
+const SCHEDULER_STORAGE_KEY = 'prismic-eagle.scheduler';
+const MODEL_STORAGE_KEY = 'prismic-eagle.models';
+const WORKER_SUPPORTED = typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+
+let inferenceMode = loadInferenceMode();  // 'main' | 'worker'
+let landmarkers = null;                   // 메인 스레드 추론용 { face, pose, hand }
+let trackingWorker = null;
+let isWorkerReady = false;
+let isWorkerBusy = false;                 // 한 번에 한 프레임만 전송 (큐 적체 방지)
+let lastWorkerResultTime = 0;
+let workerResultInterval = 1000 / 30;     // 결과 도착 간격 EMA (ms) → 보간 시간
+let workerInferenceTime = 0;              // 마지막 추론 시간 (ms, Worker 측 측정)
+const trackingInterpolation = { from: null, to: null, startTime: 0, duration: 0 };
+let schedulerSettings = loadSchedulerSettings();
+const detectionScheduler = new DetectionScheduler(schedulerSettings);  // 메인 스레드 추론용
+let detectionStats = null;                // 최근 스케줄러 통계 (Worker 모드는 Worker가 보고)
+let lastSchedulerStatsRender = 0;
+let modelSettings = loadModelSettings();  // delegate / pose 모델 / 정밀도
+let modelStatus = null;                   // 모델별 로드 결과 { delegate, variant, error }
+
+function loadInferenceMode() {
+    if (!WORKER_SUPPORTED) return 'main';
+    try {
+        return localStorage.getItem(INFERENCE_STORAGE_KEY) === 'main' ? 'main' : 'worker';
+    } catch (e) {
+        console.warn('[Inference] Failed to load mode:', e);
+        return 'worker';
+    }
+}
+
+function saveInferenceMode() {
+    try {
+        localStorage.setItem(INFERENCE_STORAGE_KEY, inferenceMode);
+    } catch (e) {
+        console.warn('[Inference] Failed to save mode:', e);
+    }
+}
+
+async function setupMediaPipe() {
+    if (inferenceMode === 'worker') {
+        if (await startTrackingWorker()) return;
+        console.warn('[Inference] Worker unavailable, falling back to main thread');
+        inferenceMode = 'main';
+        saveInferenceMode();
+        updateInferenceOptions();
+    }
+    await setupMainThreadLandmarkers();
+}
+
+async function setupMainThreadLandmarkers() {
+    try {
+        const created = await createLandmarkers(resolveModelSettings());
+        landmarkers = created.landmarkers;
+        setModelStatus(created.status);
+        console.log("MediaPipe (Face, Pose, Hand) initialized");
+    } catch (err) {
+        console.error("MediaPipe init error:", err);
+        alert('MediaPipe 초기화 실패. 인터넷 연결을 확인하고 페이지를 새로고침해주세요.');
+    }
+}
+
+// Worker 생성 후 landmarker 초기화까지 대기 (실패 시 false)
+function startTrackingWorker() {
+    if (!WORKER_SUPPORTED) return Promise.resolve(false);
+
+    return new Promise((resolve) => {
+        const worker = new Worker(new URL('./tracking-worker.js', import.meta.url), { type: 'module' });
+
+        const fail = (message) => {
+            console.error('[Inference] Worker error:', message);
+            if (trackingWorker === worker) {
+                // 동작 중 Worker가 죽으면 메인 스레드로 전환
+                setInferenceMode('main');
+            } else {
+                worker.terminate();
+                resolve(false);
+            }
+        };
+
+        worker.onmessage = (e) => {
+            const message = e.data;
+            if (message.type === 'ready') {
+                trackingWorker = worker;
+                isWorkerReady = true;
+                isWorkerBusy = false;
+                setModelStatus(message.status);
+                console.log('[Inference] MediaPipe worker initialized');
+                resolve(true);
+            } else if (message.type === 'results') {
+                setDetectionStats(message.stats);
+                applyWorkerResults(message.results, message.inferenceTime);
+            } else if (message.type === 'error') {
+                isWorkerBusy = false;
+                if (!isWorkerReady || trackingWorker !== worker) fail(message.message);
+                else console.warn('[Inference] Detection failed:', message.message);
+            }
+        };
+        worker.onerror = (e) => {
+            e.preventDefault();
+            fail(e.message);
+        };
+
+        worker.postMessage({ type: 'init', models: resolveModelSettings(), scheduler: schedulerSettings });
+    });
+}
+
+function stopTrackingWorker() {
+    if (!trackingWorker) return;
+    trackingWorker.onmessage = null;  // 처리 중이던 결과는 버림
+    trackingWorker.onerror = null;
+    trackingWorker.postMessage({ type: 'close' });
+    trackingWorker = null;
+    isWorkerReady = false;
+    isWorkerBusy = false;
+    lastWorkerResultTime = 0;
+    trackingInterpolation.from = null;
+    trackingInterpolation.to = null;
+}
+
+async function setInferenceMode(mode) {
+    if (mode === inferenceMode) return;
+    if (mode === 'worker' && !WORKER_SUPPORTED) {
+        console.warn('[Inference] Worker/OffscreenCanvas not supported in this browser');
+        return;
+    }
+
+    inferenceMode = mode;
+    saveInferenceMode();
+    updateInferenceOptions();
+    resetTrackingState();
+    updateVideoFileAudioDelay();
+
+    if (mode === 'worker') {
+        if (await startTrackingWorker()) {
+            if (landmarkers) closeLandmarkers(landmarkers);
+            landmarkers = null;
+            return;
+        }
+        console.warn('[Inference] Worker unavailable, staying on main thread');
+        inferenceMode = 'main';
+        saveInferenceMode();
+        updateInferenceOptions();
+    } else {
+        stopTrackingWorker();
+    }
+    if (!landmarkers) await setupMainThreadLandmarkers();
+}
+
+function updateInferenceOptions() {
+    document.querySelectorAll('.option-btn[data-inference]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.inference === inferenceMode);
+        if (btn.dataset.inference === 'worker') btn.disabled = !WORKER_SUPPORTED;
+    });
+}
+
+// 현재 비디오 프레임을 Worker로 전송 (VideoFrame 우선, 없으면 ImageBitmap)
+// 이전 프레임 추론이 끝나지 않았으면 false
+function submitWorkerFrame(source, timestamp) {
+    if (!isWorkerReady || isWorkerBusy) return false;
+
+    const worker = trackingWorker;
+    const post = (frame) => {
+        if (trackingWorker !== worker) {
+            frame.close();
+            return;
+        }
+        worker.postMessage({ type: 'detect', frame, timestamp, bodyTracking: BODY_TRACKING_ENABLED }, [frame]);
+    };
+
+    isWorkerBusy = true;
+    try {
+        if (typeof VideoFrame !== 'undefined') {
+            post(new VideoFrame(source, { timestamp: Math.round(timestamp * 1000) }));
+        } else {
+            createImageBitmap(source).then(post).catch((err) => {
+                console.warn('[Inference] Frame capture failed:', err);
+                isWorkerBusy = false;
+            });
+        }
+    } catch (err) {
+        console.warn('[Inference] Frame capture failed:', err);
+        isWorkerBusy = false;
+        return false;
+    }
+    return true;
+}
+
+// Worker 결과 적용: 평소와 같은 경로로 처리한 뒤 그 포즈를 보간 목표로 저장하고
+// 아바타는 처리 전 포즈로 되돌려 렌더 루프에서 부드럽게 이동
+function applyWorkerResults(results, inferenceTime) {
+    isWorkerBusy = false;
+    workerInferenceTime = inferenceTime;
+    if (isSessionReplaying || isOfflineExporting) return;
+
+    const now = performance.now();
+    const interval = lastWorkerResultTime ? now - lastWorkerResultTime : workerResultInterval;
+    lastWorkerResultTime = now;
+    workerResultInterval += (Math.min(interval, 200) - workerResultInterval) * 0.2;
+    trackingLatency += (now - results.timestamp - trackingLatency) * 0.2;
+    if (isVideoFileSource()) updateVideoFileAudioDelay();
+
+    if (DEBUG_MODE && debugCtx) {
+        debugCtx.clearRect(0, 0, debugCanvas.width, debugCanvas.height);
+    }
+
+    const from = captureTrackedPose();
+    recordSessionFrame(results);
+    processTrackingResults(results, interval / 1000);
+    const to = captureTrackedPose();
+    if (!from || !to) return;
+
+    restoreTrackedPose(from);
+    trackingInterpolation.from = from;
+    trackingInterpolation.to = to;
+    trackingInterpolation.startTime = now;
+    trackingInterpolation.duration = workerResultInterval;
+}
+
+// 보간 중일 때만 포즈를 덮어씀 (끝나면 idle layer 등이 그대로 동작)
+function updateTrackingInterpolation(now) {
+    const { from, to, startTime, duration } = trackingInterpolation;
+    if (!from || !to) return;
+
+    const alpha = duration > 0 ? Math.min(1, (now - startTime) / duration) : 1;
+    blendTrackedPose(from, to, alpha);
+    if (alpha >= 1) {
+        trackingInterpolation.from = null;
+        trackingInterpolation.to = null;
+    }
+}
+
+// 보간 대상: normalized humanoid bone 회전, hips 위치, 표정 값, 시선
+function captureTrackedPose() {
+    if (!currentVrm) return null;
+    const humanoid = currentVrm.humanoid;
+    const bones = new Map();
+    for (const boneName of VRMHumanBoneList) {
+        const node = humanoid.getNormalizedBoneNode(boneName);
+        if (node) bones.set(node, node.quaternion.clone());
+    }
+    const hips = humanoid.getNormalizedBoneNode('hips');
+    const expressions = currentVrm.expressionManager
+        ? currentVrm.expressionManager.expressions.map(expression => expression.weight)
+        : [];
+    const lookAt = currentVrm.lookAt;
+
+    return {
+        vrm: currentVrm,
+        bones,
+        hipsPosition: hips ? hips.position.clone() : null,
+        expressions,
+        gaze: lookAt ? { yaw: lookAt.yaw, pitch: lookAt.pitch } : null
+    };
+}
+
+function restoreTrackedPose(pose) {
+    blendTrackedPose(pose, pose, 1);
+}
+
+function blendTrackedPose(from, to, alpha) {
+    if (from.vrm !== currentVrm || to.vrm !== currentVrm) return;
+
+    for (const [node, quaternion] of to.bones) {
+        const start = from.bones.get(node);
+        if (start) node.quaternion.slerpQuaternions(start, quaternion, alpha);
+    }
+
+    const hips = currentVrm.humanoid.getNormalizedBoneNode('hips');
+    if (hips && from.hipsPosition && to.hipsPosition) {
+        hips.position.lerpVectors(from.hipsPosition, to.hipsPosition, alpha);
+    }
+
+    if (currentVrm.expressionManager) {
+        currentVrm.expressionManager.expressions.forEach((expression, i) => {
+            expression.weight = THREE.MathUtils.lerp(from.expressions[i], to.expressions[i], alpha);
+        });
+    }
+
+    if (currentVrm.lookAt && from.gaze && to.gaze) {
+        currentVrm.lookAt.yaw = THREE.MathUtils.lerp(from.gaze.yaw, to.gaze.yaw, alpha);
+        currentVrm.lookAt.pitch = THREE.MathUtils.lerp(from.gaze.pitch, to.gaze.pitch, alpha);
+    }
+}
+
+// 시작 시 마지막으로 사용한 라이브러리 아바타, 없으면 기본 아바타 (AVATAR_URL)
+async function loadAvatar() {
+    const id = loadActiveAvatarId();
+    if (id !== null && AVATAR_LIBRARY_SUPPORTED) {
+        try {
+            const record = await getAvatar(id);
+            if (record) await switchAvatar(record);
+        } catch (err) {
+            console.warn('[Avatar] Failed to load library avatar:', err);
+        }
+        if (currentVrm) return;
+    }
+
+    try {
+        setCurrentAvatar(await loadVrm(AVATAR_URL), null);
+        console.log("Avatar loaded");
+    } catch (err) {
+        console.error("VRM load error:", err);
+        alert('아바타 로딩 실패. 페이지를 새로고침해주세요.');
+    }
+}
+
+async function loadVrm(url) {
+    const loader = new GLTFLoader();
+    loader.register((parser) => {
+        return new VRMLoaderPlugin(parser);
+    });
+
+    const gltf = await loader.loadAsync(url);
+    // VRM 확장이 없는 GLB (Ready Player Me, Mixamo 등)는 본 이름 / ARKit 모프로 VRM 구성
+    const vrm = gltf.userData.vrm ?? createVrmFromGltf(gltf);
+
+    VRMUtils.removeUnnecessaryVertices(gltf.scene);
+    VRMUtils.removeUnnecessaryJoints(gltf.scene);
+    vrm.scene.userData.springGroups = getSpringGroups(gltf, vrm);
+    return vrm;
+}
+
+// three-vrm은 spring joint만 남기므로 그룹 (VRM 1.0 spring / VRM 0.x boneGroup) 이름은 glTF JSON에서 복원
+function getSpringGroups(gltf, vrm) {
+    const manager = vrm.springBoneManager;
+    if (!manager || manager.joints.size === 0) return [];
+
+    const json = gltf.parser.json;
+    const nodeGroups = new Map();   // node index → 그룹 이름
+    const springs = json.extensions?.VRMC_springBone?.springs;
+    if (springs) {
+        springs.forEach((spring, i) => {
+            const name = spring.name || `Spring ${i + 1}`;
+            for (const joint of spring.joints ?? []) nodeGroups.set(joint.node, name);
+        });
+    } else {
+        // VRM 0.x: 루트 본 아래 전체가 한 그룹
+        const markTree = (index, name) => {
+            nodeGroups.set(index, name);
+            for (const child of json.nodes[index]?.children ?? []) markTree(child, name);
+        };
+        (json.extensions?.VRM?.secondaryAnimation?.boneGroups ?? []).forEach((group, i) => {
+            const name = group.comment || `Spring ${i + 1}`;
+            for (const root of group.bones ?? []) markTree(root, name);
+        });
+    }
+
+    const groups = new Map();
+    for (const joint of manager.joints) {
+        const index = gltf.parser.associations.get(joint.bone)?.nodes;
+        const name = nodeGroups.get(index) ?? 'Other';
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(joint);
+    }
+    return Array.from(groups, ([name, joints]) => ({ name, joints }));
+}
+
+// ============================================================
+// Avatar Library (드래그 앤 드롭 / 파일 선택으로 VRM / GLB 교체, IndexedDB에 보관)
+// 기본 아바타 (AVATAR_URL)는 라이브러리에 넣지 않고 activeAvatarId = null로 표시
+// ============================================================
+const AVATAR_STORAGE_KEY = 'prismic-eagle.avatar';
+const AVATAR_FILE_PATTERN = /\.(vrm|glb)$/i;
+const AVATAR_THUMBNAIL_SIZE = 128;
+const AVATAR_THUMBNAIL_CROP = 0.45;      // 머리 중심 정사각형 crop 크기 (캔버스 높이 비율)
+
+let activeAvatarId = null;               // 현재 아바타의 라이브러리 id (null = 기본 아바타)
+let isAvatarLoading = false;
+let avatarThumbnailUrls = [];            // 라이브러리 패널의 썸네일 object URL (다시 그릴 때 해제)
+
+// 아바타별로 저장되는 설정
+// capture: 라이브러리 레코드에 저장할 값 / apply: 아바타 전환 시 적용 (저장된 값이 없으면 전역 설정)
+// apply의 isDefault: 기본 아바타 여부 (새로 불러온 파일은 라이브러리에 추가되기 전이라도 false)
+const AVATAR_SETTINGS = {
+    expressionHotkeys: {
+        capture: () => expressionHotkeys.map(binding => ({ ...binding })),
+        apply: (value) => {
+            expressionHotkeys = value ? value.map(binding => ({ ...binding })) : loadExpressionHotkeys();
+        }
+    },
+    springPhysics: {
+        capture: () => structuredClone(springSettings),
+        apply: (value, { isDefault }) => {
+            // 기본 아바타는 전역 설정, 그 외에는 저장된 값이 없으면 모델 원래 값
+            // (콜라이더 수정값은 index 기준이라 다른 모델에 옮기면 엉뚱한 콜라이더를 가리킴)
+            setSpringSettings(value ?? (isDefault ? loadSpringSettings() : createSpringSettings()));
+        }
+    }
+};
+
+function loadActiveAvatarId() {
+    try {
+        const id = parseInt(localStorage.getItem(AVATAR_STORAGE_KEY), 10);
+        return Number.isFinite(id) ? id : null;
+    } catch (e) {
+        console.warn('[Avatar] Failed to load active avatar:', e);
+        return null;
+    }
+}
+
+function saveActiveAvatarId(id) {
+    try {
+        if (id === null) localStorage.removeItem(AVATAR_STORAGE_KEY);
+        else localStorage.setItem(AVATAR_STORAGE_KEY, String(id));
+    } catch (e) {
+        console.warn('[Avatar] Failed to save active avatar:', e);
+    }
+}
+
+// VRM 1.0: meta.name / VRM 0.x: meta.title
+function getVrmName(vrm) {
+    return vrm.meta?.name || vrm.meta?.title || null;
+}
+
+// 이전 아바타를 장면에서 빼고 GPU 리소스 해제, 아바타에 묶인 상태 초기화
+// imported: 드롭 / Open으로 새로 불러온 파일 (record 없이 전환한 뒤 라이브러리에 추가)
+function setCurrentAvatar(vrm, record, { imported = false } = {}) {
+    if (currentVrm) {
+        disposeSpringRig();
+        scene.remove(currentVrm.scene);
+        VRMUtils.deepDispose(currentVrm.scene);
+    }
+
+    releaseAllHotkeyExpressions();
+    expressionOverrides.clear();
+    activeEmote = null;
+    trackingInterpolation.from = null;
+    trackingInterpolation.to = null;
+    resetTrackingState();
+
+    scene.add(vrm.scene);
+    currentVrm = vrm;
+    gazeLimits = getAvatarGazeLimits(vrm);
+    perfectSyncMap = detectPerfectSync(vrm);
+    springRig = createSpringRig(vrm);
+    updateAvatarFraming(vrm);
+
+    activeAvatarId = record ? record.id : null;
+    for (const [key, setting] of Object.entries(AVATAR_SETTINGS)) {
+        setting.apply(record?.settings?.[key], { isDefault: !record && !imported });
+    }
+    if (isColliderVisible) showColliderHelpers();
+    if (document.getElementById('hotkey-panel')?.classList.contains('open')) editHotkeyBindings();
+    if (document.getElementById('physics-panel')?.classList.contains('open')) renderPhysicsPanel();
+}
+
+function canSwitchAvatar() {
+    if (isAvatarLoading) return false;
+    if (isOfflineExporting) {
+        alert('내보내기 중에는 아바타를 바꿀 수 없습니다.');
+        return false;
+    }
+    return true;
+}
+
+// record = null이면 기본 아바타
+async function switchAvatar(record) {
+    if (!canSwitchAvatar()) return;
+    isAvatarLoading = true;
+    const url = record ? URL.createObjectURL(record.file) : AVATAR_URL;
+
+    try {
+        setCurrentAvatar(await loadVrm(url), record);
+        saveActiveAvatarId(activeAvatarId);
+        if (record) await updateAvatar(record.id, { lastUsedAt: Date.now() });
+        console.log(`[Avatar] Switched to ${record ? record.name : 'default avatar'}`);
+    } catch (err) {
+        console.error('[Avatar] Failed to switch avatar:', err);
+        alert('아바타를 불러올 수 없습니다.');
+    } finally {
+        if (record) URL.revokeObjectURL(url);
+        isAvatarLoading = false;
+        renderAvatarPanelIfOpen();
+    }
+}
+
+// 드롭 / 파일 선택한 VRM / GLB를 바로 적용하고 라이브러리에 추가
+async function importAvatarFile(file) {
+    if (!AVATAR_FILE_PATTERN.test(file.name)) {
+        alert('.vrm / .glb 파일만 불러올 수 있습니다.');
+        return;
+    }
+    if (!canSwitchAvatar()) return;
+    isAvatarLoading = true;
+    const url = URL.createObjectURL(file);
+
+    try {
+        const vrm = await loadVrm(url);
+        setCurrentAvatar(vrm, null, { imported: true });
+        const name = getVrmName(vrm) || file.name.replace(AVATAR_FILE_PATTERN, '');
+        console.log(`[Avatar] Loaded ${name} from ${file.name}`);
+
+        // 아바타는 이미 교체되었으므로 라이브러리 저장 실패는 따로 알림
+        if (AVATAR_LIBRARY_SUPPORTED) {
+            try {
+                const thumbnail = await captureAvatarThumbnail();
+                activeAvatarId = await addAvatar({ name, file, thumbnail });
+                saveActiveAvatarId(activeAvatarId);
+            } catch (err) {
+                console.warn('[Avatar] Failed to save avatar to library:', err);
+                alert(`아바타는 불러왔지만 라이브러리에 저장하지 못했습니다: ${file.name}`);
+            }
+        }
+    } catch (err) {
+        console.error('[Avatar] Failed to import avatar:', err);
+        alert(`아바타 파일을 불러올 수 없습니다: ${file.name}`);
+    } finally {
+        URL.revokeObjectURL(url);
+        isAvatarLoading = false;
+        renderAvatarPanelIfOpen();
+    }
+}
+
+function openAvatarFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.vrm,.glb';
+    input.addEventListener('change', () => {
+        const file = input.files && input.files[0];
+        if (file) importAvatarFile(file);
+    });
+    input.click();
+}
+
+// 렌더링 직후의 WebGL 캔버스에서 머리 주변을 잘라 PNG 썸네일 생성
+function captureAvatarThumbnail() {
+    renderer.render(scene, camera);
+    const source = renderer.domElement;
+
+    const center = new THREE.Vector3(0, 1.4, 0);
+    currentVrm.humanoid.getRawBoneNode('head')?.getWorldPosition(center);
+    center.project(camera);
+    const x = (center.x + 1) / 2 * source.width;
+    const y = (1 - center.y) / 2 * source.height;
+    const size = source.height * AVATAR_THUMBNAIL_CROP;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = AVATAR_THUMBNAIL_SIZE;
+    canvas.height = AVATAR_THUMBNAIL_SIZE;
+    canvas.getContext('2d').drawImage(source, x - size / 2, y - size / 2, size, size,
+        0, 0, AVATAR_THUMBNAIL_SIZE, AVATAR_THUMBNAIL_SIZE);
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+// 현재 라이브러리 아바타에 설정 저장 (기본 아바타면 false → 호출한 쪽에서 전역 설정으로 저장)
+function saveAvatarSetting(key) {
+    if (activeAvatarId === null) return false;
+    updateAvatar(activeAvatarId, { settings: { [key]: AVATAR_SETTINGS[key].capture() } })
+        .catch(err => console.warn(`[Avatar] Failed to save ${key}:`, err));
+    return true;
+}
+
+async function removeAvatar(record) {
+    if (!confirm(`"${record.name}"을(를) 라이브러리에서 삭제할까요?`)) return;
+    try {
+        await deleteAvatar(record.id);
+        // 현재 아바타는 그대로 두고 라이브러리 연결만 해제
+        if (record.id === activeAvatarId) {
+            activeAvatarId = null;
+            saveActiveAvatarId(null);
+        }
+    } catch (err) {
+        console.error('[Avatar] Failed to delete avatar:', err);
+    }
+    renderAvatarPanelIfOpen();
+}
+
+// --- Avatar Library 패널 ---
+function toggleAvatarPanel() {
+    if (toggleSettingsPanel('avatar-panel')) renderAvatarPanel();
+}
+
+function renderAvatarPanelIfOpen() {
+    if (document.getElementById('avatar-panel')?.classList.contains('open')) renderAvatarPanel();
+}
+
+async function renderAvatarPanel() {
+    const list = document.getElementById('avatar-list');
+    if (!list) return;
+
+    let records = [];
+    if (AVATAR_LIBRARY_SUPPORTED) {
+        try {
+            records = await listAvatars();
+        } catch (err) {
+            console.warn('[Avatar] Failed to read library:', err);
+        }
+    }
+
+    avatarThumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+    avatarThumbnailUrls = [];
+    list.innerHTML = '';
+
+    list.appendChild(createAvatarRow(null));
+    for (const record of records) {
+        list.appendChild(createAvatarRow(record));
+    }
+}
+
+// record = null: 기본 아바타 (이름 변경 / 삭제 불가)
+function createAvatarRow(record) {
+    const row = document.createElement('div');
+    row.className = 'avatar-row';
+    row.classList.toggle('active', (record ? record.id : null) === activeAvatarId);
+
+    const thumbnail = document.createElement('div');
+    thumbnail.className = 'avatar-thumbnail';
+    if (record?.thumbnail) {
+        const url = URL.createObjectURL(record.thumbnail);
+        avatarThumbnailUrls.push(url);
+        thumbnail.style.backgroundImage = `url(${url})`;
+    }
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = record ? record.name : 'Default (avatar.vrm)';
+    nameInput.disabled = !record;
+    nameInput.spellcheck = false;
+    nameInput.addEventListener('change', () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.value = record.name;
+            return;
+        }
+        record.name = name;
+        updateAvatar(record.id, { name }).catch(err => console.warn('[Avatar] Failed to rename avatar:', err));
+    });
+
+    const loadBtn = document.createElement('button');
+    loadBtn.textContent = 'Load';
+    loadBtn.addEventListener('click', () => switchAvatar(record));
+
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Remove from library';
+    removeBtn.disabled = !record;
+    removeBtn.addEventListener('click', () => removeAvatar(record));
+
+    row.append(thumbnail, nameInput, loadBtn, removeBtn);
+    return row;
+}
+
+// 페이지 어디에든 .vrm / .glb 파일을 드롭하면 교체
+function setupAvatarDrop() {
+    let dragDepth = 0;
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+    document.addEventListener('dragenter', (e) => {
+        if (!hasFiles(e)) return;
+        dragDepth++;
+        document.body.classList.add('avatar-dragging');
+    });
+    document.addEventListener('dragleave', (e) => {
+        if (!hasFiles(e)) return;
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) document.body.classList.remove('avatar-dragging');
+    });
+    document.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+    document.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth = 0;
+        document.body.classList.remove('avatar-dragging');
+
+        const file = e.dataTransfer.files[0];
+        if (file) importAvatarFile(file);
+    });
+}
+
+function setupAvatarLibrary() {
+    setupAvatarDrop();
+
+    document.getElementById('avatar-open')?.addEventListener('click', openAvatarFile);
+    document.getElementById('avatar-close')?.addEventListener('click', () => {
+        document.getElementById('avatar-panel')?.classList.remove('open');
+    });
+}
+
+// ============================================================
+// Spring Bone Physics (머리카락 / 옷 흔들림)
+// 모델 작성자가 정한 spring 값을 그룹별 배율로 조정하고, 전역 바람 (돌풍 포함)을 중력 벡터에 더함
+// 콜라이더는 시각화 / 반지름·위치 조정, 팔에 capsule 콜라이더 추가 가능 (팔을 들 때 머리카락 관통 방지)
+// ============================================================
+const SPRING_STORAGE_KEY = 'prismic-eagle.springs';   // 기본 아바타의 설정 (라이브러리 아바타는 아바타별)
+const WIND_STORAGE_KEY = 'prismic-eagle.wind';
+const DEFAULT_WIND_SETTINGS = {
+    enabled: false,
+    strength: 0.5,      // 중력 세기와 같은 단위
+    direction: 0,       // 바람이 불어오는 방향 (deg, 0 = 카메라 쪽, 90 = 아바타 왼쪽)
+    gust: 0.5           // 돌풍 세기 (0 = 일정한 바람)
+};
+const WIND_GUST_WOBBLE = 15;          // 돌풍 시 방향 흔들림 (deg)
+const ARM_COLLIDER_RADIUS = 0.06;     // 팔 capsule 반지름 (m)
+const ARM_COLLIDER_GROUP = 'Arms (added)';
+
+let windSettings = loadWindSettings();
+let springSettings = createSpringSettings();
+let springRig = null;                 // 현재 아바타의 spring 구조 (createSpringRig)
+let windTime = 0;                     // 돌풍 위상 (초, 내보내기 시 0으로 초기화 → 결정적)
+let isColliderVisible = false;
+
+// groups: 그룹 이름 → 배율 / colliders: 콜라이더 index → { radius, offset } (직접 수정한 값만)
+function createSpringSettings() {
+    return { groups: {}, colliderScale: 1, colliders: {}, armColliders: false };
+}
+
+function loadSpringSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SPRING_STORAGE_KEY));
+        if (stored) return { ...createSpringSettings(), ...stored };
+    } catch (e) {
+        console.warn('[Physics] Failed to load settings:', e);
+    }
+    return createSpringSettings();
+}
+
+function saveSpringSettings() {
+    if (saveAvatarSetting('springPhysics')) return;
+    try {
+        localStorage.setItem(SPRING_STORAGE_KEY, JSON.stringify(springSettings));
+    } catch (e) {
+        console.warn('[Physics] Failed to save settings:', e);
+    }
+}
+
+function loadWindSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(WIND_STORAGE_KEY));
+        if (stored) return { ...DEFAULT_WIND_SETTINGS, ...stored };
+    } catch (e) {
+        console.warn('[Physics] Failed to load wind settings:', e);
+    }
+    return { ...DEFAULT_WIND_SETTINGS };
+}
+
+function saveWindSettings() {
+    try {
+        localStorage.setItem(WIND_STORAGE_KEY, JSON.stringify(windSettings));
+    } catch (e) {
+        console.warn('[Physics] Failed to save wind settings:', e);
+    }
+}
+
+// 모델 원래 값을 보관해 두고 배율은 항상 원래 값 기준으로 적용
+function createSpringRig(vrm) {
+    const manager = vrm.springBoneManager;
+    if (!manager || manager.joints.size === 0) return null;
+
+    const base = new Map();
+    for (const joint of manager.joints) {
+        base.set(joint, {
+            stiffness: joint.settings.stiffness,
+            dragForce: joint.settings.dragForce,
+            gravityPower: joint.settings.gravityPower,
+            gravityDir: joint.settings.gravityDir.clone()
+        });
+    }
+
+    const colliders = manager.colliders.map(collider => ({
+        collider,
+        name: `${collider.parent?.name || 'Collider'} (${collider.shape.type})`,
+        radius: collider.shape.radius,
+        offset: collider.shape.offset.clone()
+    }));
+
+    return {
+        manager,
+        groups: vrm.scene.userData.springGroups ?? [{ name: 'All', joints: Array.from(manager.joints) }],
+        base,
+        colliders,
+        armColliderGroup: null,
+        helpers: []
+    };
+}
+
+function disposeSpringRig() {
+    if (!springRig) return;
+    removeColliderHelpers();
+    removeArmColliders();
+    springRig = null;
+}
+
+function getSpringGroupScale(name) {
+    return { stiffness: 1, gravity: 1, drag: 1, ...springSettings.groups[name] };
+}
+
+function setSpringSettings(settings) {
+    springSettings = settings;
+    applySpringSettings();
+}
+
+// 그룹 배율 / 콜라이더 값 반영 (중력은 바람과 합쳐 매 프레임 updateSpringPhysics에서 적용)
+function applySpringSettings() {
+    if (!springRig) return;
+
+    for (const group of springRig.groups) {
+        const scale = getSpringGroupScale(group.name);
+        for (const joint of group.joints) {
+            const base = springRig.base.get(joint);
+            joint.settings.stiffness = base.stiffness * scale.stiffness;
+            joint.settings.dragForce = THREE.MathUtils.clamp(base.dragForce * scale.drag, 0, 1);
+        }
+    }
+
+    springRig.colliders.forEach((entry, index) => {
+        const edit = springSettings.colliders[index];
+        entry.collider.shape.radius = (edit?.radius ?? entry.radius) * springSettings.colliderScale;
+        entry.collider.shape.offset.copy(edit?.offset ? new THREE.Vector3().fromArray(edit.offset) : entry.offset);
+    });
+
+    if (springSettings.armColliders) addArmColliders();
+    else removeArmColliders();
+}
+
+// 위팔 → 아래팔 capsule을 모든 spring joint의 충돌 대상에 추가
+function addArmColliders() {
+    if (!springRig || springRig.armColliderGroup) return;
+
+    const colliders = [];
+    for (const side of ['left', 'right']) {
+        const upperArm = currentVrm.humanoid.getRawBoneNode(`${side}UpperArm`);
+        const lowerArm = currentVrm.humanoid.getRawBoneNode(`${side}LowerArm`);
+        if (!upperArm || !lowerArm || lowerArm.parent !== upperArm) continue;
+
+        const collider = new VRMSpringBoneCollider(new VRMSpringBoneColliderShapeCapsule({
+            offset: new THREE.Vector3(),
+            tail: lowerArm.position.clone(),
+            radius: ARM_COLLIDER_RADIUS * springSettings.colliderScale
+        }));
+        collider.name = `${side}ArmCollider`;
+        upperArm.add(collider);
+        colliders.push(collider);
+    }
+
+    const group = { name: ARM_COLLIDER_GROUP, colliders };
+    for (const joint of springRig.manager.joints) {
+        // 같은 spring의 joint는 colliderGroups 배열을 공유할 수 있음
+        if (!joint.colliderGroups.includes(group)) joint.colliderGroups.push(group);
+    }
+    springRig.armColliderGroup = group;
+    refreshSpringJointOrder();
+    if (isColliderVisible) showColliderHelpers();
+}
+
+function removeArmColliders() {
+    const group = springRig?.armColliderGroup;
+    if (!group) return;
+
+    for (const joint of springRig.manager.joints) {
+        const index = joint.colliderGroups.indexOf(group);
+        if (index !== -1) joint.colliderGroups.splice(index, 1);
+    }
+    for (const collider of group.colliders) collider.removeFromParent();
+    springRig.armColliderGroup = null;
+    refreshSpringJointOrder();
+    if (isColliderVisible) showColliderHelpers();
+}
+
+// 콜라이더 (joint 의존성)가 바뀌면 manager가 갱신 순서를 다시 계산하도록 joint 하나를 다시 등록
+function refreshSpringJointOrder() {
+    const manager = springRig.manager;
+    const joint = manager.joints.values().next().value;
+    manager.deleteJoint(joint);
+    manager.addJoint(joint);
+}
+
+function getAllColliders() {
+    if (!springRig) return [];
+    return [
+        ...springRig.colliders.map(entry => entry.collider),
+        ...(springRig.armColliderGroup?.colliders ?? [])
+    ];
+}
+
+function showColliderHelpers() {
+    removeColliderHelpers();
+    if (!springRig) return;
+    for (const collider of getAllColliders()) {
+        const helper = new VRMSpringBoneColliderHelper(collider);
+        scene.add(helper);
+        springRig.helpers.push(helper);
+    }
+}
+
+function removeColliderHelpers() {
+    if (!springRig) return;
+    for (const helper of springRig.helpers) {
+        scene.remove(helper);
+        helper.dispose();
+    }
+    springRig.helpers = [];
+}
+
+function setColliderVisible(visible) {
+    isColliderVisible = visible;
+    if (visible) showColliderHelpers();
+    else removeColliderHelpers();
+}
+
+// 돌풍: 주기가 서로 다른 사인파 합성 (난수 대신 시간 함수 → 오프라인 내보내기에서도 같은 결과)
+function getWindForce(time, target) {
+    if (!windSettings.enabled || windSettings.strength <= 0) return target.set(0, 0, 0);
+
+    const gust = windSettings.gust;
+    const wave = Math.sin(time * 1.3) * Math.sin(time * 0.47 + 1.1) + 0.3 * Math.sin(time * 5.1);
+    const strength = windSettings.strength * Math.max(0, 1 + gust * wave);
+    const angle = THREE.MathUtils.degToRad(windSettings.direction + WIND_GUST_WOBBLE * gust * Math.sin(time * 0.63));
+
+    // 불어오는 방향의 반대쪽으로 미는 힘 (0deg = 카메라 쪽에서 -Z로)
+    return target.set(-Math.sin(angle), 0, -Math.cos(angle)).multiplyScalar(strength);
+}
+
+const _windForce = new THREE.Vector3();
+const _springForce = new THREE.Vector3();
+
+// currentVrm.update() 직전에 호출: 원래 중력 × 배율 + 바람을 joint 중력으로 설정
+function updateSpringPhysics(deltaTime) {
+    if (!springRig) return;
+    windTime += deltaTime;
+    getWindForce(windTime, _windForce);
+
+    for (const group of springRig.groups) {
+        const gravityScale = getSpringGroupScale(group.name).gravity;
+        for (const joint of group.joints) {
+            const base = springRig.base.get(joint);
+            _springForce.copy(base.gravityDir).multiplyScalar(base.gravityPower * gravityScale).add(_windForce);
+            joint.settings.gravityPower = _springForce.length();
+            if (joint.settings.gravityPower > 0) joint.settings.gravityDir.copy(_springForce).normalize();
+        }
+    }
+}
+
+// 오프라인 내보내기 시작 시 물리 상태를 rest pose로 되돌려 매번 같은 결과
+function resetSpringPhysics() {
+    windTime = 0;
+    currentVrm?.springBoneManager?.reset();
+}
+
+function setWindEnabled(enabled) {
+    windSettings.enabled = enabled;
+    saveWindSettings();
+    updateWindOptions();
+    const checkbox = document.getElementById('wind-enabled');
+    if (checkbox) checkbox.checked = enabled;
+}
+
+function updateWindOptions() {
+    document.querySelectorAll('.option-btn[data-wind]').forEach(btn => {
+        btn.classList.toggle('active', (btn.dataset.wind === 'on') === windSettings.enabled);
+    });
+}
+
+// --- Physics 설정 패널 ---
+function togglePhysicsPanel() {
+    if (toggleSettingsPanel('physics-panel')) renderPhysicsPanel();
+}
+
+function renderPhysicsPanel() {
+    const windFields = {
+        'wind-enabled': ['enabled', 'checked'],
+        'wind-strength': ['strength', 'value'],
+        'wind-direction': ['direction', 'value'],
+        'wind-gust': ['gust', 'value']
+    };
+    for (const [id, [key, prop]] of Object.entries(windFields)) {
+        const el = document.getElementById(id);
+        if (el) el[prop] = windSettings[key];
+    }
+    const colliderScale = document.getElementById('collider-scale');
+    if (colliderScale) colliderScale.value = springSettings.colliderScale;
+    const armColliders = document.getElementById('collider-arms');
+    if (armColliders) armColliders.checked = springSettings.armColliders;
+    const showColliders = document.getElementById('collider-show');
+    if (showColliders) showColliders.checked = isColliderVisible;
+
+    renderSpringGroups();
+    renderColliderList();
+}
+
+function createNumberInput(value, step, onInput) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = step;
+    input.value = value;
+    input.addEventListener('input', () => {
+        const parsed = parseFloat(input.value);
+        if (Number.isFinite(parsed)) onInput(parsed);
+    });
+    return input;
+}
+
+function renderSpringGroups() {
+    const list = document.getElementById('physics-groups');
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (!springRig) {
+        list.textContent = 'This avatar has no spring bones.';
+        return;
+    }
+
+    for (const group of springRig.groups) {
+        const row = document.createElement('div');
+        row.className = 'physics-row';
+
+        const name = document.createElement('span');
+        name.textContent = `${group.name} (${group.joints.length})`;
+        name.title = group.name;
+        row.appendChild(name);
+
+        const scale = getSpringGroupScale(group.name);
+        for (const key of ['stiffness', 'gravity', 'drag']) {
+            const input = createNumberInput(scale[key], '0.1', (value) => {
+                springSettings.groups[group.name] = { ...getSpringGroupScale(group.name), [key]: Math.max(0, value) };
+                applySpringSettings();
+            });
+            input.min = '0';
+            row.appendChild(input);
+        }
+        list.appendChild(row);
+    }
+}
+
+function renderColliderList() {
+    const list = document.getElementById('collider-list');
+    if (!list) return;
+    list.innerHTML = '';
+    if (!springRig) return;
+
+    springRig.colliders.forEach((entry, index) => {
+        const row = document.createElement('div');
+        row.className = 'collider-row';
+
+        const name = document.createElement('span');
+        name.textContent = entry.name;
+        name.title = entry.name;
+        row.appendChild(name);
+
+        const edit = () => {
+            springSettings.colliders[index] ??= {
+                radius: entry.radius,
+                offset: entry.offset.toArray()
+            };
+            return springSettings.colliders[index];
+        };
+
+        const radius = createNumberInput(springSettings.colliders[index]?.radius ?? entry.radius, '0.005', (value) => {
+            edit().radius = Math.max(0, value);
+            applySpringSettings();
+        });
+        radius.min = '0';
+        radius.title = 'Radius (m)';
+        row.appendChild(radius);
+
+        const offset = springSettings.colliders[index]?.offset ?? entry.offset.toArray();
+        ['x', 'y', 'z'].forEach((axis, i) => {
+            const input = createNumberInput(offset[i], '0.005', (value) => {
+                edit().offset[i] = value;
+                applySpringSettings();
+            });
+            input.title = `Offset ${axis} (m)`;
+            row.appendChild(input);
+        });
+
+        list.appendChild(row);
+    });
+}
+
+function setupSpringPhysics() {
+    updateWindOptions();
+
+    document.querySelectorAll('.option-btn[data-wind]').forEach(btn => {
+        btn.addEventListener('click', () => setWindEnabled(btn.dataset.wind === 'on'));
+    });
+
+    const bindWind = (id, key, parse) => {
+        document.getElementById(id)?.addEventListener('input', (e) => {
+            const value = parse(e.target);
+            if (value === null) return;
+            windSettings[key] = value;
+            saveWindSettings();
+            if (key === 'enabled') updateWindOptions();
+        });
+    };
+    const parseNumber = (min, max) => (el) => {
+        const value = parseFloat(el.value);
+        return Number.isFinite(value) ? THREE.MathUtils.clamp(value, min, max) : null;
+    };
+    bindWind('wind-enabled', 'enabled', el => el.checked);
+    bindWind('wind-strength', 'strength', parseNumber(0, Infinity));
+    bindWind('wind-direction', 'direction', parseNumber(-Infinity, Infinity));
+    bindWind('wind-gust', 'gust', parseNumber(0, 1));
+
+    document.getElementById('collider-scale')?.addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        if (!Number.isFinite(value) || value < 0) return;
+        springSettings.colliderScale = value;
+        // 추가한 팔 콜라이더 반지름도 배율을 따름
+        removeArmColliders();
+        applySpringSettings();
+    });
+    document.getElementById('collider-arms')?.addEventListener('change', (e) => {
+        springSettings.armColliders = e.target.checked;
+        applySpringSettings();
+    });
+    document.getElementById('collider-show')?.addEventListener('change', (e) => {
+        setColliderVisible(e.target.checked);
+    });
+
+    document.getElementById('physics-reset')?.addEventListener('click', () => {
+        setSpringSettings(createSpringSettings());
+        renderPhysicsPanel();
+    });
+    document.getElementById('physics-save')?.addEventListener('click', () => {
+        saveSpringSettings();
+        document.getElementById('physics-panel')?.classList.remove('open');
+        console.log('[Physics] Settings saved');
+    });
+    document.getElementById('physics-close')?.addEventListener('click', () => {
+        document.getElementById('physics-panel')?.classList.remove('open');
+    });
+}
+
+function animate() {
+    requestAnimationFrame(animate);
+
+    // 오프라인 내보내기 중에는 내보내기 루프가 직접 프레임을 진행
+    if (isOfflineExporting) return;
+
+    const currentTime = performance.now();
+    const deltaTime = (currentTime - lastFrameTime) / 1000; // 초 단위
+    lastFrameTime = currentTime;
+
+    if (isSessionReplaying) {
+        // 세션 재생 중에는 웹캠 대신 기록된 결과를 사용
+        if (DEBUG_MODE && debugCtx) {
+            debugCtx.clearRect(0, 0, debugCanvas.width, debugCanvas.height);
+        }
+        updateSessionReplay(currentTime);
+    } else if (video && video.readyState >= 2) {
+        if (inferenceMode === 'worker') {
+            // Worker 추론: 결과는 applyWorkerResults에서 비동기로 적용, 여기서는 보간만
+            if (video.currentTime !== lastVideoTime && submitWorkerFrame(video, currentTime)) {
+                lastVideoTime = video.currentTime;
+            }
+            updateTrackingInterpolation(currentTime);
+        } else if (landmarkers) {
+            if (DEBUG_MODE && debugCtx) {
+                debugCtx.clearRect(0, 0, debugCanvas.width, debugCanvas.height);
+            }
+
+            if (video.currentTime !== lastVideoTime) {
+                lastVideoTime = video.currentTime;
+
+                const results = detectTrackingResults(video, currentTime);
+                recordSessionFrame(results);
+                processTrackingResults(results, deltaTime);
+            }
+        }
+    }
+
+    // 트래킹 위에 덧씌우는 레이어 (idle, 오디오 립싱크, emote, 표정 오버라이드)
+    updateIdleLayer(deltaTime, currentTime);
+    updateAudioLipSync(deltaTime, currentTime);
+    updateEmote(deltaTime);
+    applyTorsoOffset(deltaTime);
+    applyExpressionOverrides(deltaTime);
+
+    if (currentVrm) {
+        updateSpringPhysics(deltaTime);
+        currentVrm.update(deltaTime);
+    }
+    updateCameraFraming(deltaTime);
+    updateLighting(deltaTime);
+
+    // 모션 녹화 샘플링 (트래킹 적용 후의 최종 포즈)
+    sampleMotionFrame(currentTime);
+
+    renderer.render(scene, camera);
+
+    // 다음 프레임 보간을 위해 트래킹 표정 값 / 상체 이동 복원
+    restoreTrackedExpressions();
+    removeTorsoOffset();
+}
+
+// 메인 스레드 추론 (결과만 반환, 아바타에는 적용하지 않음)
+function detectTrackingResults(source, timestamp) {
+    const results = detectionScheduler.detect(landmarkers, source, timestamp, BODY_TRACKING_ENABLED);
+    setDetectionStats(detectionScheduler.getStats());
+    return results;
+}
+
+function processTrackingResults(results, deltaTime) {
+    const { timestamp, face, hands, pose } = results;
+
+    // 보정 마법사 측정 중이면 원본 값 수집
+    collectCalibrationSample(results);
+
+    // Idle layer 전환 판단용 (얼굴 감지 여부)
+    markTrackingFrame(!!(face && face.faceBlendshapes && face.faceBlendshapes.length > 0));
+
+    // 1. Face (One Euro Filter 적용 후 아바타에 반영)
+    if (face) {
+        if (face.faceBlendshapes && face.faceBlendshapes.length > 0) {
+            applyBlendshapes(filterBlendshapes(face.faceBlendshapes[0], timestamp), deltaTime);
+        }
+        if (face.facialTransformationMatrixes && face.facialTransformationMatrixes.length > 0) {
+            const headMatrix = filterHeadMatrix(face.facialTransformationMatrixes[0], timestamp);
+            applyHeadRotation(headMatrix);
+            updateTorsoFromFace(headMatrix, deltaTime);
+        }
+        if (DEBUG_MODE && drawingUtils && face.faceLandmarks) {
+            for (const landmarks of face.faceLandmarks) {
+                drawingUtils.drawConnectors(landmarks, FaceLandmarker.FACE_LANDMARKS_TESSELATION, { color: "#90EE90A0", lineWidth: 2 });
+            }
+        }
+    }
+
+    // 2. Body Tracking이 활성화된 경우에만 Hand/Pose 처리
+    if (results.bodyTracking) {
+        // Hand tracking 결과 초기화
+        detectedHands.left = null;
+        detectedHands.right = null;
+
+        if (hands && hands.landmarks && hands.landmarks.length > 0) {
+            // One Euro Filter (손별로 handedness 기준)
+            const filteredLandmarks = [];
+            const filteredWorldLandmarks = [];
+            for (let i = 0; i < hands.landmarks.length; i++) {
+                const filtered = filterHandLandmarks(
+                    hands.handednesses[i][0].categoryName,
+                    hands.landmarks[i],
+                    hands.worldLandmarks ? hands.worldLandmarks[i] : null,
+                    timestamp
+                );
+                filteredLandmarks.push(filtered.landmarks);
+                filteredWorldLandmarks.push(filtered.worldLandmarks);
+            }
+
+            // Hand 결과 저장 (Pose에서 사용)
+            for (let i = 0; i < filteredLandmarks.length; i++) {
+                const handedness = hands.handednesses[i][0];
+                const landmarks = filteredLandmarks[i];
+
+                // MediaPipe Left → Avatar Right, MediaPipe Right → Avatar Left
+                if (handedness.categoryName === 'Left') {
+                    detectedHands.left = landmarks;
+                } else {
+                    detectedHands.right = landmarks;
+                }
+            }
+
+            // 손가락 처리
+            applyHands(filteredLandmarks, hands.handednesses, deltaTime,
+                hands.worldLandmarks ? filteredWorldLandmarks : null);
+
+            if (DEBUG_MODE && drawingUtils) {
+                for (const landmark of filteredLandmarks) {
+                    drawingUtils.drawConnectors(landmark, HandLandmarker.HAND_CONNECTIONS, { color: "#FF0000", lineWidth: 2 });
+                    drawingUtils.drawLandmarks(landmark, { color: "#00FF00", lineWidth: 1 });
+                }
+            }
+        }
+
+        // 제스처 인식 (손이 없으면 후보 없음으로 처리되어 해제됨)
+        updateGestures(deltaTime);
+
+        // Pose tracking
+        let poseDetected = false;
+        if (pose && pose.landmarks && pose.landmarks.length > 0) {
+            const rawLandmarks = pose.landmarks[0];
+            const rawWorldLandmarks = pose.worldLandmarks ? pose.worldLandmarks[0] : null;
+
+            // One Euro Filter 적용 (떨림 완화)
+            const { filteredLandmarks, filteredWorldLandmarks } = getFilteredPoseLandmarks(
+                rawLandmarks, rawWorldLandmarks, timestamp
+            );
+
+            applyPose(filteredLandmarks, filteredWorldLandmarks, deltaTime);
+            updateTorsoFromPose(filteredLandmarks, deltaTime);
+            poseDetected = true;
+
+            if (DEBUG_MODE && drawingUtils) {
+                drawingUtils.drawLandmarks(filteredLandmarks, { radius: 1, color: "white" });
+                drawingUtils.drawConnectors(filteredLandmarks, PoseLandmarker.POSE_CONNECTIONS, { color: "white", lineWidth: 2 });
+            }
+        }
+
+        if (!poseDetected) {
+            resetPose(deltaTime);
+        }
+    } else {
+        // Body tracking 비활성화 시 팔을 자연스럽게 내림
+        resetPose(deltaTime);
+    }
+}
+
+// ============================================================
+// Calibration (사용자별 얼굴/몸 보정)
+// 무표정 기준값과 최대 표정 범위를 측정하여 블렌드쉐이프를 정규화하고,
+// T-Pose에서 손목 visibility / 어깨 기울기 기준값을 측정
+// ============================================================
+const CALIBRATION_STORAGE_KEY = 'prismic-eagle.calibration';
+const CALIBRATION_PREPARE_MS = 2000;  // 각 단계 준비 시간
+const CALIBRATION_CAPTURE_MS = 2500;  // 각 단계 측정 시간
+const CALIBRATION_MIN_RANGE = 0.05;   // 정규화 분모 하한 (0 나눗셈/과증폭 방지)
+
+const CALIBRATION_STEPS = [
+    {
+        id: 'neutral',
+        title: '무표정',
+        instruction: '카메라를 정면으로 보고 편안한 무표정을 유지하세요.'
+    },
+    {
+        id: 'smile',
+        title: '최대 미소',
+        instruction: '가능한 한 크게 웃어주세요.',
+        shapes: ['mouthSmileLeft', 'mouthSmileRight', 'cheekSquintLeft', 'cheekSquintRight', 'eyeSquintLeft', 'eyeSquintRight']
+    },
+    {
+        id: 'browsUp',
+        title: '눈썹 올리기',
+        instruction: '눈썹을 최대한 위로 올려주세요.',
+        shapes: ['browInnerUp', 'browOuterUpLeft', 'browOuterUpRight']
+    },
+    {
+        id: 'mouthOpen',
+        title: '입 벌리기',
+        instruction: '입을 크게 "아" 하고 벌려주세요.',
+        shapes: ['jawOpen', 'mouthLowerDownLeft', 'mouthLowerDownRight']
+    },
+    {
+        id: 'tpose',
+        title: 'T-Pose',
+        instruction: '양팔을 옆으로 수평하게 펴고 손목이 화면에 보이게 해주세요.',
+        requiresBody: true
+    }
+];
+
+function loadCalibrationProfile() {
+    try {
+        const stored = localStorage.getItem(CALIBRATION_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch (e) {
+        console.warn('[Calibration] Failed to load profile:', e);
+        return null;
+    }
+}
+
+function saveCalibrationProfile(profile) {
+    try {
+        localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(profile));
+    } catch (e) {
+        console.warn('[Calibration] Failed to save profile:', e);
+    }
+}
+
+function resetCalibration() {
+    calibrationProfile = null;
+    try {
+        localStorage.removeItem(CALIBRATION_STORAGE_KEY);
+    } catch (e) {
+        // Ignore
+    }
+    console.log('[Calibration] Profile reset');
+}
+
+// 무표정 기준값을 빼고 최대 범위로 나눠 0~1로 정규화
+function calibrateBlendshapes(blendShapesData) {
+    if (!calibrationProfile) return blendShapesData;
+
+    const ranges = calibrationProfile.blendshapes;
+    return {
+        ...blendShapesData,
+        categories: blendShapesData.categories.map((category) => {
+            const range = ranges[category.categoryName];
+            if (!range) return category;
+            const span = Math.max(range.max - range.neutral, CALIBRATION_MIN_RANGE);
+            return {
+                categoryName: category.categoryName,
+                score: THREE.MathUtils.clamp((category.score - range.neutral) / span, 0, 1)
+            };
+        })
+    };
+}
+
+// processTrackingResults에서 호출 (보정 전 원본 값 수집)
+function collectCalibrationSample(results) {
+    if (!calibrationCapture) return;
+
+    // 스케줄러가 건너뛴 프레임의 재사용 결과는 평균을 치우치게 하므로 제외
+    const face = results.stale?.face ? null : results.face;
+    if (face && face.faceBlendshapes && face.faceBlendshapes.length > 0) {
+        const scores = {};
+        for (const { categoryName, score } of face.faceBlendshapes[0].categories) {
+            scores[categoryName] = score;
+        }
+        calibrationCapture.face.push(scores);
+    }
+
+    const pose = results.stale?.pose ? null : results.pose;
+    if (pose && pose.landmarks && pose.landmarks.length > 0) {
+        calibrationCapture.pose.push(pose.landmarks[0]);
+    }
+}
+
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.floor(p * (sorted.length - 1) + 0.5));
+    return sorted[index];
+}
+
+function applyCalibrationStep(profile, step, capture) {
+    if (step.requiresBody) {
+        if (capture.pose.length === 0) return false;
+
+        // 손목 visibility 기준으로 팔 활성화 임계값 조정 (기본값보다 엄격해지지 않도록)
+        const wristVis = Math.min(
+            percentile(capture.pose.map(lm => lm[15].visibility ?? 1), 0.5),
+            percentile(capture.pose.map(lm => lm[16].visibility ?? 1), 0.5)
+        );
+        const visOn = THREE.MathUtils.clamp(wristVis * 0.8, 0.3, VIS_THRESHOLD_ON);
+        profile.pose.visOn = visOn;
+        profile.pose.visOff = Math.min(visOn * 0.7, VIS_THRESHOLD_OFF);
+
+        // 어깨 기울기 기준값 (평소 자세에서 상체가 기울어 보이지 않도록)
+        profile.pose.shoulderDy = percentile(capture.pose.map(lm => lm[12].y - lm[11].y), 0.5);
+        profile.pose.shoulderDz = percentile(capture.pose.map(lm => lm[12].z - lm[11].z), 0.5);
+        return true;
+    }
+
+    if (capture.face.length === 0) return false;
+
+    if (!step.shapes) {
+        // 무표정: 모든 블렌드쉐이프의 기준값 (중앙값)
+        for (const name of Object.keys(capture.face[0])) {
+            if (name === '_neutral') continue;
+            profile.blendshapes[name] = {
+                neutral: percentile(capture.face.map(scores => scores[name] ?? 0), 0.5),
+                max: 1
+            };
+        }
+        return true;
+    }
+
+    // 최대 표정: 상위 95% 값을 최대치로 (순간적인 튐 무시)
+    for (const name of step.shapes) {
+        const range = profile.blendshapes[name] ?? { neutral: 0, max: 1 };
+        const max = percentile(capture.face.map(scores => scores[name] ?? 0), 0.95);
+        if (max > range.neutral + CALIBRATION_MIN_RANGE) {
+            range.max = max;
+        }
+        profile.blendshapes[name] = range;
+    }
+    return true;
+}
+
+function setCalibrationStatus(title, instruction, progress) {
+    const titleEl = document.getElementById('calibration-title');
+    const textEl = document.getElementById('calibration-text');
+    const barEl = document.querySelector('#calibration-progress .calibration-progress-bar');
+    if (titleEl && title !== null) titleEl.textContent = title;
+    if (textEl && instruction !== null) textEl.textContent = instruction;
+    if (barEl) barEl.style.width = Math.round(progress * 100) + '%';
+}
+
+function waitCalibration(duration, onProgress) {
+    return new Promise((resolve) => {
+        const start = performance.now();
+        const tick = () => {
+            const elapsed = performance.now() - start;
+            if (calibrationCancelled || elapsed >= duration) {
+                resolve();
+                return;
+            }
+            onProgress(elapsed / duration);
+            setTimeout(tick, 50);
+        };
+        tick();
+    });
+}
+
+async function runCalibration() {
+    if (isCalibrating) return;
+
+    isCalibrating = true;
+    calibrationCancelled = false;
+    document.body.classList.add('calibrating');
+    console.log('[Calibration] Started');
+
+    // 기존 프로필 기준값 위에 새로 측정 (측정 실패 단계는 이전 값 유지)
+    const profile = {
+        version: 1,
+        createdAt: new Date().toISOString(),
+        blendshapes: {},
+        pose: { ...(calibrationProfile?.pose ?? {}) }
+    };
+    const failedSteps = [];
+
+    for (const step of CALIBRATION_STEPS) {
+        if (calibrationCancelled) break;
+
+        if (step.requiresBody && !BODY_TRACKING_ENABLED) {
+            console.log(`[Calibration] Skipping "${step.id}" (Pose OFF)`);
+            continue;
+        }
+
+        await waitCalibration(CALIBRATION_PREPARE_MS, (p) => {
+            const remaining = Math.ceil((1 - p) * CALIBRATION_PREPARE_MS / 1000);
+            setCalibrationStatus(step.title, `${step.instruction} (${remaining})`, 0);
+        });
+        if (calibrationCancelled) break;
+
+        calibrationCapture = { face: [], pose: [] };
+        await waitCalibration(CALIBRATION_CAPTURE_MS, (p) => {
+            setCalibrationStatus(step.title, step.instruction, p);
+        });
+        const capture = calibrationCapture;
+        calibrationCapture = null;
+
+        if (!calibrationCancelled && !applyCalibrationStep(profile, step, capture)) {
+            failedSteps.push(step.title);
+        }
+    }
+
+    if (!calibrationCancelled) {
+        if (Object.keys(profile.blendshapes).length === 0 && calibrationProfile) {
+            // 얼굴이 한 번도 검출되지 않았으면 기존 얼굴 보정 유지
+            profile.blendshapes = calibrationProfile.blendshapes;
+        }
+        calibrationProfile = profile;
+        saveCalibrationProfile(profile);
+        console.log('[Calibration] Completed', failedSteps.length > 0 ? `(failed: ${failedSteps.join(', ')})` : '');
+        if (failedSteps.length > 0) {
+            alert('다음 단계에서 얼굴/몸이 검출되지 않아 기존 값을 유지합니다: ' + failedSteps.join(', '));
+        }
+    } else {
+        console.log('[Calibration] Cancelled');
+    }
+
+    calibrationCapture = null;
+    isCalibrating = false;
+    document.body.classList.remove('calibrating');
+}
+
+function cancelCalibration() {
+    calibrationCancelled = true;
+}
+
+function setupCalibration() {
+    calibrationProfile = loadCalibrationProfile();
+    if (calibrationProfile) {
+        console.log('[Calibration] Profile loaded from', calibrationProfile.createdAt);
+    }
+
+    const cancelBtn = document.getElementById('calibration-cancel');
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', cancelCalibration);
+    }
+}
+
+// ============================================================
+// Hand Gesture Recognition
+// detectedHands의 랜드마크(이미지 정규화 좌표)로 제스처를 분류하고
+// 일정 시간 유지되면 GESTURE_ACTIONS에 매핑된 동작을 실행
+// ============================================================
+const GESTURE_HOLD_MS = 300;           // 제스처 인식에 필요한 유지 시간
+const GESTURE_COMMAND_HOLD_MS = 1500;  // 앱 명령은 오작동 방지를 위해 더 길게
+const GESTURE_RELEASE_MS = 300;        // 손을 풀었다고 판단하는 시간 (재인식 허용)
+
+// 제스처 → 동작 매핑 (여러 동작 가능)
+// type: 'expression' (VRM 표정), 'emote' (EMOTES), 'command' (GESTURE_COMMANDS)
+const GESTURE_ACTIONS = {
+    thumbs_up: [{ type: 'expression', name: 'happy', duration: 1.5 }],
+    peace:     [{ type: 'expression', name: 'relaxed', duration: 1.5 }],
+    open_palm: [{ type: 'emote', name: 'wave' }],
+    pointing:  [{ type: 'expression', name: 'surprised', duration: 1.0 }],
+    heart:     [{ type: 'expression', name: 'happy', duration: 2.0 }, { type: 'emote', name: 'bounce' }],
+    // 주먹은 손을 쉬는 자세와 구분이 어려워 기본 동작 없음 (예: [{ type: 'command', name: 'toggleRecording' }])
+    fist:      []
+};
+
+const GESTURE_COMMANDS = {
+    toggleRecording: () => toggleRecording(),
+    toggleMotionRecording: () => toggleMotionRecording(),
+    toggleSessionRecording: () => toggleSessionRecording(),
+    toggleCamera: () => toggleCamera()
+};
+
+// 손가락별 (tip, pip, mcp) 인덱스
+const GESTURE_FINGERS = {
+    index:  { tip: 8, pip: 6, mcp: 5 },
+    middle: { tip: 12, pip: 10, mcp: 9 },
+    ring:   { tip: 16, pip: 14, mcp: 13 },
+    little: { tip: 20, pip: 18, mcp: 17 }
+};
+
+function landmarkDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, (a.z ?? 0) - (b.z ?? 0));
+}
+
+// 손목 기준 거리 비교 → 손 회전과 무관하게 펴짐 판단
+function getFingerStates(landmarks) {
+    const wrist = landmarks[0];
+    const states = {};
+    for (const [name, { tip, pip }] of Object.entries(GESTURE_FINGERS)) {
+        states[name] = landmarkDistance(wrist, landmarks[tip]) > landmarkDistance(wrist, landmarks[pip]) * 1.15;
+    }
+    // 엄지: 끝이 새끼 MCP에서 IP 관절보다 충분히 멀면 펴짐
+    states.thumb = landmarkDistance(landmarks[4], landmarks[17]) > landmarkDistance(landmarks[3], landmarks[17]) * 1.1;
+    return states;
+}
+
+function classifyHandGesture(landmarks) {
+    const palmSize = landmarkDistance(landmarks[0], landmarks[9]);
+    if (palmSize < 1e-4) return null;
+
+    const { thumb, index, middle, ring, little } = getFingerStates(landmarks);
+    const othersCurled = !middle && !ring && !little;
+
+    // 손가락 하트: 엄지 끝과 검지 끝이 맞닿고 나머지는 접힘
+    const thumbIndexGap = landmarkDistance(landmarks[4], landmarks[8]) / palmSize;
+    if (othersCurled && thumbIndexGap < 0.25 && landmarkDistance(landmarks[0], landmarks[8]) > palmSize * 1.0) {
+        return 'heart';
+    }
+
+    if (thumb && index && middle && ring && little) return 'open_palm';
+    if (index && middle && !ring && !little) return 'peace';
+    if (index && othersCurled) return 'pointing';
+
+    if (!index && othersCurled) {
+        // 엄지 척: 엄지 끝이 엄지 MCP보다 확실히 위 (이미지 y는 아래가 +)
+        if (thumb && landmarks[4].y < landmarks[2].y - palmSize * 0.3) return 'thumbs_up';
+        if (!thumb) return 'fist';
+    }
+    return null;
+}
+
+function classifyGesture(hands) {
+    const left = hands.left;
+    const right = hands.right;
+
+    // 양손 하트: 검지 끝끼리, 엄지 끝끼리 맞닿음
+    if (left && right) {
+        const palmSize = (landmarkDistance(left[0], left[9]) + landmarkDistance(right[0], right[9])) / 2;
+        if (landmarkDistance(left[8], right[8]) < palmSize * 0.5 &&
+            landmarkDistance(left[4], right[4]) < palmSize * 0.5 &&
+            left[8].y < left[4].y && right[8].y < right[4].y) {
+            return 'heart';
+        }
+    }
+
+    // 한 손만 제스처를 취하는 경우가 대부분이므로 먼저 인식된 쪽 사용
+    return (left && classifyHandGesture(left)) || (right && classifyHandGesture(right)) || null;
+}
+
+function getGestureHoldMs(name) {
+    const actions = GESTURE_ACTIONS[name] ?? [];
+    return actions.some(action => action.type === 'command') ? GESTURE_COMMAND_HOLD_MS : GESTURE_HOLD_MS;
+}
+
+// processTrackingResults에서 손 결과 갱신 후 호출
+function updateGestures(deltaTime) {
+    const candidate = isGestureEnabled ? classifyGesture(detectedHands) : null;
+
+    if (candidate !== gestureCandidate) {
+        gestureCandidate = candidate;
+        gestureTimer = 0;
+        return;
+    }
+    gestureTimer += deltaTime;
+
+    if (candidate && candidate !== currentGesture && gestureTimer * 1000 >= getGestureHoldMs(candidate)) {
+        currentGesture = candidate;
+        fireGesture(candidate);
+    } else if (!candidate && currentGesture !== 'neutral' && gestureTimer * 1000 >= GESTURE_RELEASE_MS) {
+        currentGesture = 'neutral';
+    }
+}
+
+function fireGesture(name) {
+    const actions = GESTURE_ACTIONS[name];
+    console.log('[Gesture] Recognized:', name);
+    if (!actions) return;
+
+    for (const action of actions) {
+        if (action.type === 'expression') {
+            setExpressionOverride(`gesture:${name}:${action.name}`, action.name, {
+                weight: action.weight ?? 1.0,
+                duration: action.duration ?? 1.0
+            });
+        } else if (action.type === 'emote') {
+            playEmote(action.name);
+        } else if (action.type === 'command') {
+            // 세션 재생은 기록된 제스처로 앱 명령을 다시 실행하지 않고, 오프라인 내보내기는 부수 효과 없이 결정적으로
+            if (isSessionReplaying || isOfflineExporting) continue;
+            const command = GESTURE_COMMANDS[action.name];
+            if (command) {
+                command();
+            } else {
+                console.warn('[Gesture] Unknown command:', action.name);
+            }
+        }
+    }
+}
+
+function setGestureEnabled(enabled) {
+    isGestureEnabled = enabled;
+    if (!enabled) {
+        gestureCandidate = null;
+        currentGesture = 'neutral';
+        gestureTimer = 0;
+    }
+    document.querySelectorAll('.option-btn[data-gesture]').forEach(btn => {
+        btn.classList.toggle('active', (btn.dataset.gesture === 'on') === enabled);
+    });
+}
+
+// ============================================================
+// Emotes (제스처로 재생하는 절차적 애니메이션)
+// 트래킹 적용 후 덧씌우며, 시작/끝에서 페이드하여 트래킹으로 자연스럽게 복귀
+// ============================================================
+const EMOTE_FADE = 0.25;  // 초
+
+const EMOTES = {
+    // 오른손 흔들기
+    wave: {
+        duration: 2.0,
+        apply(t, weight) {
+            const upper = currentVrm.humanoid.getNormalizedBoneNode('rightUpperArm');
+            const lower = currentVrm.humanoid.getNormalizedBoneNode('rightLowerArm');
+            const sway = Math.sin(t * Math.PI * 4) * 0.25;
+            if (upper) upper.quaternion.slerp(new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, -Math.PI * 0.1)), weight);
+            if (lower) lower.quaternion.slerp(new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, -Math.PI * 0.45 + sway)), weight);
+        }
+    },
+    // 양팔 들고 흔들기
+    cheer: {
+        duration: 2.0,
+        apply(t, weight) {
+            const shake = Math.sin(t * Math.PI * 6) * 0.1;
+            const rUpper = currentVrm.humanoid.getNormalizedBoneNode('rightUpperArm');
+            const lUpper = currentVrm.humanoid.getNormalizedBoneNode('leftUpperArm');
+            if (rUpper) rUpper.quaternion.slerp(new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, -Math.PI * 0.35 + shake)), weight);
+            if (lUpper) lUpper.quaternion.slerp(new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, Math.PI * 0.35 - shake)), weight);
+        }
+    },
+    // 제자리 통통 튀기
+    bounce: {
+        duration: 1.5,
+        apply(t, weight) {
+            const hips = currentVrm.humanoid.getNormalizedBoneNode('hips');
+            const restY = currentVrm.humanoid.normalizedRestPose.hips?.position?.[1];
+            if (!hips || restY === undefined) return;
+            hips.position.y = restY + Math.abs(Math.sin(t * Math.PI * 3)) * 0.04 * weight;
+        }
+    }
+};
+
+function playEmote(name) {
+    if (!EMOTES[name]) {
+        console.warn('[Emote] Unknown emote:', name);
+        return;
+    }
+    activeEmote = { name, elapsed: 0 };
+}
+
+function updateEmote(deltaTime) {
+    if (!activeEmote || !currentVrm) return;
+
+    const emote = EMOTES[activeEmote.name];
+    activeEmote.elapsed += deltaTime;
+    const t = activeEmote.elapsed;
+
+    // 사다리꼴 envelope (fade in → hold → fade out)
+    const weight = THREE.MathUtils.clamp(Math.min(t / EMOTE_FADE, (emote.duration - t) / EMOTE_FADE), 0, 1);
+    emote.apply(t, weight);
+
+    if (t >= emote.duration) {
+        activeEmote = null;
+    }
+}
+
+// ============================================================
+// Idle Layer (트래킹이 끊겼을 때의 절차적 대기 동작)
+// 얼굴이 일정 시간 감지되지 않거나 카메라가 꺼지면 페이드 인:
+// 가슴 호흡, 랜덤 눈 깜빡임, 머리 흔들림, 표정/시선 중립 복귀, 팔 내림
+// 얼굴이 다시 감지되면 페이드 아웃하여 트래킹에 넘겨줌
+// ============================================================
+const IDLE_LOST_MS = 500;            // 얼굴 미감지 후 idle 진입까지 시간
+const IDLE_FADE_IN = 1.0;            // 초
+const IDLE_FADE_OUT = 0.4;           // 초
+const IDLE_BREATH_PERIOD = 4.0;      // 호흡 주기 (초)
+const IDLE_BREATH_ANGLE = 0.025;     // 가슴 회전 폭 (rad)
+const IDLE_BLINK_INTERVAL = [2.0, 6.0];  // 깜빡임 간격 범위 (초)
+const IDLE_BLINK_DURATION = 0.15;    // 깜빡임 길이 (초)
+
+let isIdleEnabled = true;            // Idle layer 사용 여부
+let idleWeight = 0;                  // 0 = 트래킹, 1 = 완전 idle
+let idleTime = 0;                    // idle 애니메이션 시간 (초)
+let lastFaceTime = -Infinity;        // 마지막으로 얼굴이 감지된 시각 (ms)
+let lastTrackingTime = -Infinity;    // 마지막으로 트래킹 결과를 처리한 시각 (ms)
+let idleBlinkTimer = 0;              // 다음 깜빡임까지 남은 시간 (초)
+let idleBlinkElapsed = -1;           // 진행 중인 깜빡임 경과 시간 (-1 = 없음)
+
+// processTrackingResults에서 호출
+function markTrackingFrame(faceDetected) {
+    const now = performance.now();
+    lastTrackingTime = now;
+    if (faceDetected) lastFaceTime = now;
+}
+
+function updateIdleLayer(deltaTime, now) {
+    if (!currentVrm) return;
+
+    // 얼굴 감지 여부로 idle 목표 결정 (카메라 OFF면 결과가 없으므로 자연히 lost)
+    const faceLost = now - lastFaceTime > IDLE_LOST_MS;
+    const target = isIdleEnabled && faceLost ? 1 : 0;
+    if (target === 0 && idleWeight <= 0) return;
+
+    if (target > idleWeight) {
+        idleWeight = Math.min(1, idleWeight + deltaTime / IDLE_FADE_IN);
+    } else if (target < idleWeight) {
+        idleWeight = Math.max(0, idleWeight - deltaTime / IDLE_FADE_OUT);
+    }
+
+    // 호흡은 idle이 끝나는 프레임까지 적용해 가슴을 rest 자세로 돌려놓음 (weight 0 = rest)
+    applyIdleBreathing(idleWeight);
+    if (idleWeight <= 0) {
+        idleTime = 0;
+        return;
+    }
+
+    idleTime += deltaTime;
+
+    applyIdleSway(deltaTime);
+    applyIdleExpressions(deltaTime);
+
+    // 트래킹 결과 자체가 없으면 (카메라 OFF / 영상 정지) 팔을 내림
+    if (now - lastTrackingTime > IDLE_LOST_MS) {
+        resetPose(deltaTime);
+    }
+}
+
+function applyIdleBreathing(weight) {
+    const breath = Math.sin(idleTime * Math.PI * 2 / IDLE_BREATH_PERIOD) * IDLE_BREATH_ANGLE * weight;
+
+    // 가슴을 살짝 뒤로 젖혔다 돌아옴 (upperChest가 있으면 나눠서 적용)
+    const chest = currentVrm.humanoid.getNormalizedBoneNode('chest');
+    const upperChest = currentVrm.humanoid.getNormalizedBoneNode('upperChest');
+    const share = upperChest ? 0.5 : 1.0;
+    if (chest) chest.quaternion.setFromEuler(new THREE.Euler(-breath * share, 0, 0));
+    if (upperChest) upperChest.quaternion.setFromEuler(new THREE.Euler(-breath * share, 0, 0));
+}
+
+function applyIdleSway(deltaTime) {
+    const factor = getLerpFactor(deltaTime, 4) * idleWeight;
+
+    // 서로 다른 주기의 사인파를 합쳐 반복이 덜 보이게
+    const t = idleTime;
+    const sway = new THREE.Euler(
+        Math.sin(t * 0.7) * 0.03 + Math.sin(t * 1.3) * 0.01,
+        Math.sin(t * 0.4) * 0.06 + Math.sin(t * 1.1) * 0.02,
+        Math.sin(t * 0.5 + 1.0) * 0.03,
+        'YXZ'
+    );
+
+    const head = currentVrm.humanoid.getNormalizedBoneNode('head');
+    const neck = currentVrm.humanoid.getNormalizedBoneNode('neck');
+    if (head) head.quaternion.slerp(new THREE.Quaternion().setFromEuler(sway), factor);
+    if (neck) neck.quaternion.slerp(new THREE.Quaternion(), factor);
+}
+
+function applyIdleExpressions(deltaTime) {
+    const expressions = currentVrm.expressionManager;
+    if (!expressions) return;
+
+    const factor = getLerpFactor(deltaTime, 6) * idleWeight;
+
+    // 랜덤 깜빡임 (sin 커브로 감았다 뜸)
+    idleBlinkTimer -= deltaTime;
+    if (idleBlinkElapsed < 0 && idleBlinkTimer <= 0) {
+        idleBlinkElapsed = 0;
+        const [min, max] = IDLE_BLINK_INTERVAL;
+        idleBlinkTimer = min + Math.random() * (max - min);
+    }
+    let blink = 0;
+    if (idleBlinkElapsed >= 0) {
+        idleBlinkElapsed += deltaTime;
+        blink = Math.sin(Math.PI * Math.min(idleBlinkElapsed / IDLE_BLINK_DURATION, 1));
+        if (idleBlinkElapsed >= IDLE_BLINK_DURATION) idleBlinkElapsed = -1;
+    }
+
+    const blinkNames = perfectSyncMap
+        ? [perfectSyncMap.eyeBlinkLeft, perfectSyncMap.eyeBlinkRight]
+        : [VRMExpressionPresetName.BlinkLeft, VRMExpressionPresetName.BlinkRight];
+
+    // 트래킹이 남긴 표정은 중립으로 천천히 복귀, 깜빡임은 즉시 적용
+    for (const expression of expressions.expressions) {
+        const name = expression.expressionName;
+        const current = expressions.getValue(name) ?? 0;
+        if (blinkNames.includes(name)) {
+            expressions.setValue(name, THREE.MathUtils.lerp(current, blink, idleWeight));
+        } else if (current !== 0) {
+            expressions.setValue(name, THREE.MathUtils.lerp(current, 0, factor));
+        }
+    }
+
+    // 시선은 정면으로
+    gazeYaw = THREE.MathUtils.lerp(gazeYaw, 0, factor);
+    gazePitch = THREE.MathUtils.lerp(gazePitch, 0, factor);
+    if (currentVrm.lookAt) {
+        currentVrm.lookAt.yaw = THREE.MathUtils.lerp(currentVrm.lookAt.yaw, gazeYaw, factor);
+        currentVrm.lookAt.pitch = THREE.MathUtils.lerp(currentVrm.lookAt.pitch, gazePitch, factor);
+    }
+}
+
+function setIdleEnabled(enabled) {
+    isIdleEnabled = enabled;
+    document.querySelectorAll('.option-btn[data-idle]').forEach(btn => {
+        btn.classList.toggle('active', (btn.dataset.idle === 'on') === enabled);
+    });
+}
+
+// ============================================================
+// Audio Lip Sync (마이크 음성 → 모음 입모양)
+// 음량 (RMS)으로 입 벌림, 스펙트럼 중심 주파수로 모음 (う/お/あ/え/い) 추정
+// 얼굴이 감지되지 않으면 (카메라 OFF, 가려짐) 영상 기반 입모양에서 자동 전환
+// ============================================================
+const LIPSYNC_FFT_SIZE = 1024;
+const LIPSYNC_NOISE_FLOOR_DB = -55;      // 이 이하는 무음으로 처리
+const LIPSYNC_DYNAMIC_RANGE_DB = 30;     // noise floor 위 이 범위에서 입 벌림 0 → 1
+const LIPSYNC_BAND = [200, 4000];        // 모음 판별에 쓰는 주파수 범위 (Hz)
+const LIPSYNC_SIBILANT_BAND = [4000, 8000];  // 치찰음 (s, sh) 범위
+const LIPSYNC_VOWEL_WIDTH = 450;         // 모음별 중심 주파수 허용 폭 (Hz)
+const LIPSYNC_ATTACK_SPEED = 30;         // 입이 열리는 속도
+const LIPSYNC_RELEASE_SPEED = 12;        // 입이 닫히는 속도
+const LIPSYNC_FACE_LOST_MS = 250;        // 얼굴 미감지 후 오디오로 전환까지 시간
+const LIPSYNC_BLEND_FADE = 0.3;          // 영상 ↔ 오디오 전환 시간 (초)
+
+// 모음별 스펙트럼 중심 주파수 (대략적인 F1/F2 분포 기준, Hz)
+const LIPSYNC_VOWEL_CENTROIDS = {
+    ou: 550,
+    oh: 800,
+    aa: 1100,
+    ee: 1600,
+    ih: 2100
+};
+
+// Perfect Sync 아바타에 preset 입모양이 없을 때 사용할 ARKit 블렌드쉐이프 조합
+const LIPSYNC_PERFECT_SYNC_SHAPES = {
+    aa: { jawOpen: 0.8 },
+    ih: { jawOpen: 0.2, mouthStretchLeft: 0.5, mouthStretchRight: 0.5 },
+    ou: { jawOpen: 0.2, mouthPucker: 0.9 },
+    ee: { jawOpen: 0.35, mouthSmileLeft: 0.3, mouthSmileRight: 0.3 },
+    oh: { jawOpen: 0.5, mouthFunnel: 0.8 }
+};
+
+let lipSyncMode = 'auto';            // 'auto' | 'visual' | 'audio'
+let micLipSyncAnalyser = null;       // 립싱크용 분석기 (레벨 미터보다 높은 해상도)
+let audioVisemes = { aa: 0, ih: 0, ou: 0, ee: 0, oh: 0 };
+let audioLipSyncBlend = 0;           // 0 = 영상 입모양, 1 = 오디오 입모양
+let isAudioLipSyncApplied = false;   // 오디오 입모양을 표정에 쓴 상태 (영상으로 돌아갈 때 정리)
+
+function createLipSyncAnalyser(context, source) {
+    const analyser = context.createAnalyser();
+    analyser.fftSize = LIPSYNC_FFT_SIZE;
+    analyser.smoothingTimeConstant = 0.5;
+    source.connect(analyser);
+    return analyser;
+}
+
+// 현재 오디오 프레임의 모음별 목표 값 (0~1)
+function estimateVisemes(analyser) {
+    const visemes = { aa: 0, ih: 0, ou: 0, ee: 0, oh: 0 };
+
+    // 음량 (RMS, dB) → 입 벌림
+    const samples = new Float32Array(analyser.fftSize);
+    analyser.getFloatTimeDomainData(samples);
+    let sumSquares = 0;
+    for (const sample of samples) sumSquares += sample * sample;
+    const rmsDb = 20 * Math.log10(Math.sqrt(sumSquares / samples.length) + 1e-9);
+    const volume = THREE.MathUtils.clamp((rmsDb - LIPSYNC_NOISE_FLOOR_DB) / LIPSYNC_DYNAMIC_RANGE_DB, 0, 1);
+    if (volume <= 0) return visemes;
+
+    // 스펙트럼 중심 주파수와 치찰음 비율
+    const spectrum = new Float32Array(analyser.frequencyBinCount);
+    analyser.getFloatFrequencyData(spectrum);
+    const binHz = analyser.context.sampleRate / analyser.fftSize;
+
+    let weighted = 0;
+    let voiced = 0;
+    let sibilant = 0;
+    for (let i = 0; i < spectrum.length; i++) {
+        const hz = i * binHz;
+        const magnitude = Math.pow(10, spectrum[i] / 20);
+        if (hz >= LIPSYNC_BAND[0] && hz <= LIPSYNC_BAND[1]) {
+            weighted += hz * magnitude;
+            voiced += magnitude;
+        } else if (hz >= LIPSYNC_SIBILANT_BAND[0] && hz <= LIPSYNC_SIBILANT_BAND[1]) {
+            sibilant += magnitude;
+        }
+    }
+    if (voiced <= 0) return visemes;
+
+    const centroid = weighted / voiced;
+    const sibilance = sibilant / (sibilant + voiced);
+
+    // 중심 주파수와의 거리로 모음 가중치 (삼각형 membership) → 합이 1이 되도록 정규화
+    let total = 0;
+    for (const [name, center] of Object.entries(LIPSYNC_VOWEL_CENTROIDS)) {
+        visemes[name] = Math.max(0, 1 - Math.abs(centroid - center) / LIPSYNC_VOWEL_WIDTH);
+        total += visemes[name];
+    }
+    if (total <= 0) {
+        visemes.aa = 1;
+        total = 1;
+    }
+
+    // 치찰음은 입을 덜 벌리고 옆으로 (い 쪽으로 이동)
+    const openness = volume * (1 - sibilance * 0.6);
+    for (const name of Object.keys(visemes)) {
+        visemes[name] = (visemes[name] / total) * openness;
+    }
+    visemes.ih = Math.min(1, visemes.ih + sibilance * volume * 0.5);
+
+    return visemes;
+}
+
+function updateAudioLipSync(deltaTime, now) {
+    if (!currentVrm || !currentVrm.expressionManager) return;
+
+    // 영상 ↔ 오디오 전환 비율 (TTS 발화 중에는 항상 오디오)
+    let target = 0;
+    if (isTtsSpeaking) {
+        target = 1;
+    } else if (lipSyncMode === 'audio') {
+        target = 1;
+    } else if (lipSyncMode === 'auto') {
+        target = now - lastFaceTime > LIPSYNC_FACE_LOST_MS ? 1 : 0;
+    }
+    const step = deltaTime / LIPSYNC_BLEND_FADE;
+    audioLipSyncBlend = target > audioLipSyncBlend
+        ? Math.min(target, audioLipSyncBlend + step)
+        : Math.max(target, audioLipSyncBlend - step);
+
+    // 모음 값 추정 (빠르게 열고 천천히 닫음)
+    let estimated = null;
+    if (isTtsSpeaking) {
+        estimated = getTtsVisemes();
+    } else if (micLipSyncAnalyser) {
+        estimated = estimateVisemes(micLipSyncAnalyser);
+    }
+    for (const name of Object.keys(audioVisemes)) {
+        const value = estimated ? estimated[name] : 0;
+        const speed = value > audioVisemes[name] ? LIPSYNC_ATTACK_SPEED : LIPSYNC_RELEASE_SPEED;
+        audioVisemes[name] = THREE.MathUtils.lerp(audioVisemes[name], value, getLerpFactor(deltaTime, speed));
+    }
+
+    const expressions = currentVrm.expressionManager;
+    const shapes = getAudioLipSyncShapes(expressions);
+    const audioOnly = getAudioOnlyShapes(expressions);
+
+    if (audioLipSyncBlend <= 0) {
+        if (isAudioLipSyncApplied) releaseAudioLipSync(expressions, shapes, now);
+        return;
+    }
+
+    // 영상 경로가 쓰지 않는 값은 0에서부터 블렌드 (블렌드가 줄면 함께 닫히도록)
+    for (const [name, value] of Object.entries(shapes)) {
+        const current = expressions.getValue(name);
+        if (current === null) continue;
+        const base = audioOnly.includes(name) ? 0 : current;
+        expressions.setValue(name, THREE.MathUtils.lerp(base, value, audioLipSyncBlend));
+    }
+    isAudioLipSyncApplied = true;
+}
+
+function usesPerfectSyncLipSync(expressions) {
+    return perfectSyncMap && expressions.getValue(VRMExpressionPresetName.Aa) === null;
+}
+
+// 오디오 립싱크가 쓰는 표정 이름 → 목표 값
+// preset 입모양이 없는 Perfect Sync 아바타는 ARKit 블렌드쉐이프 조합으로 표현
+function getAudioLipSyncShapes(expressions) {
+    if (usesPerfectSyncLipSync(expressions)) {
+        const shapes = {};
+        for (const [viseme, weights] of Object.entries(LIPSYNC_PERFECT_SYNC_SHAPES)) {
+            for (const [shape, weight] of Object.entries(weights)) {
+                const name = perfectSyncMap[shape];
+                if (name) shapes[name] = Math.min(1, (shapes[name] ?? 0) + audioVisemes[viseme] * weight);
+            }
+        }
+        return shapes;
+    }
+
+    return {
+        [VRMExpressionPresetName.Aa]: audioVisemes.aa,
+        [VRMExpressionPresetName.Ih]: audioVisemes.ih,
+        [VRMExpressionPresetName.Ou]: audioVisemes.ou,
+        [VRMExpressionPresetName.Ee]: audioVisemes.ee,
+        [VRMExpressionPresetName.Oh]: audioVisemes.oh
+    };
+}
+
+// applyBlendshapes는 preset 아바타에 Aa / Ih / Ou만 쓰므로 Ee / Oh는 이 함수만 씀
+// (Perfect Sync는 얼굴이 보이면 모든 ARKit 값을 씀)
+function getAudioOnlyShapes(expressions) {
+    if (usesPerfectSyncLipSync(expressions)) return [];
+    return [VRMExpressionPresetName.Ee, VRMExpressionPresetName.Oh];
+}
+
+// 영상 입모양으로 완전히 돌아왔을 때 오디오 값이 남지 않도록 정리
+// 얼굴이 없으면 (Cam 모드) 영상 경로도 입모양을 쓰지 않으므로 전부 0으로
+function releaseAudioLipSync(expressions, shapes, now) {
+    const faceTracked = now - lastFaceTime <= LIPSYNC_FACE_LOST_MS;
+    const audioOnly = getAudioOnlyShapes(expressions);
+    for (const name of Object.keys(shapes)) {
+        if (faceTracked && !audioOnly.includes(name)) continue;
+        if (expressions.getValue(name) !== null) expressions.setValue(name, 0);
+    }
+    isAudioLipSyncApplied = false;
+}
+
+function setLipSyncMode(mode) {
+    lipSyncMode = mode;
+    document.querySelectorAll('.option-btn[data-lipsync]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.lipsync === mode);
+    });
+}
+
+// ============================================================
+// 통일된 좌표 변환 함수
+// MediaPipe 좌표계 → VRM 좌표계
+// MediaPipe: X(오른쪽+), Y(아래+), Z(카메라에서 멀어지는 방향+)
+// VRM: X(오른쪽+), Y(위+), Z(캐릭터 전방+)
+// 미러링: 사용자가 거울을 보는 것처럼 좌우 반전
+// ============================================================
+function mpToVRM(landmark, mirror = true) {
+    return new THREE.Vector3(
+        mirror ? -landmark.x : landmark.x,  // X: 미러링
+        -landmark.y,                         // Y: 축 방향 반전
+        -landmark.z                          // Z: 깊이 방향 반전
+    );
+}
+
+// deltaTime 기반 부드러운 보간 계수 계산
+function getLerpFactor(deltaTime, speed = LERP_SPEED) {
+    return 1 - Math.exp(-speed * deltaTime);
+}
+
+// 부모 본의 월드 회전을 가져오는 헬퍼
+function getParentWorldQuaternion(bone) {
+    const worldQuat = new THREE.Quaternion();
+    if (bone.parent) {
+        bone.parent.getWorldQuaternion(worldQuat);
+    }
+    return worldQuat;
+}
+
+// 월드 회전을 로컬 회전으로 변환
+function worldToLocalQuaternion(worldQuat, parentWorldQuat) {
+    const parentInverse = parentWorldQuat.clone().invert();
+    return parentInverse.multiply(worldQuat.clone());
+}
+
+function resetPose(deltaTime) {
+    if (!currentVrm) return;
+
+    const factor = getLerpFactor(deltaTime, 8); // 느리게 복귀
+
+    const rightUpperArm = currentVrm.humanoid.getNormalizedBoneNode('rightUpperArm');
+    const leftUpperArm = currentVrm.humanoid.getNormalizedBoneNode('leftUpperArm');
+    const rightLowerArm = currentVrm.humanoid.getNormalizedBoneNode('rightLowerArm');
+    const leftLowerArm = currentVrm.humanoid.getNormalizedBoneNode('leftLowerArm');
+
+    // T-Pose에서 팔을 내린 상태로
+    // VRM 기본: T-Pose (팔이 수평)
+    // 내린 상태: Z축 회전
+    const relaxRight = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, Math.PI * 0.45, 'XYZ'));
+    const relaxLeft = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, -Math.PI * 0.45, 'XYZ'));
+    const neutralLower = new THREE.Quaternion(); // 아래팔은 펴진 상태
+
+    if (rightUpperArm) rightUpperArm.quaternion.slerp(relaxRight, factor);
+    if (leftUpperArm) leftUpperArm.quaternion.slerp(relaxLeft, factor);
+    if (rightLowerArm) rightLowerArm.quaternion.slerp(neutralLower, factor);
+    if (leftLowerArm) leftLowerArm.quaternion.slerp(neutralLower, factor);
+
+    // 활성 상태 리셋
+    leftArmActive = false;
+    rightArmActive = false;
+}
+
+// --- Debug 3D ---
+let debugGroup;
+function updateDebug3D(worldLandmarks) {
+    if (!DEBUG_MODE) {
+        if (debugGroup) debugGroup.visible = false;
+        return;
+    }
+
+    if (!debugGroup) {
+        debugGroup = new THREE.Group();
+        scene.add(debugGroup);
+        for (let i = 0; i < 33; i++) {
+            const geom = new THREE.SphereGeometry(0.02, 8, 8);
+            const mat = new THREE.MeshBasicMaterial({ color: 0xff0000 });
+            const sphere = new THREE.Mesh(geom, mat);
+            debugGroup.add(sphere);
+        }
+    }
+    debugGroup.visible = true;
+
+    if (worldLandmarks) {
+        for (let i = 0; i < worldLandmarks.length; i++) {
+            const l = worldLandmarks[i];
+            const sphere = debugGroup.children[i];
+            if (sphere) {
+                const pos = mpToVRM(l);
+                sphere.position.copy(pos);
+            }
+        }
+    }
+}
+
+// ============================================================
+// 개선된 Two-Bone IK Solver
+// ============================================================
+function solveTwoBoneIK(upperBone, lowerBone, upperLength, lowerLength, targetPos, polePos, boneAxis, deltaTime, twist = 0) {
+    if (!upperBone || !lowerBone) return;
+
+    const factor = getLerpFactor(deltaTime);
+    const a = upperLength;
+    const b = lowerLength;
+
+    // 1. 목표 거리 제한 (팔 길이 범위 내로)
+    let dist = targetPos.length();
+    const epsilon = 0.001;
+    const maxLen = a + b - epsilon;
+    const minLen = Math.abs(a - b) + epsilon;
+
+    if (dist > maxLen) {
+        targetPos.setLength(maxLen);
+        dist = maxLen;
+    } else if (dist < minLen) {
+        targetPos.setLength(minLen);
+        dist = minLen;
+    }
+
+    // 2. 코사인 법칙으로 어깨 각도 계산
+    const c = dist;
+    const cosShoulderAngle = (a * a + c * c - b * b) / (2 * a * c);
+    const shoulderAngle = Math.acos(THREE.MathUtils.clamp(cosShoulderAngle, -1, 1));
+
+    // 3. 코사인 법칙으로 팔꿈치 각도 계산
+    const cosElbowAngle = (a * a + b * b - c * c) / (2 * a * b);
+    const elbowAngle = Math.acos(THREE.MathUtils.clamp(cosElbowAngle, -1, 1));
+
+    // 4. IK 평면 계산 (어깨→손목 방향과 팔꿈치 방향으로 정의)
+    const dirToTarget = targetPos.clone().normalize();
+    const dirToPole = polePos.clone().normalize();
+
+    // 평면 법선 계산
+    let planeNormal = new THREE.Vector3().crossVectors(dirToTarget, dirToPole);
+
+    if (planeNormal.lengthSq() < 0.0001) {
+        // 팔꿈치가 직선상에 있는 경우 대체 벡터 사용
+        planeNormal.crossVectors(dirToTarget, new THREE.Vector3(0, 1, 0));
+        if (planeNormal.lengthSq() < 0.0001) {
+            planeNormal.crossVectors(dirToTarget, new THREE.Vector3(0, 0, 1));
+        }
+    }
+    planeNormal.normalize();
+
+    // 5. Upper Arm (어깨) 방향 계산
+    // 목표 방향에서 shoulderAngle만큼 회전
+    const qBend = new THREE.Quaternion().setFromAxisAngle(planeNormal, shoulderAngle);
+    const upperDir = dirToTarget.clone().applyQuaternion(qBend).normalize();
+
+    // 6. Upper Arm 회전 계산
+    const qUpper = new THREE.Quaternion().setFromUnitVectors(boneAxis, upperDir);
+
+    // 팔꿈치 방향(hinge) 정렬
+    const hingeAxis = new THREE.Vector3().crossVectors(boneAxis, new THREE.Vector3(0, 0, 1)).normalize();
+    const currentHinge = hingeAxis.clone().applyQuaternion(qUpper);
+    const qTwist = new THREE.Quaternion().setFromUnitVectors(currentHinge, planeNormal);
+    const qUpperFinal = qTwist.multiply(qUpper);
+
+    // 7. 부모 좌표계를 고려한 로컬 회전 적용
+    const parentWorldQuat = getParentWorldQuaternion(upperBone);
+    const qUpperLocal = worldToLocalQuaternion(qUpperFinal, parentWorldQuat);
+
+    upperBone.quaternion.slerp(qUpperLocal, factor);
+
+    // 8. Lower Arm (팔꿈치) 회전 계산
+    // 팔꿈치는 단순히 구부러지는 각도만 적용 (hinge joint)
+    // 팔꿈치 각도: π - elbowAngle (펴진 상태가 π)
+    const bendAngle = Math.PI - elbowAngle;
+
+    // 로컬 X축 기준 회전 (팔꿈치는 한 축으로만 회전)
+    const qLowerLocal = new THREE.Quaternion().setFromAxisAngle(
+        new THREE.Vector3(0, 1, 0), // VRM에서 팔꿈치 회전축
+        -bendAngle * (boneAxis.x < 0 ? 1 : -1) // 좌우 팔 방향에 따라 부호 조정
+    );
+
+    // 손목 방향에서 나눠 받은 아래팔 twist (뼈 축 기준)
+    if (twist !== 0) {
+        qLowerLocal.multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), twist));
+    }
+
+    lowerBone.quaternion.slerp(qLowerLocal, factor);
+}
+
+function applyPose(landmarks, worldLandmarks, deltaTime) {
+    if (!currentVrm) return;
+
+    updateDebug3D(worldLandmarks);
+
+    const factor = getLerpFactor(deltaTime);
+
+    // 랜드마크를 VRM 좌표계로 변환하는 헬퍼
+    const getPos = (index) => {
+        const source = worldLandmarks || landmarks;
+        return mpToVRM(source[index]);
+    };
+
+    // 본 가져오기
+    const rUpper = currentVrm.humanoid.getNormalizedBoneNode('rightUpperArm');
+    const rLower = currentVrm.humanoid.getNormalizedBoneNode('rightLowerArm');
+    const rHand = currentVrm.humanoid.getNormalizedBoneNode('rightHand');
+
+    const lUpper = currentVrm.humanoid.getNormalizedBoneNode('leftUpperArm');
+    const lLower = currentVrm.humanoid.getNormalizedBoneNode('leftLowerArm');
+    const lHand = currentVrm.humanoid.getNormalizedBoneNode('leftHand');
+
+    // --- Spine 회전 (상체 기울기) ---
+    const spine = currentVrm.humanoid.getNormalizedBoneNode('spine');
+    if (spine && landmarks) {
+        const mpLeft = landmarks[11];  // 왼쪽 어깨
+        const mpRight = landmarks[12]; // 오른쪽 어깨
+
+        // 미러링 적용: 좌우 반전 (보정된 평소 자세 기준값 제거)
+        const dy = (mpRight.y - mpLeft.y) - (calibrationProfile?.pose?.shoulderDy ?? 0);
+        const dz = (mpRight.z - mpLeft.z) - (calibrationProfile?.pose?.shoulderDz ?? 0);
+
+        const roll = dy * 1.2;  // Z축 회전 (좌우 기울기)
+        const yaw = dz * 1.0;   // Y축 회전 (어깨 회전)
+
+        const q = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, yaw, roll, 'XYZ'));
+        spine.quaternion.slerp(q, factor * 0.5); // 상체는 더 부드럽게
+    }
+
+    // --- Visibility 체크 (Hysteresis 적용) ---
+    // MediaPipe Left Wrist (15) → Avatar Right Arm (미러링)
+    // MediaPipe Right Wrist (16) → Avatar Left Arm (미러링)
+
+    const leftWristVis = landmarks[15].visibility ?? 1.0;
+    const rightWristVis = landmarks[16].visibility ?? 1.0;
+    const leftWristY = landmarks[15].y;
+    const rightWristY = landmarks[16].y;
+
+    // Hysteresis: 켜질 때는 높은 임계값, 꺼질 때는 낮은 임계값 (보정값 우선)
+    const visOn = calibrationProfile?.pose?.visOn ?? VIS_THRESHOLD_ON;
+    const visOff = calibrationProfile?.pose?.visOff ?? VIS_THRESHOLD_OFF;
+
+    if (!leftArmActive && leftWristVis > visOn) {
+        leftArmActive = true;
+    } else if (leftArmActive && leftWristVis < visOff) {
+        leftArmActive = false;
+    }
+
+    if (!rightArmActive && rightWristVis > visOn) {
+        rightArmActive = true;
+    } else if (rightArmActive && rightWristVis < visOff) {
+        rightArmActive = false;
+    }
+
+    // --- Avatar Right Arm ← MediaPipe Left Body(11,13,15) + Hand(0) ---
+    if (rUpper && rLower && rHand && leftArmActive) {
+        const upperLen = rLower.position.length();
+        const lowerLen = rHand.position.length();
+
+        const mpShoulder = getPos(11);
+        const mpElbow = getPos(13);
+
+        // Body wrist만 사용 (Hand landmarks는 좌표계가 다름)
+        const mpWrist = getPos(15);
+
+        // MediaPipe 팔 길이로 스케일 계산
+        const mpArmLen = mpShoulder.distanceTo(mpElbow) + mpElbow.distanceTo(mpWrist);
+        const avatarArmLen = upperLen + lowerLen;
+        const scale = avatarArmLen / mpArmLen;
+
+        // 어깨 기준 상대 위치
+        const target = new THREE.Vector3().subVectors(mpWrist, mpShoulder).multiplyScalar(scale);
+        const pole = new THREE.Vector3().subVectors(mpElbow, mpShoulder).multiplyScalar(scale);
+
+        solveTwoBoneIK(rUpper, rLower, upperLen, lowerLen, target, pole, new THREE.Vector3(-1, 0, 0), deltaTime, forearmTwist.right);
+    } else if (rUpper && !leftArmActive) {
+        // 팔 내리기
+        const relaxQuat = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, Math.PI * 0.45, 'XYZ'));
+        const neutralQuat = new THREE.Quaternion();
+        rUpper.quaternion.slerp(relaxQuat, factor * 0.3);
+        if (rLower) rLower.quaternion.slerp(neutralQuat, factor * 0.3);
+    }
+
+    // --- Avatar Left Arm ← MediaPipe Right Body(12,14,16) + Hand(0) ---
+    if (lUpper && lLower && lHand && rightArmActive) {
+        const upperLen = lLower.position.length();
+        const lowerLen = lHand.position.length();
+
+        const mpShoulder = getPos(12);
+        const mpElbow = getPos(14);
+
+        // Body wrist만 사용 (Hand landmarks는 좌표계가 다름)
+        const mpWrist = getPos(16);
+
+        const mpArmLen = mpShoulder.distanceTo(mpElbow) + mpElbow.distanceTo(mpWrist);
+        const avatarArmLen = upperLen + lowerLen;
+        const scale = avatarArmLen / mpArmLen;
+
+        const target = new THREE.Vector3().subVectors(mpWrist, mpShoulder).multiplyScalar(scale);
+        const pole = new THREE.Vector3().subVectors(mpElbow, mpShoulder).multiplyScalar(scale);
+
+        solveTwoBoneIK(lUpper, lLower, upperLen, lowerLen, target, pole, new THREE.Vector3(1, 0, 0), deltaTime, forearmTwist.left);
+    } else if (lUpper && !rightArmActive) {
+        // 팔 내리기
+        const relaxQuat = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, -Math.PI * 0.45, 'XYZ'));
+        const neutralQuat = new THREE.Quaternion();
+        lUpper.quaternion.slerp(relaxQuat, factor * 0.3);
+        if (lLower) lLower.quaternion.slerp(neutralQuat, factor * 0.3);
+    }
+}
+
+// ============================================================
+// 완전히 새로 작성된 손 & 손가락 처리
+// - 손바닥 좌표계 기준 관절별 굽힘 + MCP 벌림, 엄지 CMC 2자유도
+// - 손바닥 방향을 Hand bone에 직접 적용
+// ============================================================
+
+// 손가락 설정 (MCP, TIP 인덱스)
+const FINGER_CONFIG = {
+    Thumb:  { mcp: 1, tip: 4, isThumb: true },
+    Index:  { mcp: 5, tip: 8, isThumb: false },
+    Middle: { mcp: 9, tip: 12, isThumb: false },
+    Ring:   { mcp: 13, tip: 16, isThumb: false },
+    Little: { mcp: 17, tip: 20, isThumb: false }
+};
+
+// 디버그 로그 쓰로틀링
+let lastDebugTime = 0;
+const DEBUG_INTERVAL = 2000;
+
+function applyHands(landmarksArray, handednesses, deltaTime, worldLandmarksArray = null) {
+    if (!currentVrm) return;
+
+    const factor = getLerpFactor(deltaTime, 15);
+    const detectedSides = new Set();
+    const now = performance.now();
+    const shouldLog = (now - lastDebugTime) > DEBUG_INTERVAL;
+
+    for (let i = 0; i < landmarksArray.length; i++) {
+        const landmarks = landmarksArray[i];
+        const handedness = handednesses[i][0];
+
+        // 손 위치로 좌우 판단 (wrist x 좌표)
+        const wristX = landmarks[0].x;  // 0~1, 왼쪽이 0, 오른쪽이 1
+
+        // 미러링: Body tracking과 일치하도록
+        // MediaPipe "Left" = 사용자의 왼손 → Avatar의 왼손 (미러 모드)
+        // MediaPipe "Right" = 사용자의 오른손 → Avatar의 오른손 (미러 모드)
+        const isAvatarRightHand = handedness.categoryName === 'Right';
+        const prefix = isAvatarRightHand ? 'right' : 'left';
+
+        // 손목 방향 (손바닥 법선 + 손가락 방향)
+        const getPoint = getHandPoints(landmarks, worldLandmarksArray ? worldLandmarksArray[i] : null);
+        applyWristRotation(prefix, getPoint, getLerpFactor(deltaTime, 12));
+        detectedSides.add(prefix);
+
+        // 손가락 처리 (관절별 굽힘 + 벌림)
+        applyFingers(prefix, getPoint, factor);
+
+        if (shouldLog && i === 0) {
+            lastDebugTime = now;
+        }
+    }
+
+    // 감지되지 않은 손의 아래팔 twist는 중립으로 복귀
+    for (const side of ['left', 'right']) {
+        if (!detectedSides.has(side)) {
+            forearmTwist[side] = THREE.MathUtils.lerp(forearmTwist[side], 0, factor * 0.3);
+        }
+    }
+}
+
+// ============================================================
+// 손목 방향 (wrist, index MCP, pinky MCP로 손바닥 좌표계 계산)
+// - 손 → 아바타 월드 (미러링) 방향으로 변환하여 Hand bone 목표 회전 계산
+// - 뼈 축 기준 twist는 아래팔과 나눠 가져 candy-wrapper 변형 방지
+// - 굽힘/좌우 꺾임/twist에 관절 한계 적용
+// ============================================================
+const HAND_TWIST_LIMIT = Math.PI * 0.6;      // 전체 twist 한계 (아래팔 + 손)
+const HAND_FLEX_LIMIT = Math.PI * 0.4;       // 손목 굽힘/젖힘 한계
+const HAND_DEVIATION_LIMIT = Math.PI * 0.2;  // 손목 좌우 꺾임 한계
+const FOREARM_TWIST_SHARE = 0.6;             // twist 중 아래팔이 가져가는 비율
+
+// 아래팔 twist 목표 (applyPose의 IK에서 사용, 라디안)
+let forearmTwist = { left: 0, right: 0 };
+
+// 손 랜드마크 → 아바타 월드 좌표 (미러링)
+// worldLandmarks가 없으면 (이전 세션 파일) 이미지 좌표를 종횡비 보정하여 사용
+function getHandPoints(landmarks, worldLandmarks) {
+    if (worldLandmarks) {
+        return (index) => mpToVRM(worldLandmarks[index]);
+    }
+    const aspect = video && video.videoHeight ? video.videoWidth / video.videoHeight : VIDEO_WIDTH / VIDEO_HEIGHT;
+    return (index) => {
+        const p = landmarks[index];
+        return mpToVRM({ x: p.x * aspect, y: p.y, z: p.z * aspect });
+    };
+}
+
+// 손바닥 좌표계: dir (손목 → 중지 MCP), normal (손바닥이 향하는 방향), side (dir × normal)
+// 미러링으로 좌우 손의 외적 방향이 반대이므로 손에 따라 순서를 바꿈
+function getPalmFrame(isRight, getPoint) {
+    const wrist = getPoint(0);
+    const toIndex = getPoint(5).sub(wrist);
+    const toPinky = getPoint(17).sub(wrist);
+    const dir = getPoint(9).sub(wrist);
+
+    const normal = isRight
+        ? new THREE.Vector3().crossVectors(toIndex, toPinky)
+        : new THREE.Vector3().crossVectors(toPinky, toIndex);
+    if (dir.lengthSq() < 1e-8) return null;
+    dir.normalize();
+    normal.addScaledVector(dir, -normal.dot(dir));
+    if (normal.lengthSq() < 1e-8) return null;
+    normal.normalize();
+
+    return { dir, normal, side: new THREE.Vector3().crossVectors(dir, normal) };
+}
+
+// 쿼터니언을 X축 (뼈 축) 기준 swing/twist로 분해
+function decomposeTwistX(q) {
+    const twist = new THREE.Quaternion(q.x, 0, 0, q.w);
+    if (twist.lengthSq() < 1e-8) {
+        twist.identity();
+    } else {
+        twist.normalize();
+    }
+    const swing = q.clone().multiply(twist.clone().invert());
+    const angle = 2 * Math.atan2(twist.x, twist.w);
+    // [-π, π]로 정규화
+    return { swing, angle: Math.atan2(Math.sin(angle), Math.cos(angle)) };
+}
+
+function applyWristRotation(prefix, getPoint, factor) {
+    const handBone = currentVrm.humanoid.getNormalizedBoneNode(prefix + 'Hand');
+    const lowerArm = currentVrm.humanoid.getNormalizedBoneNode(prefix + 'LowerArm');
+    if (!handBone || !lowerArm) return;
+
+    const isRight = prefix === 'right';
+    const frame = getPalmFrame(isRight, getPoint);
+    if (!frame) return;
+    const { dir, normal } = frame;
+
+    // T-Pose 기준: 손가락은 바깥쪽 (오른손 -X, 왼손 +X), 손바닥은 아래 (-Y)
+    const restDir = new THREE.Vector3(isRight ? -1 : 1, 0, 0);
+    const restNormal = new THREE.Vector3(0, -1, 0);
+
+    const targetBasis = new THREE.Matrix4().makeBasis(dir, normal, new THREE.Vector3().crossVectors(dir, normal));
+    const restBasis = new THREE.Matrix4().makeBasis(restDir, restNormal, new THREE.Vector3().crossVectors(restDir, restNormal));
+    const worldQuat = new THREE.Quaternion().setFromRotationMatrix(targetBasis.multiply(restBasis.transpose()));
+
+    // 아래팔의 현재 twist를 뺀 좌표계 기준으로 손 회전 계산
+    const { angle: currentForearmTwist } = decomposeTwistX(lowerArm.quaternion);
+    const currentTwistQuat = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), currentForearmTwist);
+    const untwistedParent = getParentWorldQuaternion(handBone).multiply(currentTwistQuat.clone().invert());
+    const localQuat = worldToLocalQuaternion(worldQuat, untwistedParent);
+
+    // 관절 한계
+    const { swing, angle } = decomposeTwistX(localQuat);
+    const twist = THREE.MathUtils.clamp(angle, -HAND_TWIST_LIMIT, HAND_TWIST_LIMIT);
+    const deviation = THREE.MathUtils.clamp(2 * Math.atan2(swing.y, swing.w), -HAND_DEVIATION_LIMIT, HAND_DEVIATION_LIMIT);
+    const flex = THREE.MathUtils.clamp(2 * Math.atan2(swing.z, swing.w), -HAND_FLEX_LIMIT, HAND_FLEX_LIMIT);
+    const limitedSwing = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, deviation, flex, 'XYZ'));
+
+    // twist 분배: 아래팔 목표 저장 (IK에서 적용), 손은 나머지만
+    forearmTwist[prefix] = THREE.MathUtils.lerp(forearmTwist[prefix], twist * FOREARM_TWIST_SHARE, factor);
+    const handLocal = currentTwistQuat.invert()
+        .multiply(limitedSwing)
+        .multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), twist));
+
+    handBone.quaternion.slerp(handLocal, factor);
+}
+
+// 손가락 설정 (MCP, PIP, DIP, TIP 인덱스)
+const FINGER_JOINTS = {
+    Thumb:  { mcp: 1, pip: 2, dip: 3, tip: 4 },
+    Index:  { mcp: 5, pip: 6, dip: 7, tip: 8 },
+    Middle: { mcp: 9, pip: 10, dip: 11, tip: 12 },
+    Ring:   { mcp: 13, pip: 14, dip: 15, tip: 16 },
+    Little: { mcp: 17, pip: 18, dip: 19, tip: 20 }
+};
+
+// 관절별 각도 한계 (라디안): [proximal, intermediate, distal] 굽힘, MCP 벌림
+const FINGER_FLEX_LIMITS = [[-0.35, Math.PI * 0.5], [0, Math.PI * 0.6], [-0.1, Math.PI * 0.45]];
+const FINGER_SPREAD_LIMITS = {
+    Index: 0.35,
+    Middle: 0.2,
+    Ring: 0.25,
+    Little: 0.45
+};
+const THUMB_CMC_LIMIT = Math.PI * 0.4;           // 엄지 CMC swing 한계
+const THUMB_FLEX_LIMITS = [[0, Math.PI * 0.35], [0, Math.PI * 0.45]];  // MCP, IP
+
+// 두 벡터 사이의 부호 있는 각도 (axis 기준 오른손 법칙)
+function signedAngle(a, b, axis) {
+    const cross = new THREE.Vector3().crossVectors(a, b);
+    return Math.atan2(cross.dot(axis), a.dot(b));
+}
+
+// 관절별 굽힘/벌림 처리 (손바닥 좌표계 기준)
+function applyFingers(prefix, getPoint, factor) {
+    if (!currentVrm) return;
+
+    const isRight = prefix === 'right';
+    const frame = getPalmFrame(isRight, getPoint);
+    if (!frame) return;
+
+    for (const [fingerName, config] of Object.entries(FINGER_CONFIG)) {
+        const joints = FINGER_JOINTS[fingerName];
+        const points = [joints.mcp, joints.pip, joints.dip, joints.tip].map(getPoint);
+        const segments = [
+            points[1].clone().sub(points[0]),  // MCP-PIP
+            points[2].clone().sub(points[1]),  // PIP-DIP
+            points[3].clone().sub(points[2])   // DIP-TIP
+        ];
+
+        if (config.isThumb) {
+            applyThumbJoints(prefix, frame, points, factor);
+        } else {
+            applyFingerJoints(prefix, fingerName, frame, segments, factor);
+        }
+    }
+}
+
+// 일반 손가락: MCP는 굽힘 + 벌림 (2자유도), PIP/DIP는 굽힘만
+function applyFingerJoints(prefix, fingerName, frame, segments, factor) {
+    const isRight = prefix === 'right';
+    const { dir, normal, side } = frame;
+
+    // MCP: 손바닥 방향 기준 고도 (굽힘)와 방위 (벌림)
+    const first = segments[0];
+    const along = first.dot(dir);
+    const across = first.dot(side);
+    const flexAngles = [Math.atan2(first.dot(normal), Math.hypot(along, across))];
+    let spread = Math.atan2(across, along);
+
+    // PIP, DIP: 이전 마디 대비 굽힘 (side 축 기준)
+    flexAngles.push(signedAngle(segments[0], segments[1], side));
+    flexAngles.push(signedAngle(segments[1], segments[2], side));
+
+    flexAngles.forEach((angle, idx) => {
+        const [min, max] = FINGER_FLEX_LIMITS[idx];
+        flexAngles[idx] = THREE.MathUtils.clamp(angle, min, max);
+    });
+
+    // 많이 굽힐수록 벌림 추정이 불안정하므로 약하게
+    const spreadLimit = FINGER_SPREAD_LIMITS[fingerName];
+    spread = THREE.MathUtils.clamp(spread, -spreadLimit, spreadLimit);
+    spread *= THREE.MathUtils.clamp(1 - flexAngles[0] / (Math.PI * 0.5), 0, 1);
+
+    const boneTypes = ['Proximal', 'Intermediate', 'Distal'];
+    boneTypes.forEach((boneType, idx) => {
+        const bone = currentVrm.humanoid.getNormalizedBoneNode(prefix + fingerName + boneType);
+        if (!bone) return;
+
+        // 굽힘: Z축 (좌우 손 부호 반대), 벌림: Y축 (side 방향이 +)
+        const flex = isRight ? flexAngles[idx] : -flexAngles[idx];
+        const rotation = new THREE.Quaternion().setFromEuler(new THREE.Euler(
+            0,
+            idx === 0 ? spread : 0,
+            flex,
+            'XYZ'
+        ));
+        bone.quaternion.slerp(rotation, factor);
+    });
+}
+
+// 엄지: CMC (metacarpal)는 방향 전체를 따르는 2자유도 swing, MCP/IP는 굽힘
+function applyThumbJoints(prefix, frame, points, factor) {
+    const isRight = prefix === 'right';
+    const humanoid = currentVrm.humanoid;
+
+    const metacarpal = humanoid.getNormalizedBoneNode(prefix + 'ThumbMetacarpal');
+    const proximal = humanoid.getNormalizedBoneNode(prefix + 'ThumbProximal');
+    const distal = humanoid.getNormalizedBoneNode(prefix + 'ThumbDistal');
+
+    // 손바닥 좌표계 → T-Pose 손 좌표계 (손가락 ±X, 손바닥 -Y)
+    const restDir = new THREE.Vector3(isRight ? -1 : 1, 0, 0);
+    const restNormal = new THREE.Vector3(0, -1, 0);
+    const restSide = new THREE.Vector3().crossVectors(restDir, restNormal);
+    const toRest = (v) => new THREE.Vector3()
+        .addScaledVector(restDir, v.dot(frame.dir))
+        .addScaledVector(restNormal, v.dot(frame.normal))
+        .addScaledVector(restSide, v.dot(frame.side))
+        .normalize();
+
+    // CMC: 아바타 엄지 metacarpal의 rest 방향 → 측정된 방향 (twist 없는 swing)
+    const cmcDir = toRest(points[1].clone().sub(points[0]));
+    if (metacarpal && proximal) {
+        const restThumbDir = proximal.position.clone().normalize();
+        const swing = new THREE.Quaternion().setFromUnitVectors(restThumbDir, cmcDir);
+        const angle = 2 * Math.acos(THREE.MathUtils.clamp(swing.w, -1, 1));
+        if (angle > THUMB_CMC_LIMIT) {
+            swing.slerp(new THREE.Quaternion(), 1 - THUMB_CMC_LIMIT / angle);
+        }
+        metacarpal.quaternion.slerp(swing, factor);
+    }
+
+    // MCP, IP: 엄지 굽힘 축 (엄지 rest 방향 × 손바닥 법선) 기준, 손바닥 쪽으로 굽힘
+    const restThumbAxis = distal ? distal.position.clone().normalize() : restDir;
+    const flexAxis = new THREE.Vector3().crossVectors(restThumbAxis, restNormal);
+    if (flexAxis.lengthSq() < 1e-8) return;
+    flexAxis.normalize();
+
+    const bones = [proximal, distal];
+    for (let idx = 0; idx < 2; idx++) {
+        const bone = bones[idx];
+        if (!bone) continue;
+
+        const prev = points[idx + 1].clone().sub(points[idx]);
+        const next = points[idx + 2].clone().sub(points[idx + 1]);
+        const [min, max] = THUMB_FLEX_LIMITS[idx];
+        const angle = THREE.MathUtils.clamp(prev.angleTo(next), min, max);
+        bone.quaternion.slerp(new THREE.Quaternion().setFromAxisAngle(flexAxis, angle), factor);
+    }
+}
 
-            // 2. Body Tracking이 활성화된 경우에만 Hand/Pose 처리
-            if (BODY_TRACKING_ENABLED) {
-                // Hand tracking 결과 초기화
-                detectedHands.left = null;
-                detectedHands.right = null;
-
-                if (handLandmarker) {
-                    const handResults = handLandmarker.detectForVideo(video, currentTime);
-                    if (handResults.landmarks && handResults.landmarks.length > 0) {
-                        // Hand 결과 저장 (Pose에서 사용)
-                        for (let i = 0; i < handResults.landmarks.length; i++) {
-                            const handedness = handResults.handednesses[i][0];
-                            const landmarks = handResults.landmarks[i];
-
-                            // MediaPipe Left → Avatar Right, MediaPipe Right → Avatar Left
-                            if (handedness.categoryName === 'Left') {
-                                detectedHands.left = landmarks;
-                            } else {
-                                detectedHands.right = landmarks;
-                            }
-                        }
+// ============================================================
+// Perfect Sync (ARKit 52 블렌드쉐이프 커스텀 표정)
+// VRoid/상용 아바타 중 ARKit 이름의 커스텀 표정을 가진 경우
+// MediaPipe 블렌드쉐이프를 1:1로 직접 적용
+// ============================================================
+const PERFECT_SYNC_MIN_MATCHES = 26; // 절반 이상 있어야 Perfect Sync로 판단
 
-                        // 손가락 처리
-                        applyHands(handResults.landmarks, handResults.handednesses, deltaTime);
+// 아바타마다 이름이 다를 때 수동 지정 (ARKit 이름 → 아바타 표정 이름)
+// 예: { jawOpen: 'Mouth_Open', tongueOut: 'Tongue' }
+const PERFECT_SYNC_REMAP = {};
 
-                        if (DEBUG_MODE && drawingUtils) {
-                            for (const landmark of handResults.landmarks) {
-                                drawingUtils.drawConnectors(landmark, HandLandmarker.HAND_CONNECTIONS, { color: "#FF0000", lineWidth: 2 });
-                                drawingUtils.drawLandmarks(landmark, { color: "#00FF00", lineWidth: 1 });
-                            }
-                        }
-                    }
-                }
+// ARKit 이름 → 아바타 커스텀 표정 이름 매핑 생성 (부족하면 null → 기존 preset 로직)
+function detectPerfectSync(vrm) {
+    const expressionManager = vrm.expressionManager;
+    if (!expressionManager) return null;
 
-                // Pose tracking
-                let poseDetected = false;
-                if (poseLandmarker) {
-                    const poseResults = poseLandmarker.detectForVideo(video, currentTime);
-                    if (poseResults.landmarks && poseResults.landmarks.length > 0) {
-                        const rawLandmarks = poseResults.landmarks[0];
-                        const rawWorldLandmarks = poseResults.worldLandmarks ? poseResults.worldLandmarks[0] : null;
-
-                        // One Euro Filter 적용 (떨림 완화)
-                        const { filteredLandmarks, filteredWorldLandmarks } = getFilteredPoseLandmarks(
-                            rawLandmarks, rawWorldLandmarks, currentTime
-                        );
-
-                        applyPose(filteredLandmarks, filteredWorldLandmarks, deltaTime);
-                        poseDetected = true;
-
-                        if (DEBUG_MODE && drawingUtils) {
-                            drawingUtils.drawLandmarks(filteredLandmarks, { radius: 1, color: "white" });
-                            drawingUtils.drawConnectors(filteredLandmarks, PoseLandmarker.POSE_CONNECTIONS, { color: "white", lineWidth: 2 });
-                        }
-                    }
-                }
+    const lookup = new Map();
+    for (const name of Object.keys(expressionManager.customExpressionMap)) {
+        lookup.set(normalizeBlendshapeName(name), name);
+    }
 
-                if (!poseDetected) {
-                    resetPose(deltaTime);
-                }
-            } else {
-                // Body tracking 비활성화 시 팔을 자연스럽게 내림
-                resetPose(deltaTime);
-            }
+    const map = {};
+    for (const arkitName of ARKIT_BLENDSHAPE_NAMES) {
+        const remapped = PERFECT_SYNC_REMAP[arkitName];
+        if (remapped && expressionManager.getExpression(remapped)) {
+            map[arkitName] = remapped;
+            continue;
         }
+        const match = lookup.get(normalizeBlendshapeName(arkitName));
+        if (match) map[arkitName] = match;
     }
 
-    if (currentVrm) {
-        currentVrm.update(deltaTime);
+    const matchCount = Object.keys(map).length;
+    if (matchCount < PERFECT_SYNC_MIN_MATCHES) {
+        console.log(`[PerfectSync] Not detected (${matchCount}/${ARKIT_BLENDSHAPE_NAMES.length}), using preset expressions`);
+        return null;
     }
 
-    renderer.render(scene, camera);
-}
-
-// ============================================================
-// 통일된 좌표 변환 함수
-// MediaPipe 좌표계 → VRM 좌표계
-// MediaPipe: X(오른쪽+), Y(아래+), Z(카메라에서 멀어지는 방향+)
-// VRM: X(오른쪽+), Y(위+), Z(캐릭터 전방+)
-// 미러링: 사용자가 거울을 보는 것처럼 좌우 반전
-// ============================================================
-function mpToVRM(landmark, mirror = true) {
-    return new THREE.Vector3(
-        mirror ? -landmark.x : landmark.x,  // X: 미러링
-        -landmark.y,                         // Y: 축 방향 반전
-        -landmark.z                          // Z: 깊이 방향 반전
-    );
+    console.log(`[PerfectSync] Detected ${matchCount}/${ARKIT_BLENDSHAPE_NAMES.length} ARKit expressions`);
+    return map;
 }
 
-// deltaTime 기반 부드러운 보간 계수 계산
-function getLerpFactor(deltaTime, speed = LERP_SPEED) {
-    return 1 - Math.exp(-speed * deltaTime);
-}
+function applyPerfectSync(blendShapesData) {
+    const expressions = currentVrm.expressionManager;
 
-// 부모 본의 월드 회전을 가져오는 헬퍼
-function getParentWorldQuaternion(bone) {
-    const worldQuat = new THREE.Quaternion();
-    if (bone.parent) {
-        bone.parent.getWorldQuaternion(worldQuat);
+    for (const { categoryName, score } of blendShapesData.categories) {
+        const expressionName = perfectSyncMap[categoryName];
+        if (expressionName) expressions.setValue(expressionName, score);
     }
-    return worldQuat;
 }
 
-// 월드 회전을 로컬 회전으로 변환
-function worldToLocalQuaternion(worldQuat, parentWorldQuat) {
-    const parentInverse = parentWorldQuat.clone().invert();
-    return parentInverse.multiply(worldQuat.clone());
+// ============================================================
+// Expression Override Layer
+// 트래킹(applyBlendshapes) 결과 위에 덧씌우는 표정 레이어
+// - 렌더링 직전에 적용하고, 렌더링 후 트래킹 값을 복원하여
+//   다음 프레임의 applyBlendshapes 보간이 오버라이드 값에 오염되지 않도록 함
+// owner ('hotkey:<key>', 'gesture:<name>:<expression>')별로 관리하여 같은 표정을 여러 곳에서 켜도 서로 해제하지 않음
+// 같은 표정에 override가 여럿이면 blend가 가장 큰 것을 적용
+// ============================================================
+const expressionOverrides = new Map();  // owner → override 상태
+let savedTrackedExpressions = null;     // 렌더링 후 복원할 트래킹 값
+
+// duration: 초 단위 유지 시간 (null이면 release 호출 전까지 유지)
+function setExpressionOverride(owner, name, { weight = 1.0, fadeIn = 0.2, fadeOut = 0.3, duration = null } = {}) {
+    const existing = expressionOverrides.get(owner);
+    expressionOverrides.set(owner, {
+        name,
+        weight,
+        fadeIn,
+        fadeOut,
+        duration,
+        elapsed: 0,
+        blend: existing ? existing.blend : 0,  // 진행 중이던 페이드에서 이어서
+        releasing: false
+    });
 }
 
-function resetPose(deltaTime) {
-    if (!currentVrm) return;
+function releaseExpressionOverride(owner) {
+    const override = expressionOverrides.get(owner);
+    if (override) override.releasing = true;
+}
 
-    const factor = getLerpFactor(deltaTime, 8); // 느리게 복귀
+function applyExpressionOverrides(deltaTime) {
+    savedTrackedExpressions = null;
+    if (!currentVrm || !currentVrm.expressionManager || expressionOverrides.size === 0) return;
 
-    const rightUpperArm = currentVrm.humanoid.getNormalizedBoneNode('rightUpperArm');
-    const leftUpperArm = currentVrm.humanoid.getNormalizedBoneNode('leftUpperArm');
-    const rightLowerArm = currentVrm.humanoid.getNormalizedBoneNode('rightLowerArm');
-    const leftLowerArm = currentVrm.humanoid.getNormalizedBoneNode('leftLowerArm');
+    const expressions = currentVrm.expressionManager;
+    savedTrackedExpressions = new Map();
+    const strongest = new Map();  // 표정 이름 → blend가 가장 큰 override
 
-    // T-Pose에서 팔을 내린 상태로
-    // VRM 기본: T-Pose (팔이 수평)
-    // 내린 상태: Z축 회전
-    const relaxRight = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, Math.PI * 0.45, 'XYZ'));
-    const relaxLeft = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, -Math.PI * 0.45, 'XYZ'));
-    const neutralLower = new THREE.Quaternion(); // 아래팔은 펴진 상태
+    for (const [owner, override] of expressionOverrides) {
+        override.elapsed += deltaTime;
+        if (override.duration !== null && override.elapsed >= override.duration) {
+            override.releasing = true;
+        }
 
-    if (rightUpperArm) rightUpperArm.quaternion.slerp(relaxRight, factor);
-    if (leftUpperArm) leftUpperArm.quaternion.slerp(relaxLeft, factor);
-    if (rightLowerArm) rightLowerArm.quaternion.slerp(neutralLower, factor);
-    if (leftLowerArm) leftLowerArm.quaternion.slerp(neutralLower, factor);
+        // 선형 페이드 (fade 시간이 0이면 즉시)
+        if (override.releasing) {
+            override.blend = override.fadeOut > 0 ? Math.max(0, override.blend - deltaTime / override.fadeOut) : 0;
+        } else {
+            override.blend = override.fadeIn > 0 ? Math.min(1, override.blend + deltaTime / override.fadeIn) : 1;
+        }
 
-    // 활성 상태 리셋
-    leftArmActive = false;
-    rightArmActive = false;
-}
+        if (expressions.getValue(override.name) === null) {
+            expressionOverrides.delete(owner);  // 아바타에 없는 표정
+            continue;
+        }
+        if (!(strongest.get(override.name)?.blend >= override.blend)) {
+            strongest.set(override.name, override);
+        }
 
-// --- Debug 3D ---
-let debugGroup;
-function updateDebug3D(worldLandmarks) {
-    if (!DEBUG_MODE) {
-        if (debugGroup) debugGroup.visible = false;
-        return;
+        if (override.releasing && override.blend <= 0) {
+            expressionOverrides.delete(owner);
+        }
     }
 
-    if (!debugGroup) {
-        debugGroup = new THREE.Group();
-        scene.add(debugGroup);
-        for (let i = 0; i < 33; i++) {
-            const geom = new THREE.SphereGeometry(0.02, 8, 8);
-            const mat = new THREE.MeshBasicMaterial({ color: 0xff0000 });
-            const sphere = new THREE.Mesh(geom, mat);
-            debugGroup.add(sphere);
-        }
+    for (const [name, override] of strongest) {
+        const tracked = expressions.getValue(name);
+        savedTrackedExpressions.set(name, tracked);
+        expressions.setValue(name, THREE.MathUtils.lerp(tracked, override.weight, override.blend));
     }
-    debugGroup.visible = true;
+}
 
-    if (worldLandmarks) {
-        for (let i = 0; i < worldLandmarks.length; i++) {
-            const l = worldLandmarks[i];
-            const sphere = debugGroup.children[i];
-            if (sphere) {
-                const pos = mpToVRM(l);
-                sphere.position.copy(pos);
-            }
-        }
+function restoreTrackedExpressions() {
+    if (!savedTrackedExpressions || !currentVrm) return;
+    for (const [name, value] of savedTrackedExpressions) {
+        currentVrm.expressionManager.setValue(name, value);
     }
+    savedTrackedExpressions = null;
 }
 
 // ============================================================
-// 개선된 Two-Bone IK Solver
+// Expression Hotkeys
+// 키 → VRM 표정 (preset/custom) 바인딩, Expression Override Layer 위에서 동작
+// mode: 'hold' (누르는 동안 유지) / 'toggle' (누를 때마다 켜기/끄기)
 // ============================================================
-function solveTwoBoneIK(upperBone, lowerBone, upperLength, lowerLength, targetPos, polePos, boneAxis, deltaTime) {
-    if (!upperBone || !lowerBone) return;
-
-    const factor = getLerpFactor(deltaTime);
-    const a = upperLength;
-    const b = lowerLength;
+const HOTKEY_STORAGE_KEY = 'prismic-eagle.expressionHotkeys';
 
-    // 1. 목표 거리 제한 (팔 길이 범위 내로)
-    let dist = targetPos.length();
-    const epsilon = 0.001;
-    const maxLen = a + b - epsilon;
-    const minLen = Math.abs(a - b) + epsilon;
+const DEFAULT_EXPRESSION_HOTKEYS = [
+    { key: '1', expression: 'happy', mode: 'toggle', weight: 1.0, fadeIn: 0.2, fadeOut: 0.3 },
+    { key: '2', expression: 'angry', mode: 'toggle', weight: 1.0, fadeIn: 0.2, fadeOut: 0.3 },
+    { key: '3', expression: 'sad', mode: 'toggle', weight: 1.0, fadeIn: 0.2, fadeOut: 0.3 },
+    { key: '4', expression: 'relaxed', mode: 'toggle', weight: 1.0, fadeIn: 0.2, fadeOut: 0.3 },
+    { key: '5', expression: 'surprised', mode: 'hold', weight: 1.0, fadeIn: 0.1, fadeOut: 0.3 }
+];
 
-    if (dist > maxLen) {
-        targetPos.setLength(maxLen);
-        dist = maxLen;
-    } else if (dist < minLen) {
-        targetPos.setLength(minLen);
-        dist = minLen;
+function loadExpressionHotkeys() {
+    try {
+        const stored = localStorage.getItem(HOTKEY_STORAGE_KEY);
+        if (stored) return JSON.parse(stored);
+    } catch (e) {
+        console.warn('[Hotkeys] Failed to load bindings:', e);
     }
+    return DEFAULT_EXPRESSION_HOTKEYS.map(binding => ({ ...binding }));
+}
 
-    // 2. 코사인 법칙으로 어깨 각도 계산
-    const c = dist;
-    const cosShoulderAngle = (a * a + c * c - b * b) / (2 * a * c);
-    const shoulderAngle = Math.acos(THREE.MathUtils.clamp(cosShoulderAngle, -1, 1));
-
-    // 3. 코사인 법칙으로 팔꿈치 각도 계산
-    const cosElbowAngle = (a * a + b * b - c * c) / (2 * a * b);
-    const elbowAngle = Math.acos(THREE.MathUtils.clamp(cosElbowAngle, -1, 1));
-
-    // 4. IK 평면 계산 (어깨→손목 방향과 팔꿈치 방향으로 정의)
-    const dirToTarget = targetPos.clone().normalize();
-    const dirToPole = polePos.clone().normalize();
-
-    // 평면 법선 계산
-    let planeNormal = new THREE.Vector3().crossVectors(dirToTarget, dirToPole);
-
-    if (planeNormal.lengthSq() < 0.0001) {
-        // 팔꿈치가 직선상에 있는 경우 대체 벡터 사용
-        planeNormal.crossVectors(dirToTarget, new THREE.Vector3(0, 1, 0));
-        if (planeNormal.lengthSq() < 0.0001) {
-            planeNormal.crossVectors(dirToTarget, new THREE.Vector3(0, 0, 1));
-        }
+function saveExpressionHotkeys() {
+    // 라이브러리 아바타는 아바타별로 저장, 기본 아바타는 전역 설정
+    if (saveAvatarSetting('expressionHotkeys')) return;
+    try {
+        localStorage.setItem(HOTKEY_STORAGE_KEY, JSON.stringify(expressionHotkeys));
+    } catch (e) {
+        console.warn('[Hotkeys] Failed to save bindings:', e);
     }
-    planeNormal.normalize();
+}
 
-    // 5. Upper Arm (어깨) 방향 계산
-    // 목표 방향에서 shoulderAngle만큼 회전
-    const qBend = new THREE.Quaternion().setFromAxisAngle(planeNormal, shoulderAngle);
-    const upperDir = dirToTarget.clone().applyQuaternion(qBend).normalize();
+function findExpressionHotkey(e) {
+    // 입력창에서 타이핑 중이거나 조합키가 눌린 경우 무시
+    if (e.target && e.target.closest && e.target.closest('input, textarea, select')) return null;
+    if (e.ctrlKey || e.metaKey || e.altKey) return null;
 
-    // 6. Upper Arm 회전 계산
-    const qUpper = new THREE.Quaternion().setFromUnitVectors(boneAxis, upperDir);
+    const key = e.key.toLowerCase();
+    return expressionHotkeys.find(binding => binding.key && binding.key.toLowerCase() === key) ?? null;
+}
 
-    // 팔꿈치 방향(hinge) 정렬
-    const hingeAxis = new THREE.Vector3().crossVectors(boneAxis, new THREE.Vector3(0, 0, 1)).normalize();
-    const currentHinge = hingeAxis.clone().applyQuaternion(qUpper);
-    const qTwist = new THREE.Quaternion().setFromUnitVectors(currentHinge, planeNormal);
-    const qUpperFinal = qTwist.multiply(qUpper);
+function getHotkeyOwner(binding) {
+    return `hotkey:${binding.key.toLowerCase()}`;
+}
 
-    // 7. 부모 좌표계를 고려한 로컬 회전 적용
-    const parentWorldQuat = getParentWorldQuaternion(upperBone);
-    const qUpperLocal = worldToLocalQuaternion(qUpperFinal, parentWorldQuat);
+function onExpressionHotkeyDown(e) {
+    const binding = findExpressionHotkey(e);
+    if (!binding || e.repeat) return;
 
-    upperBone.quaternion.slerp(qUpperLocal, factor);
+    const options = {
+        weight: binding.weight ?? 1.0,
+        fadeIn: binding.fadeIn ?? 0.2,
+        fadeOut: binding.fadeOut ?? 0.3
+    };
 
-    // 8. Lower Arm (팔꿈치) 회전 계산
-    // 팔꿈치는 단순히 구부러지는 각도만 적용 (hinge joint)
-    // 팔꿈치 각도: π - elbowAngle (펴진 상태가 π)
-    const bendAngle = Math.PI - elbowAngle;
+    const owner = getHotkeyOwner(binding);
+    if (binding.mode === 'toggle') {
+        if (toggledHotkeys.has(owner)) {
+            toggledHotkeys.delete(owner);
+            releaseExpressionOverride(owner);
+        } else {
+            toggledHotkeys.add(owner);
+            setExpressionOverride(owner, binding.expression, options);
+        }
+    } else {
+        setExpressionOverride(owner, binding.expression, options);
+    }
+    e.preventDefault();
+}
 
-    // 로컬 X축 기준 회전 (팔꿈치는 한 축으로만 회전)
-    const qLowerLocal = new THREE.Quaternion().setFromAxisAngle(
-        new THREE.Vector3(0, 1, 0), // VRM에서 팔꿈치 회전축
-        -bendAngle * (boneAxis.x < 0 ? 1 : -1) // 좌우 팔 방향에 따라 부호 조정
-    );
+function onExpressionHotkeyUp(e) {
+    const binding = findExpressionHotkey(e);
+    if (!binding || binding.mode === 'toggle') return;
+    releaseExpressionOverride(getHotkeyOwner(binding));
+}
 
-    lowerBone.quaternion.slerp(qLowerLocal, factor);
+// 창이 포커스를 잃으면 (Alt-Tab 등) keyup을 받지 못하므로 hold 모드 표정 해제
+function releaseHeldHotkeyExpressions() {
+    for (const binding of expressionHotkeys) {
+        if (binding.key && binding.mode !== 'toggle') releaseExpressionOverride(getHotkeyOwner(binding));
+    }
 }
 
-function applyPose(landmarks, worldLandmarks, deltaTime) {
-    if (!currentVrm) return;
+// 모든 핫키 표정 해제 (바인딩 변경 시)
+function releaseAllHotkeyExpressions() {
+    for (const owner of expressionOverrides.keys()) {
+        if (owner.startsWith('hotkey:')) releaseExpressionOverride(owner);
+    }
+    toggledHotkeys.clear();
+}
 
-    updateDebug3D(worldLandmarks);
+// --- Hotkey 설정 패널 ---
+// 편집은 사본에서 하고 Save 때 교체 (켜져 있는 toggle 표정의 키가 편집 중에 바뀌면 해제할 수 없게 되므로)
+function toggleHotkeyPanel() {
+    if (toggleSettingsPanel('hotkey-panel')) editHotkeyBindings();
+}
 
-    const factor = getLerpFactor(deltaTime);
+function editHotkeyBindings() {
+    hotkeyDraft = expressionHotkeys.map(binding => ({ ...binding }));
+    renderHotkeyPanel();
+}
 
-    // 랜드마크를 VRM 좌표계로 변환하는 헬퍼
-    const getPos = (index) => {
-        const source = worldLandmarks || landmarks;
-        return mpToVRM(source[index]);
-    };
+function renderHotkeyPanel() {
+    const list = document.getElementById('hotkey-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    // 현재 아바타의 표정 목록 (preset + custom)
+    const available = currentVrm?.expressionManager?.expressions.map(exp => exp.expressionName) ?? [];
+
+    hotkeyDraft.forEach((binding, index) => {
+        const row = document.createElement('div');
+        row.className = 'hotkey-row';
+
+        const keyInput = document.createElement('input');
+        keyInput.type = 'text';
+        keyInput.className = 'hotkey-key';
+        keyInput.value = binding.key;
+        keyInput.readOnly = true;
+        keyInput.title = 'Click and press a key';
+        keyInput.addEventListener('keydown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (e.key === 'Escape' || e.key === 'Tab') return;
+            binding.key = e.key;
+            keyInput.value = e.key;
+        });
 
-    // 본 가져오기
-    const rUpper = currentVrm.humanoid.getNormalizedBoneNode('rightUpperArm');
-    const rLower = currentVrm.humanoid.getNormalizedBoneNode('rightLowerArm');
-    const rHand = currentVrm.humanoid.getNormalizedBoneNode('rightHand');
+        const expressionSelect = document.createElement('select');
+        const names = available.includes(binding.expression) ? available : [binding.expression, ...available];
+        for (const name of names) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            expressionSelect.appendChild(option);
+        }
+        expressionSelect.value = binding.expression;
+        expressionSelect.addEventListener('change', () => { binding.expression = expressionSelect.value; });
+
+        const modeSelect = document.createElement('select');
+        for (const mode of ['toggle', 'hold']) {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = mode;
+            modeSelect.appendChild(option);
+        }
+        modeSelect.value = binding.mode;
+        modeSelect.addEventListener('change', () => { binding.mode = modeSelect.value; });
+
+        const fadeInput = document.createElement('input');
+        fadeInput.type = 'number';
+        fadeInput.className = 'hotkey-fade';
+        fadeInput.min = '0';
+        fadeInput.step = '0.05';
+        fadeInput.value = binding.fadeIn ?? 0.2;
+        fadeInput.title = 'Fade (seconds)';
+        fadeInput.addEventListener('change', () => {
+            const fade = Math.max(0, parseFloat(fadeInput.value) || 0);
+            binding.fadeIn = fade;
+            binding.fadeOut = fade;
+        });
 
-    const lUpper = currentVrm.humanoid.getNormalizedBoneNode('leftUpperArm');
-    const lLower = currentVrm.humanoid.getNormalizedBoneNode('leftLowerArm');
-    const lHand = currentVrm.humanoid.getNormalizedBoneNode('leftHand');
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Remove binding';
+        removeBtn.addEventListener('click', () => {
+            hotkeyDraft.splice(index, 1);
+            renderHotkeyPanel();
+        });
 
-    // --- Spine 회전 (상체 기울기) ---
-    const spine = currentVrm.humanoid.getNormalizedBoneNode('spine');
-    if (spine && landmarks) {
-        const mpLeft = landmarks[11];  // 왼쪽 어깨
-        const mpRight = landmarks[12]; // 오른쪽 어깨
+        row.append(keyInput, expressionSelect, modeSelect, fadeInput, removeBtn);
+        list.appendChild(row);
+    });
+}
 
-        // 미러링 적용: 좌우 반전
-        const dy = mpRight.y - mpLeft.y;  // 반전
-        const dz = mpRight.z - mpLeft.z;  // 반전
+function setupExpressionHotkeys() {
+    expressionHotkeys = loadExpressionHotkeys();
 
-        const roll = dy * 1.2;  // Z축 회전 (좌우 기울기)
-        const yaw = dz * 1.0;   // Y축 회전 (어깨 회전)
+    document.addEventListener('keydown', onExpressionHotkeyDown);
+    document.addEventListener('keyup', onExpressionHotkeyUp);
+    window.addEventListener('blur', releaseHeldHotkeyExpressions);
 
-        const q = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, yaw, roll, 'XYZ'));
-        spine.quaternion.slerp(q, factor * 0.5); // 상체는 더 부드럽게
+    const addBtn = document.getElementById('hotkey-add');
+    if (addBtn) {
+        addBtn.addEventListener('click', () => {
+            hotkeyDraft.push({ key: '', expression: 'happy', mode: 'toggle', weight: 1.0, fadeIn: 0.2, fadeOut: 0.3 });
+            renderHotkeyPanel();
+        });
     }
 
-    // --- Visibility 체크 (Hysteresis 적용) ---
-    // MediaPipe Left Wrist (15) → Avatar Right Arm (미러링)
-    // MediaPipe Right Wrist (16) → Avatar Left Arm (미러링)
-
-    const leftWristVis = landmarks[15].visibility ?? 1.0;
-    const rightWristVis = landmarks[16].visibility ?? 1.0;
-    const leftWristY = landmarks[15].y;
-    const rightWristY = landmarks[16].y;
+    const saveBtn = document.getElementById('hotkey-save');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', () => {
+            releaseAllHotkeyExpressions();
+            expressionHotkeys = hotkeyDraft.map(binding => ({ ...binding }));
+            saveExpressionHotkeys();
+            document.getElementById('hotkey-panel')?.classList.remove('open');
+            console.log('[Hotkeys] Bindings saved:', expressionHotkeys.length);
+        });
+    }
 
-    // Hysteresis: 켜질 때는 높은 임계값, 꺼질 때는 낮은 임계값
-    if (!leftArmActive && leftWristVis > VIS_THRESHOLD_ON) {
-        leftArmActive = true;
-    } else if (leftArmActive && leftWristVis < VIS_THRESHOLD_OFF) {
-        leftArmActive = false;
+    const resetBtn = document.getElementById('hotkey-reset');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            hotkeyDraft = DEFAULT_EXPRESSION_HOTKEYS.map(binding => ({ ...binding }));
+            renderHotkeyPanel();
+        });
     }
+}
 
-    if (!rightArmActive && rightWristVis > VIS_THRESHOLD_ON) {
-        rightArmActive = true;
-    } else if (rightArmActive && rightWristVis < VIS_THRESHOLD_OFF) {
-        rightArmActive = false;
+// ============================================================
+// Filter Tuning (Dev 메뉴의 프리셋 선택 + 채널별 파라미터 패널)
+// ============================================================
+function loadFilterSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(FILTER_STORAGE_KEY));
+        if (stored && stored.channels) {
+            // 저장 이후 추가된 채널은 기본 프리셋 값으로 채움
+            const settings = createFilterSettings('streaming');
+            settings.preset = stored.preset ?? null;
+            for (const channel of Object.keys(FILTER_CHANNELS)) {
+                Object.assign(settings.channels[channel], stored.channels[channel]);
+            }
+            return settings;
+        }
+    } catch (e) {
+        console.warn('[Filters] Failed to load settings:', e);
     }
+    return createFilterSettings('streaming');
+}
 
-    // --- Avatar Right Arm ← MediaPipe Left Body(11,13,15) + Hand(0) ---
-    if (rUpper && rLower && rHand && leftArmActive) {
-        const upperLen = rLower.position.length();
-        const lowerLen = rHand.position.length();
+function saveFilterSettings() {
+    try {
+        localStorage.setItem(FILTER_STORAGE_KEY, JSON.stringify(filterSettings));
+    } catch (e) {
+        console.warn('[Filters] Failed to save settings:', e);
+    }
+}
 
-        const mpShoulder = getPos(11);
-        const mpElbow = getPos(13);
+function setFilterPreset(preset) {
+    if (!FILTER_PRESETS[preset]) return;
+    filterSettings = createFilterSettings(preset);
+    updateTrackingFilterParams();
+    saveFilterSettings();
+    updateFilterOptions();
+    renderFilterPanel();
+}
 
-        // Body wrist만 사용 (Hand landmarks는 좌표계가 다름)
-        const mpWrist = getPos(15);
+// 패널에서 값을 직접 바꾸면 프리셋 선택은 해제 (custom)
+function setFilterParam(channel, key, value) {
+    if (!Number.isFinite(value) || value < 0) return;
+    filterSettings.channels[channel][key] = value;
+    filterSettings.preset = null;
+    updateTrackingFilterParams();
+    saveFilterSettings();
+    updateFilterOptions();
+}
 
-        // MediaPipe 팔 길이로 스케일 계산
-        const mpArmLen = mpShoulder.distanceTo(mpElbow) + mpElbow.distanceTo(mpWrist);
-        const avatarArmLen = upperLen + lowerLen;
-        const scale = avatarArmLen / mpArmLen;
+function updateFilterOptions() {
+    document.querySelectorAll('.option-btn[data-filter]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.filter === filterSettings.preset);
+    });
+}
 
-        // 어깨 기준 상대 위치
-        const target = new THREE.Vector3().subVectors(mpWrist, mpShoulder).multiplyScalar(scale);
-        const pole = new THREE.Vector3().subVectors(mpElbow, mpShoulder).multiplyScalar(scale);
+// 설정 패널은 한 번에 하나만 열림
+function toggleSettingsPanel(id) {
+    const panel = document.getElementById(id);
+    if (!panel) return false;
 
-        solveTwoBoneIK(rUpper, rLower, upperLen, lowerLen, target, pole, new THREE.Vector3(-1, 0, 0), deltaTime);
-    } else if (rUpper && !leftArmActive) {
-        // 팔 내리기
-        const relaxQuat = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, Math.PI * 0.45, 'XYZ'));
-        const neutralQuat = new THREE.Quaternion();
-        rUpper.quaternion.slerp(relaxQuat, factor * 0.3);
-        if (rLower) rLower.quaternion.slerp(neutralQuat, factor * 0.3);
-    }
+    document.querySelectorAll('.settings-panel.open').forEach(other => {
+        if (other !== panel) other.classList.remove('open');
+    });
+    return panel.classList.toggle('open');
+}
 
-    // --- Avatar Left Arm ← MediaPipe Right Body(12,14,16) + Hand(0) ---
-    if (lUpper && lLower && lHand && rightArmActive) {
-        const upperLen = lLower.position.length();
-        const lowerLen = lHand.position.length();
+function toggleFilterPanel() {
+    if (toggleSettingsPanel('filter-panel')) renderFilterPanel();
+}
 
-        const mpShoulder = getPos(12);
-        const mpElbow = getPos(14);
+function renderFilterPanel() {
+    const list = document.getElementById('filter-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const params = [
+        { key: 'minCutoff', step: '0.1' },
+        { key: 'beta', step: '0.005' },
+        { key: 'dCutoff', step: '0.1' }
+    ];
+
+    for (const [channel, label] of Object.entries(FILTER_CHANNELS)) {
+        const row = document.createElement('div');
+        row.className = 'filter-row';
+
+        const name = document.createElement('span');
+        name.textContent = label;
+        row.appendChild(name);
+
+        for (const { key, step } of params) {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.step = step;
+            input.value = filterSettings.channels[channel][key];
+            input.addEventListener('input', () => setFilterParam(channel, key, parseFloat(input.value)));
+            row.appendChild(input);
+        }
 
-        // Body wrist만 사용 (Hand landmarks는 좌표계가 다름)
-        const mpWrist = getPos(16);
+        list.appendChild(row);
+    }
+}
 
-        const mpArmLen = mpShoulder.distanceTo(mpElbow) + mpElbow.distanceTo(mpWrist);
-        const avatarArmLen = upperLen + lowerLen;
-        const scale = avatarArmLen / mpArmLen;
+function setupFilterTuning() {
+    filterSettings = loadFilterSettings();
+    updateFilterOptions();
 
-        const target = new THREE.Vector3().subVectors(mpWrist, mpShoulder).multiplyScalar(scale);
-        const pole = new THREE.Vector3().subVectors(mpElbow, mpShoulder).multiplyScalar(scale);
+    document.querySelectorAll('.option-btn[data-filter]').forEach(btn => {
+        btn.addEventListener('click', () => setFilterPreset(btn.dataset.filter));
+    });
 
-        solveTwoBoneIK(lUpper, lLower, upperLen, lowerLen, target, pole, new THREE.Vector3(1, 0, 0), deltaTime);
-    } else if (lUpper && !rightArmActive) {
-        // 팔 내리기
-        const relaxQuat = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, -Math.PI * 0.45, 'XYZ'));
-        const neutralQuat = new THREE.Quaternion();
-        lUpper.quaternion.slerp(relaxQuat, factor * 0.3);
-        if (lLower) lLower.quaternion.slerp(neutralQuat, factor * 0.3);
+    const closeBtn = document.getElementById('filter-close');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => {
+            document.getElementById('filter-panel')?.classList.remove('open');
+        });
     }
 }
 
 // ============================================================
-// 완전히 새로 작성된 손 & 손가락 처리
-// - 거리 기반 손가락 curl (단순하고 안정적)
-// - 손바닥 방향을 Hand bone에 직접 적용
+// Detection Scheduler (모델별 실행 주기 / 프레임 예산 설정 패널)
+// 실제 스케줄링은 mediapipe.js의 DetectionScheduler (메인 스레드 또는 Worker)
 // ============================================================
+function loadSchedulerSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SCHEDULER_STORAGE_KEY));
+        if (stored) return { ...DEFAULT_SCHEDULER_SETTINGS, ...stored };
+    } catch (e) {
+        console.warn('[Scheduler] Failed to load settings:', e);
+    }
+    return { ...DEFAULT_SCHEDULER_SETTINGS };
+}
 
-// 손가락 설정 (MCP, TIP 인덱스)
-const FINGER_CONFIG = {
-    Thumb:  { mcp: 1, tip: 4, isThumb: true },
-    Index:  { mcp: 5, tip: 8, isThumb: false },
-    Middle: { mcp: 9, tip: 12, isThumb: false },
-    Ring:   { mcp: 13, tip: 16, isThumb: false },
-    Little: { mcp: 17, tip: 20, isThumb: false }
-};
+function saveSchedulerSettings() {
+    try {
+        localStorage.setItem(SCHEDULER_STORAGE_KEY, JSON.stringify(schedulerSettings));
+    } catch (e) {
+        console.warn('[Scheduler] Failed to save settings:', e);
+    }
+}
 
-// 디버그 로그 쓰로틀링
-let lastDebugTime = 0;
-const DEBUG_INTERVAL = 2000;
+function setSchedulerSettings(changes) {
+    schedulerSettings = { ...schedulerSettings, ...changes };
+    detectionScheduler.configure(schedulerSettings);
+    if (trackingWorker) {
+        trackingWorker.postMessage({ type: 'schedule', scheduler: schedulerSettings });
+    }
+    saveSchedulerSettings();
+}
 
-function applyHands(landmarksArray, handednesses, deltaTime) {
-    if (!currentVrm) return;
+function resetDetectionScheduler() {
+    detectionScheduler.reset();
+    if (trackingWorker) trackingWorker.postMessage({ type: 'reset' });
+}
 
-    const factor = getLerpFactor(deltaTime, 15);
+function setDetectionStats(stats) {
+    detectionStats = stats;
+
+    // 패널이 열려 있을 때만 0.5초 간격으로 갱신
     const now = performance.now();
-    const shouldLog = (now - lastDebugTime) > DEBUG_INTERVAL;
+    if (now - lastSchedulerStatsRender < 500) return;
+    if (!document.getElementById('scheduler-panel')?.classList.contains('open')) return;
+    lastSchedulerStatsRender = now;
+    renderSchedulerStats();
+}
 
-    for (let i = 0; i < landmarksArray.length; i++) {
-        const landmarks = landmarksArray[i];
-        const handedness = handednesses[i][0];
+function toggleSchedulerPanel() {
+    if (toggleSettingsPanel('scheduler-panel')) renderSchedulerPanel();
+}
 
-        // 손 위치로 좌우 판단 (wrist x 좌표)
-        const wristX = landmarks[0].x;  // 0~1, 왼쪽이 0, 오른쪽이 1
+function renderSchedulerPanel() {
+    const fields = {
+        face: document.getElementById('scheduler-face'),
+        pose: document.getElementById('scheduler-pose'),
+        hands: document.getElementById('scheduler-hands')
+    };
+    for (const [model, select] of Object.entries(fields)) {
+        if (select) select.value = String(schedulerSettings[model]);
+    }
 
-        // 미러링: Body tracking과 일치하도록
-        // MediaPipe "Left" = 사용자의 왼손 → Avatar의 왼손 (미러 모드)
-        // MediaPipe "Right" = 사용자의 오른손 → Avatar의 오른손 (미러 모드)
-        const isAvatarRightHand = handedness.categoryName === 'Right';
-        const prefix = isAvatarRightHand ? 'right' : 'left';
+    const budget = document.getElementById('scheduler-budget');
+    if (budget) budget.value = schedulerSettings.budget;
+    const adaptive = document.getElementById('scheduler-adaptive');
+    if (adaptive) adaptive.checked = schedulerSettings.adaptive;
 
-        // Hand bone에 고정 회전 적용 (손바닥이 앞을 향하도록)
-        applyHandFixedRotation(prefix, factor);
+    renderSchedulerStats();
+}
 
-        // 손가락 처리 (거리 기반)
-        applyFingers(prefix, landmarks, factor);
+function renderSchedulerStats() {
+    const el = document.getElementById('scheduler-stats');
+    if (!el) return;
+    if (!detectionStats) {
+        el.textContent = 'No detections yet';
+        return;
+    }
 
-        if (shouldLog && i === 0) {
-            lastDebugTime = now;
-        }
+    const { inferenceTime, interval, handsActive, frameTime, budget, degradeLevel } = detectionStats;
+    const row = (label, model, active = true) =>
+        `${label.padEnd(6)}${inferenceTime[model].toFixed(1).padStart(6)} ms  every ${interval[model]}${active ? '' : ' (idle)'}`;
+    const lines = [
+        row('Face', 'face'),
+        row('Pose', 'pose'),
+        row('Hands', 'hands', handsActive),
+        `Frame ${frameTime.toFixed(1).padStart(6)} ms  / ${budget} ms${degradeLevel > 0 ? `  (degraded ×${degradeLevel})` : ''}`
+    ];
+    // Worker 모드: Worker 측에서 측정한 프레임 전체 추론 시간
+    if (inferenceMode === 'worker') lines.push(`Worker${workerInferenceTime.toFixed(1).padStart(6)} ms`);
+    el.textContent = lines.join('\n');
+}
+
+function setupDetectionScheduler() {
+    for (const model of ['face', 'pose', 'hands']) {
+        const select = document.getElementById(`scheduler-${model}`);
+        if (!select) continue;
+        select.addEventListener('change', () => {
+            const value = select.value === 'auto' ? 'auto' : parseInt(select.value, 10);
+            setSchedulerSettings({ [model]: value });
+        });
+    }
+
+    const budget = document.getElementById('scheduler-budget');
+    if (budget) {
+        budget.addEventListener('change', () => {
+            const value = parseFloat(budget.value);
+            if (Number.isFinite(value) && value > 0) setSchedulerSettings({ budget: value });
+        });
     }
+
+    const adaptive = document.getElementById('scheduler-adaptive');
+    if (adaptive) {
+        adaptive.addEventListener('change', () => setSchedulerSettings({ adaptive: adaptive.checked }));
+    }
+
+    document.getElementById('scheduler-reset')?.addEventListener('click', () => {
+        setSchedulerSettings({ ...DEFAULT_SCHEDULER_SETTINGS });
+        renderSchedulerPanel();
+    });
+    document.getElementById('scheduler-close')?.addEventListener('click', () => {
+        document.getElementById('scheduler-panel')?.classList.remove('open');
+    });
 }
 
-// Hand bone에 고정 회전 적용 (손바닥이 앞을 향하도록)
-function applyHandFixedRotation(prefix, factor) {
-    if (!currentVrm) return;
+// ============================================================
+// Model Settings (delegate / pose 모델 선택 패널)
+// 모델마다 GPU → CPU 순으로 재시도하고, 일부만 로드되면 그 모델 없이 동작
+// ============================================================
+const MODEL_LABELS = { face: 'Face', pose: 'Pose', hand: 'Hands' };
 
-    const handBone = currentVrm.humanoid.getNormalizedBoneNode(prefix + 'Hand');
-    if (!handBone) return;
+function loadModelSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(MODEL_STORAGE_KEY));
+        if (stored) return { ...DEFAULT_MODEL_SETTINGS, ...stored };
+    } catch (e) {
+        console.warn('[Models] Failed to load settings:', e);
+    }
+    return { ...DEFAULT_MODEL_SETTINGS };
+}
 
-    const isRight = prefix === 'right';
+function saveModelSettings() {
+    try {
+        localStorage.setItem(MODEL_STORAGE_KEY, JSON.stringify(modelSettings));
+    } catch (e) {
+        console.warn('[Models] Failed to save settings:', e);
+    }
+}
 
-    // T-Pose에서 손바닥은 아래를 향함
-    // 손바닥이 앞(카메라)을 향하려면 X축으로 -90도 회전
-    // Y축으로 약간 안쪽 회전 추가 (팔 들었을 때 보정)
-    const yTwist = isRight ? -0.3 : 0.3;  // 약 17도 안쪽으로
+function setModelStatus(status) {
+    modelStatus = status;
 
-    const handRot = new THREE.Quaternion().setFromEuler(new THREE.Euler(
-        -Math.PI / 2,  // X축: 손바닥을 앞으로
-        yTwist,        // Y축: 약간 안쪽으로
-        0
-    ));
+    const failed = Object.keys(status).filter(model => !status[model].delegate);
+    if (failed.length > 0) {
+        console.warn(`[Models] Running without: ${failed.map(model => MODEL_LABELS[model]).join(', ')}`);
+    }
+    for (const [model, { delegate, variant }] of Object.entries(status)) {
+        if (delegate) console.log(`[Models] ${MODEL_LABELS[model]}: ${variant ? variant + ' ' : ''}on ${delegate}`);
+    }
+    renderModelStatus();
 
-    handBone.quaternion.slerp(handRot, factor * 0.3);
+    // 실제로 로드된 모델 기준으로 오프라인 캐시 갱신
+    precacheOfflineAssets();
 }
 
-// 손가락 설정 (MCP, PIP, DIP, TIP 인덱스)
-const FINGER_JOINTS = {
-    Thumb:  { mcp: 1, pip: 2, dip: 3, tip: 4 },
-    Index:  { mcp: 5, pip: 6, dip: 7, tip: 8 },
-    Middle: { mcp: 9, pip: 10, dip: 11, tip: 12 },
-    Ring:   { mcp: 13, pip: 14, dip: 15, tip: 16 },
-    Little: { mcp: 17, pip: 18, dip: 19, tip: 20 }
-};
+// 상대 경로 (./mediapipe/...)는 페이지 기준 절대 URL로 변환 (Worker에서도 같은 위치를 가리키도록)
+function resolveModelSettings() {
+    const resolve = (url) => new URL(url, document.baseURI).href.replace(/\/+$/, '');
+    return {
+        ...modelSettings,
+        wasmBaseUrl: resolve(modelSettings.wasmBaseUrl),
+        modelBaseUrl: resolve(modelSettings.modelBaseUrl)
+    };
+}
 
-// 거리 기반 손가락 처리
-function applyFingers(prefix, landmarks, factor) {
-    if (!currentVrm) return;
+function getAssetSource() {
+    return Object.keys(ASSET_SOURCES).find(source =>
+        ASSET_SOURCES[source].wasmBaseUrl === modelSettings.wasmBaseUrl
+        && ASSET_SOURCES[source].modelBaseUrl === modelSettings.modelBaseUrl
+    ) ?? 'custom';
+}
 
-    const isRight = prefix === 'right';
+// 현재 추론 모드 그대로 landmarker를 새 설정으로 다시 생성
+async function reloadLandmarkers() {
+    resetTrackingState();
+
+    if (inferenceMode === 'worker') {
+        stopTrackingWorker();
+        if (await startTrackingWorker()) return;
+        console.warn('[Inference] Worker unavailable, falling back to main thread');
+        inferenceMode = 'main';
+        saveInferenceMode();
+        updateInferenceOptions();
+    }
 
-    for (const [fingerName, config] of Object.entries(FINGER_CONFIG)) {
-        const { mcp, tip, isThumb } = config;
-        const joints = FINGER_JOINTS[fingerName];
+    if (landmarkers) closeLandmarkers(landmarkers);
+    landmarkers = null;
+    await setupMainThreadLandmarkers();
+}
 
-        // 각 관절 위치
-        const mcpPos = new THREE.Vector3(landmarks[joints.mcp].x, landmarks[joints.mcp].y, landmarks[joints.mcp].z);
-        const pipPos = new THREE.Vector3(landmarks[joints.pip].x, landmarks[joints.pip].y, landmarks[joints.pip].z);
-        const dipPos = new THREE.Vector3(landmarks[joints.dip].x, landmarks[joints.dip].y, landmarks[joints.dip].z);
-        const tipPos = new THREE.Vector3(landmarks[joints.tip].x, landmarks[joints.tip].y, landmarks[joints.tip].z);
-
-        // 각 세그먼트의 실제 길이 (굽혀도 변하지 않음)
-        const seg1 = mcpPos.distanceTo(pipPos);  // MCP-PIP
-        const seg2 = pipPos.distanceTo(dipPos);  // PIP-DIP
-        const seg3 = dipPos.distanceTo(tipPos);  // DIP-TIP
-        const totalLength = seg1 + seg2 + seg3;  // 손가락 전체 길이 (고정)
-
-        // MCP에서 TIP까지 직선 거리 (굽히면 줄어듦)
-        const straightDist = mcpPos.distanceTo(tipPos);
-
-        // Curl: 직선 거리 / 전체 길이
-        // 펴진 상태: straightDist ≈ totalLength → curl ≈ 0
-        // 굽힌 상태: straightDist << totalLength → curl → 1
-        let curl = 1 - (straightDist / totalLength);
-        curl = THREE.MathUtils.clamp(curl, 0, 1);
-
-        // curl 값 증폭 (더 민감하게)
-        curl = Math.pow(curl, 0.7) * 1.5;
-        curl = THREE.MathUtils.clamp(curl, 0, 1);
-
-        // 각 관절에 curl 적용
-        if (isThumb) {
-            applyThumbCurl(prefix, curl, factor);
-        } else {
-            applyFingerCurl(prefix, fingerName, curl, factor);
-        }
+function toggleModelPanel() {
+    if (toggleSettingsPanel('model-panel')) renderModelPanel();
+}
+
+function getModelFields() {
+    return {
+        delegate: document.getElementById('model-delegate'),
+        poseVariant: document.getElementById('model-pose'),
+        wasmBaseUrl: document.getElementById('model-wasm-url'),
+        modelBaseUrl: document.getElementById('model-base-url')
+    };
+}
+
+function renderModelPanel() {
+    for (const [key, field] of Object.entries(getModelFields())) {
+        if (field) field.value = modelSettings[key];
     }
+    const source = document.getElementById('model-assets');
+    if (source) source.value = getAssetSource();
+    renderModelStatus();
 }
 
-// 일반 손가락 curl 적용
-function applyFingerCurl(prefix, fingerName, curl, factor) {
-    const boneTypes = ['Proximal', 'Intermediate', 'Distal'];
-    const isRight = prefix === 'right';
+function renderModelStatus() {
+    const el = document.getElementById('model-status');
+    if (!el) return;
+    if (!modelStatus) {
+        el.textContent = 'Loading...';
+        return;
+    }
 
-    // 각 관절의 최대 굽힘 각도
-    const maxAngles = [Math.PI * 0.45, Math.PI * 0.55, Math.PI * 0.45];
+    const lines = Object.entries(modelStatus).map(([model, { delegate, variant, error }]) => {
+        const label = MODEL_LABELS[model].padEnd(6);
+        if (!delegate) return `${label}failed: ${error}`;
+        return `${label}${delegate}${variant ? ` (${variant})` : ''}`;
+    });
+    if (offlineStatus) lines.push(`Offline ${offlineStatus}`);
+    el.textContent = lines.join('\n');
+}
 
-    boneTypes.forEach((boneType, idx) => {
-        const boneName = prefix + fingerName + boneType;
-        const bone = currentVrm.humanoid.getNormalizedBoneNode(boneName);
+function setupModelSettings() {
+    const source = document.getElementById('model-assets');
+
+    for (const [key, field] of Object.entries(getModelFields())) {
+        if (!field) continue;
+        field.addEventListener('change', () => {
+            const value = field.value.trim();
+            if (!value) return;
+            modelSettings = { ...modelSettings, [key]: value };
+            saveModelSettings();
+            if (source) source.value = getAssetSource();
+        });
+    }
 
-        if (bone) {
-            const angle = curl * maxAngles[idx];
-            const rotation = new THREE.Quaternion().setFromEuler(new THREE.Euler(
-                0,
-                0,
-                isRight ? angle : -angle
-            ));
-            bone.quaternion.slerp(rotation, factor);
-        }
+    // CDN / 자체 호스팅 (public/mediapipe) 선택 시 두 URL을 함께 변경
+    if (source) {
+        source.addEventListener('change', () => {
+            if (!ASSET_SOURCES[source.value]) return;
+            modelSettings = { ...modelSettings, ...ASSET_SOURCES[source.value] };
+            saveModelSettings();
+            renderModelPanel();
+        });
+    }
+
+    document.getElementById('model-apply')?.addEventListener('click', () => {
+        modelStatus = null;
+        renderModelStatus();
+        reloadLandmarkers();
+    });
+    document.getElementById('model-close')?.addEventListener('click', () => {
+        document.getElementById('model-panel')?.classList.remove('open');
     });
 }
 
-// 엄지 curl 적용
-function applyThumbCurl(prefix, curl, factor) {
-    const isRight = prefix === 'right';
+// ============================================================
+// Offline Cache (Service Worker)
+// public/sw.js가 앱 파일을 캐시하고, 현재 설정의 wasm/모델/VRM은 미리 내려받아 두어
+// 첫 로드 이후에는 네트워크 없이 동작 (dev 서버에서는 HMR과 충돌하므로 비활성)
+// ============================================================
+const OFFLINE_CACHE_ENABLED = 'serviceWorker' in navigator && import.meta.env.PROD;
+let offlineStatus = null;                 // 모델 패널에 표시할 캐시 상태
 
-    const proximal = currentVrm.humanoid.getNormalizedBoneNode(prefix + 'ThumbProximal');
-    const intermediate = currentVrm.humanoid.getNormalizedBoneNode(prefix + 'ThumbIntermediate');
-    const distal = currentVrm.humanoid.getNormalizedBoneNode(prefix + 'ThumbDistal');
+function setupServiceWorker() {
+    if (!OFFLINE_CACHE_ENABLED) return;
+    navigator.serviceWorker.register('./sw.js').catch((err) => {
+        console.warn('[Offline] Service worker registration failed:', err);
+    });
+}
 
-    // 엄지는 손바닥에서 비스듬히 나오므로 복합 회전 필요
-    // 손바닥이 앞을 향하는 상태에서 엄지가 손바닥 안쪽으로 접히도록
-    if (proximal) {
-        const angle = curl * Math.PI * 0.4;
-        // Y축 회전으로 손바닥 안쪽으로 접힘
-        const rotation = new THREE.Quaternion().setFromEuler(new THREE.Euler(
-            0,
-            isRight ? -angle : angle,  // Y축 회전
-            0
-        ));
-        proximal.quaternion.slerp(rotation, factor);
+function getOfflineAssetUrls() {
+    const settings = resolveModelSettings();
+    const urls = WASM_FILES
+        .filter(file => !file.includes('nosimd'))  // nosimd는 사용될 때 런타임 캐시
+        .map(file => `${settings.wasmBaseUrl}/${file}`);
+    for (const model of Object.keys(MODEL_LABELS)) {
+        urls.push(getModelUrl(model, settings));
     }
+    urls.push(new URL(AVATAR_URL, document.baseURI).href);
+    urls.push(...getAppBundleUrls());
+    return urls;
+}
 
-    if (intermediate) {
-        const angle = curl * Math.PI * 0.45;
-        const rotation = new THREE.Quaternion().setFromEuler(new THREE.Euler(
-            0,
-            isRight ? -angle : angle,
-            0
-        ));
-        intermediate.quaternion.slerp(rotation, factor);
+// 첫 방문에는 service worker가 페이지를 제어하기 전에 번들 (해시된 js / css / worker 청크)이 로드되므로 직접 캐시 요청
+function getAppBundleUrls() {
+    const urls = new Set();
+    for (const el of document.querySelectorAll('script[src], link[rel="stylesheet"], link[rel="modulepreload"]')) {
+        urls.add(el.src || el.href);
+    }
+    for (const entry of performance.getEntriesByType('resource')) {
+        urls.add(entry.name);
     }
+    return Array.from(urls).filter((url) => {
+        const parsed = new URL(url, document.baseURI);
+        return parsed.origin === location.origin && /\.(m?js|css)$/.test(parsed.pathname);
+    });
+}
 
-    if (distal) {
-        const angle = curl * Math.PI * 0.4;
-        const rotation = new THREE.Quaternion().setFromEuler(new THREE.Euler(
-            0,
-            isRight ? -angle : angle,
-            0
-        ));
-        distal.quaternion.slerp(rotation, factor);
+async function precacheOfflineAssets() {
+    if (!OFFLINE_CACHE_ENABLED) return;
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        const result = await new Promise((resolve) => {
+            const channel = new MessageChannel();
+            channel.port1.onmessage = (e) => resolve(e.data);
+            registration.active.postMessage({ type: 'precache', urls: getOfflineAssetUrls() }, [channel.port2]);
+        });
+
+        const total = result.cached + result.fetched;
+        offlineStatus = result.failed.length > 0
+            ? `${total} cached, ${result.failed.length} failed`
+            : `ready (${total} files)`;
+        if (result.failed.length > 0) {
+            console.warn('[Offline] Failed to cache:', result.failed);
+        }
+        console.log(`[Offline] ${total} assets cached (${result.fetched} downloaded)`);
+    } catch (err) {
+        offlineStatus = 'unavailable';
+        console.warn('[Offline] Precache failed:', err);
     }
+    renderModelStatus();
 }
 
 // ============================================================
@@ -2615,59 +7856,61 @@ function applyThumbCurl(prefix, curl, factor) {
 function applyBlendshapes(blendShapesData, deltaTime) {
     if (!currentVrm) return;
 
-    const factor = getLerpFactor(deltaTime, 15); // 표정은 빠르게 반응
-
+    // 평활화는 Tracking Filters (blendshapes 채널)에서 처리하므로 필터된 값을 그대로 적용
     const presetName = VRMExpressionPresetName;
     const expressions = currentVrm.expressionManager;
 
+    // 사용자별 보정 (무표정 기준값 제거 + 최대 범위 정규화)
+    blendShapesData = calibrateBlendshapes(blendShapesData);
+
     const getScore = (name) => {
         const shape = blendShapesData.categories.find(s => s.categoryName === name);
         return shape ? shape.score : 0;
     };
 
+    // Perfect Sync 아바타: 52개 블렌드쉐이프를 커스텀 표정에 1:1 적용
+    if (perfectSyncMap) {
+        applyPerfectSync(blendShapesData);
+        // eyeLook 모프가 없는 아바타는 LookAt 본으로 시선 처리
+        if (!perfectSyncMap.eyeLookOutLeft) {
+            applyEyeGaze(getScore, deltaTime);
+        }
+        expressions.update();
+        return;
+    }
+
     // ============================================================
     // 1. 입모양 (Lip Sync) - 표정과 독립적으로 동작
     // ============================================================
 
     // 입 벌림 (あ) - jawOpen을 직접 사용
-    const jawOpen = getScore('jawOpen');
-    const currentAa = expressions.getValue(presetName.Aa) ?? 0;
-    expressions.setValue(presetName.Aa, THREE.MathUtils.lerp(currentAa, jawOpen, factor));
+    expressions.setValue(presetName.Aa, getScore('jawOpen'));
 
     // 입 모으기 (う) - mouthPucker 사용
     const mouthPucker = getScore('mouthPucker');
     const mouthFunnel = getScore('mouthFunnel');
-    const ouScore = Math.max(mouthPucker, mouthFunnel * 0.7);
-    const currentOu = expressions.getValue(presetName.Ou) ?? 0;
-    expressions.setValue(presetName.Ou, THREE.MathUtils.lerp(currentOu, ouScore, factor));
+    expressions.setValue(presetName.Ou, Math.max(mouthPucker, mouthFunnel * 0.7));
 
     // 입 넓히기 (い) - mouthStretch 사용
     const mouthStretchL = getScore('mouthStretchLeft');
     const mouthStretchR = getScore('mouthStretchRight');
     const ihScore = (mouthStretchL + mouthStretchR) / 2;
-    const currentIh = expressions.getValue(presetName.Ih) ?? 0;
-    expressions.setValue(presetName.Ih, THREE.MathUtils.lerp(currentIh, ihScore * 0.5, factor));
+    expressions.setValue(presetName.Ih, ihScore * 0.5);
 
     // ============================================================
     // 2. 눈 (독립적으로 동작)
     // ============================================================
 
-    // 눈 깜빡임 - 직접 제어
+    // 눈 깜빡임 + 눈 찡그림 (웃을 때) - eyeSquint를 깜빡임에 약간 더해줌 (완전히 감지 않도록 제한)
     const blinkL = getScore('eyeBlinkLeft');
     const blinkR = getScore('eyeBlinkRight');
-    const currentBlinkL = expressions.getValue(presetName.BlinkLeft) ?? 0;
-    const currentBlinkR = expressions.getValue(presetName.BlinkRight) ?? 0;
-    expressions.setValue(presetName.BlinkLeft, THREE.MathUtils.lerp(currentBlinkL, blinkL, factor));
-    expressions.setValue(presetName.BlinkRight, THREE.MathUtils.lerp(currentBlinkR, blinkR, factor));
-
-    // 눈 찡그림 (웃을 때) - eyeSquint 사용
     const eyeSquintL = getScore('eyeSquintLeft');
     const eyeSquintR = getScore('eyeSquintRight');
-    // 눈 찡그림은 눈 깜빡임에 약간 더해줌 (완전히 감지 않도록 제한)
-    const squintBlinkL = Math.min(blinkL + eyeSquintL * 0.3, 0.8);
-    const squintBlinkR = Math.min(blinkR + eyeSquintR * 0.3, 0.8);
-    expressions.setValue(presetName.BlinkLeft, THREE.MathUtils.lerp(currentBlinkL, squintBlinkL, factor));
-    expressions.setValue(presetName.BlinkRight, THREE.MathUtils.lerp(currentBlinkR, squintBlinkR, factor));
+    expressions.setValue(presetName.BlinkLeft, Math.min(blinkL + eyeSquintL * 0.3, 0.8));
+    expressions.setValue(presetName.BlinkRight, Math.min(blinkR + eyeSquintR * 0.3, 0.8));
+
+    // 시선 (eyeLookIn/Out/Up/Down → LookAt yaw/pitch)
+    applyEyeGaze(getScore, deltaTime);
 
     // ============================================================
     // 3. 표정 (감정) - 입모양에 영향 주지 않도록 약하게 적용
@@ -2678,44 +7921,103 @@ function applyBlendshapes(blendShapesData, deltaTime) {
     const smileR = getScore('mouthSmileRight');
     const smileScore = (smileL + smileR) / 2;
     // Happy 표정은 0.3 이상일 때만, 최대 0.5까지만 적용 (입모양 우선)
-    const happyScore = smileScore > 0.3 ? Math.min(smileScore * 0.5, 0.5) : 0;
-    const currentHappy = expressions.getValue(presetName.Happy) ?? 0;
-    expressions.setValue(presetName.Happy, THREE.MathUtils.lerp(currentHappy, happyScore, factor));
+    expressions.setValue(presetName.Happy, smileScore > 0.3 ? Math.min(smileScore * 0.5, 0.5) : 0);
 
     // 슬픔 (눈썹 올림) - 약하게 적용
     const browInnerUp = getScore('browInnerUp');
     const browDownL = getScore('browDownLeft');
     const browDownR = getScore('browDownRight');
-    if (browInnerUp > 0.3) {
-        const sadScore = Math.min(browInnerUp * 0.5, 0.4);
-        const currentSad = expressions.getValue(presetName.Sad) ?? 0;
-        expressions.setValue(presetName.Sad, THREE.MathUtils.lerp(currentSad, sadScore, factor));
-    } else {
-        const currentSad = expressions.getValue(presetName.Sad) ?? 0;
-        expressions.setValue(presetName.Sad, THREE.MathUtils.lerp(currentSad, 0, factor));
-    }
+    expressions.setValue(presetName.Sad, browInnerUp > 0.3 ? Math.min(browInnerUp * 0.5, 0.4) : 0);
 
     // 화남 (눈썹 찌푸림)
     const angryScore = (browDownL + browDownR) / 2;
-    if (angryScore > 0.3) {
-        const currentAngry = expressions.getValue(presetName.Angry) ?? 0;
-        expressions.setValue(presetName.Angry, THREE.MathUtils.lerp(currentAngry, angryScore * 0.4, factor));
-    } else {
-        const currentAngry = expressions.getValue(presetName.Angry) ?? 0;
-        expressions.setValue(presetName.Angry, THREE.MathUtils.lerp(currentAngry, 0, factor));
-    }
+    expressions.setValue(presetName.Angry, angryScore > 0.3 ? angryScore * 0.4 : 0);
 
     expressions.update();
 }
 
+// ============================================================
+// 시선 (eyeLook 블렌드쉐이프 → VRM LookAt)
+// MediaPipe 블렌드쉐이프의 Left/Right는 이미 미러링된 기준이므로
+// Left 점수를 아바타 왼쪽 눈으로 그대로 사용 (Blink와 동일)
+// ============================================================
+function applyEyeGaze(getScore, deltaTime) {
+    const lookAt = currentVrm.lookAt;
+    if (!lookAt) return;
+
+    const factor = getLerpFactor(deltaTime, GAZE_LERP_SPEED);
+
+    // 좌우: 양수 = 아바타 왼쪽 (VRM yaw 기준)
+    const yawScore = ((getScore('eyeLookOutLeft') - getScore('eyeLookInLeft')) +
+                      (getScore('eyeLookInRight') - getScore('eyeLookOutRight'))) / 2;
+    // 상하: 양수 = 위
+    const pitchScore = ((getScore('eyeLookUpLeft') + getScore('eyeLookUpRight')) -
+                        (getScore('eyeLookDownLeft') + getScore('eyeLookDownRight'))) / 2;
+
+    // 눈을 감는 동안에는 eyeLook 값이 불안정하므로 이전 시선 유지
+    const blink = Math.max(getScore('eyeBlinkLeft'), getScore('eyeBlinkRight'));
+    if (blink < 0.5) {
+        // VRM pitch는 아래가 양수
+        const targetYaw = clampGazeYaw(yawScore * GAZE_YAW_RANGE);
+        const targetPitch = THREE.MathUtils.clamp(-pitchScore * GAZE_PITCH_RANGE, -gazeLimits.pitchUp, gazeLimits.pitchDown);
+        gazeYaw = THREE.MathUtils.lerp(gazeYaw, targetYaw, factor);
+        gazePitch = THREE.MathUtils.lerp(gazePitch, targetPitch, factor);
+    }
+
+    let yaw = gazeYaw;
+    let pitch = gazePitch;
+
+    // 카메라 응시 블렌드 (녹화 시 시선 맞춤 유지)
+    if (gazeCameraBlend > 0 && camera) {
+        lookAt.lookAt(camera.getWorldPosition(new THREE.Vector3()));
+        const cameraYaw = clampGazeYaw(lookAt.yaw);
+        const cameraPitch = THREE.MathUtils.clamp(lookAt.pitch, -gazeLimits.pitchUp, gazeLimits.pitchDown);
+        yaw = THREE.MathUtils.lerp(yaw, cameraYaw, gazeCameraBlend);
+        pitch = THREE.MathUtils.lerp(pitch, cameraPitch, gazeCameraBlend);
+    }
+
+    lookAt.yaw = yaw;
+    lookAt.pitch = pitch;
+}
+
+// 아바타의 LookAt range map에서 시선 한계 각도 추출 (없으면 기본값)
+// inner는 bone applier에서만 사용됨 (expression applier는 좌우 모두 outer 기준)
+function getAvatarGazeLimits(vrm) {
+    const applier = vrm.lookAt?.applier;
+    const limit = (rangeMap, fallback) => {
+        const max = rangeMap?.inputMaxValue;
+        return max > 0 ? Math.min(max, fallback) : fallback;
+    };
+    const usesInner = applier?.constructor?.type === 'bone';
+    return {
+        yawOuter: limit(applier?.rangeMapHorizontalOuter, GAZE_YAW_RANGE),
+        yawInner: usesInner ? limit(applier?.rangeMapHorizontalInner, GAZE_YAW_RANGE) : GAZE_YAW_RANGE,
+        pitchUp: limit(applier?.rangeMapVerticalUp, GAZE_PITCH_RANGE),
+        pitchDown: limit(applier?.rangeMapVerticalDown, GAZE_PITCH_RANGE)
+    };
+}
+
+// 좌우로 볼 때 한쪽 눈은 바깥 (outer), 다른 쪽 눈은 안쪽 (inner)으로 돌아가므로
+// 어느 방향이든 두 한계 중 작은 쪽까지만 (안쪽 눈이 range map 끝에 걸려 사시처럼 보이지 않도록)
+function clampGazeYaw(yaw) {
+    const limit = Math.min(gazeLimits.yawOuter, gazeLimits.yawInner);
+    return THREE.MathUtils.clamp(yaw, -limit, limit);
+}
+
+function setGazeCameraBlend(value) {
+    gazeCameraBlend = value;
+    document.querySelectorAll('.option-btn[data-gaze]').forEach(btn => {
+        btn.classList.toggle('active', parseFloat(btn.dataset.gaze) === value);
+    });
+}
+
 // ============================================================
 // 머리 회전
 // ============================================================
-function applyHeadRotation(matrix, deltaTime) {
+// 평활화는 Tracking Filters (head 채널)에서 처리하므로 필터된 회전을 그대로 적용
+function applyHeadRotation(matrix) {
     if (!currentVrm) return;
 
-    const factor = getLerpFactor(deltaTime, 10);
-
     const m = new THREE.Matrix4().fromArray(matrix.data);
     const rot = new THREE.Quaternion().setFromRotationMatrix(m);
 
@@ -2736,10 +8038,11 @@ function applyHeadRotation(matrix, deltaTime) {
 
     const head = currentVrm.humanoid.getNormalizedBoneNode('head');
     if (head) {
-        head.quaternion.slerp(mirrorRot, factor);
+        head.quaternion.copy(mirrorRot);
     }
 
-    // Neck도 약간 회전 (더 자연스러운 움직임)
+    // Neck도 약간 회전 (머리 각도의 30%, 더 자연스러운 움직임)
+    // 목도 머리와 같은 필터된 각도를 바로 따름 (지연을 늘리려면 Tracking Filters의 Head minCutoff를 낮춤)
     const neck = currentVrm.humanoid.getNormalizedBoneNode('neck');
     if (neck) {
         const neckEuler = new THREE.Euler(
@@ -2748,9 +8051,132 @@ function applyHeadRotation(matrix, deltaTime) {
             euler.z * 0.3,
             'YXZ'
         );
-        const neckRot = new THREE.Quaternion().setFromEuler(neckEuler);
-        neck.quaternion.slerp(neckRot, factor * 0.5);
+        neck.quaternion.setFromEuler(neckEuler);
+    }
+}
+
+// ============================================================
+// 머리/상체 이동 (Head/Torso Translation)
+// facialTransformationMatrix의 이동 성분 (cm, 카메라 좌표)과
+// Body tracking 시 Pose 어깨/엉덩이 중점 (정규화 이미지 좌표)으로
+// hips를 좌우/상하로 옮기고, 앞뒤 이동은 spine 기울기로 표현
+// ============================================================
+const TORSO_TRANSLATION = {
+    faceScale: { x: 0.6, y: 0.6, z: 0.8 },  // 머리 이동 (m) → 아바타 이동 비율
+    poseScale: { x: 1.0, y: 0.6 },          // 이미지 폭/높이 1.0 이동 → 아바타 이동 (m)
+    clamp: { x: 0.15, y: 0.08, z: 0.15 },   // 최대 이동 (m)
+    leanHeight: 0.45,                       // 앞뒤 이동 → 기울기 변환 기준 높이 (m)
+    recenterTime: 20,                       // 기준 위치가 현재 위치를 따라가는 시간 상수 (초)
+    speed: 8                                // 보간 속도
+};
+
+let isTorsoTranslationEnabled = true;
+let torsoBaseline = { face: null, pose: null };   // 기준 위치 (처음 감지 시 설정, 천천히 재중심)
+let torsoTarget = new THREE.Vector3();             // 목표 이동량 (아바타 월드 좌표, m)
+let torsoOffset = new THREE.Vector3();             // 보간된 현재 이동량
+let appliedTorsoOffset = null;                     // 렌더링 후 되돌릴 { hips, lean }
+
+function updateTorsoBaseline(key, current, deltaTime) {
+    if (!torsoBaseline[key]) {
+        torsoBaseline[key] = current.clone();
+    } else {
+        const alpha = 1 - Math.exp(-deltaTime / TORSO_TRANSLATION.recenterTime);
+        torsoBaseline[key].lerp(current, alpha);
+    }
+    return current.clone().sub(torsoBaseline[key]);
+}
+
+// 얼굴 위치 → 목표 이동량 (x: 미러링, z: 카메라 쪽이 +)
+function updateTorsoFromFace(matrix, deltaTime) {
+    const m = new THREE.Matrix4().fromArray(matrix.data);
+    const position = new THREE.Vector3().setFromMatrixPosition(m).multiplyScalar(0.01);  // cm → m
+    const delta = updateTorsoBaseline('face', position, deltaTime);
+
+    const { faceScale } = TORSO_TRANSLATION;
+    torsoTarget.set(-delta.x * faceScale.x, delta.y * faceScale.y, delta.z * faceScale.z);
+}
+
+// 어깨 (보이면 엉덩이 포함) 중점 → 좌우/상하 목표 이동량 (얼굴보다 몸 전체 이동에 가까움)
+function updateTorsoFromPose(landmarks, deltaTime) {
+    const points = [landmarks[11], landmarks[12]];
+    if (points.some(p => (p.visibility ?? 1.0) < VIS_THRESHOLD_OFF)) return;
+    if ((landmarks[23].visibility ?? 0) > VIS_THRESHOLD_ON && (landmarks[24].visibility ?? 0) > VIS_THRESHOLD_ON) {
+        points.push(landmarks[23], landmarks[24]);
+    }
+
+    const mid = new THREE.Vector3();
+    for (const p of points) mid.add(new THREE.Vector3(p.x, p.y, 0));
+    mid.divideScalar(points.length);
+    const delta = updateTorsoBaseline('pose', mid, deltaTime);
+
+    // 이미지 x는 미러링, y는 아래가 +
+    const { poseScale } = TORSO_TRANSLATION;
+    torsoTarget.x = -delta.x * poseScale.x;
+    torsoTarget.y = -delta.y * poseScale.y;
+}
+
+function resetTorsoTranslation() {
+    torsoBaseline = { face: null, pose: null };
+    torsoTarget.set(0, 0, 0);
+}
+
+// 트래킹 적용 후 덧씌움 (렌더링 후 removeTorsoOffset으로 되돌려 누적 방지)
+function applyTorsoOffset(deltaTime) {
+    appliedTorsoOffset = null;
+    if (!currentVrm) return;
+
+    const { clamp, leanHeight, speed } = TORSO_TRANSLATION;
+    const target = isTorsoTranslationEnabled ? torsoTarget.clone() : new THREE.Vector3();
+    target.x = THREE.MathUtils.clamp(target.x, -clamp.x, clamp.x);
+    target.y = THREE.MathUtils.clamp(target.y, -clamp.y, clamp.y);
+    target.z = THREE.MathUtils.clamp(target.z, -clamp.z, clamp.z);
+    target.multiplyScalar(1 - idleWeight);  // idle 중에는 중앙으로 복귀
+
+    // 완전히 idle이면 기준 위치를 버리고 트래킹 복귀 시 다시 잡음 (자리를 옮긴 경우 튀지 않도록)
+    if (idleWeight >= 1) resetTorsoTranslation();
+
+    torsoOffset.lerp(target, getLerpFactor(deltaTime, speed));
+    if (torsoOffset.lengthSq() < 1e-8) return;
+
+    const hips = currentVrm.humanoid.getNormalizedBoneNode('hips');
+    const spine = currentVrm.humanoid.getNormalizedBoneNode('spine');
+    appliedTorsoOffset = {};
+
+    // 좌우/상하: hips 이동 (월드 방향 → 부모 로컬)
+    if (hips) {
+        const parentInverse = getParentWorldQuaternion(hips).invert();
+        const move = new THREE.Vector3(torsoOffset.x, torsoOffset.y, 0).applyQuaternion(parentInverse);
+        hips.position.add(move);
+        appliedTorsoOffset.hips = move;
+    }
+
+    // 앞뒤: spine을 X축으로 기울임 (앉은 자세에서 몸을 숙이는 동작)
+    if (spine) {
+        const angle = Math.atan2(torsoOffset.z, leanHeight);
+        const parentWorld = getParentWorldQuaternion(spine);
+        const lean = parentWorld.clone().invert()
+            .multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), angle))
+            .multiply(parentWorld);
+        spine.quaternion.premultiply(lean);
+        appliedTorsoOffset.lean = lean;
     }
 }
 
+function removeTorsoOffset() {
+    if (!appliedTorsoOffset || !currentVrm) return;
+
+    const hips = currentVrm.humanoid.getNormalizedBoneNode('hips');
+    const spine = currentVrm.humanoid.getNormalizedBoneNode('spine');
+    if (hips && appliedTorsoOffset.hips) hips.position.sub(appliedTorsoOffset.hips);
+    if (spine && appliedTorsoOffset.lean) spine.quaternion.premultiply(appliedTorsoOffset.lean.invert());
+    appliedTorsoOffset = null;
+}
+
+function setTorsoTranslationEnabled(enabled) {
+    isTorsoTranslationEnabled = enabled;
+    document.querySelectorAll('.option-btn[data-torso]').forEach(btn => {
+        btn.classList.toggle('active', (btn.dataset.torso === 'on') === enabled);
+    });
+}
+
 init();
@@ -0,0 +1,282 @@
+import { FilesetResolver, FaceLandmarker, PoseLandmarker, HandLandmarker } from '@mediapipe/tasks-vision';
+
+// ============================================================
+// MediaPipe Landmarkers (메인 스레드 / tracking-worker.js 공용)
+// ============================================================
+// wasm / 모델 위치: CDN (기본) 또는 앱과 같은 origin의 자체 호스팅 사본
+// (npm run assets:mediapipe 로 public/mediapipe/ 에 내려받음)
+// 빌드 시 VITE_MEDIAPIPE_WASM_URL / VITE_MEDIAPIPE_MODEL_URL 로 기본값 변경 가능
+export const ASSET_SOURCES = {
+    cdn: {
+        wasmBaseUrl: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.32/wasm",
+        modelBaseUrl: "https://storage.googleapis.com/mediapipe-models"
+    },
+    local: {
+        wasmBaseUrl: "./mediapipe/wasm",
+        modelBaseUrl: "./mediapipe/models"
+    }
+};
+
+export const WASM_FILES = [
+    'vision_wasm_internal.js',
+    'vision_wasm_internal.wasm',
+    'vision_wasm_nosimd_internal.js',
+    'vision_wasm_nosimd_internal.wasm'
+];
+
+export const DEFAULT_MODEL_SETTINGS = {
+    delegate: 'auto',       // 'auto': GPU 실패 시 CPU로 재시도 / 'GPU' / 'CPU'
+    poseVariant: 'lite',    // 'lite' | 'full' | 'heavy'
+    wasmBaseUrl: import.meta.env?.VITE_MEDIAPIPE_WASM_URL || ASSET_SOURCES.cdn.wasmBaseUrl,
+    modelBaseUrl: import.meta.env?.VITE_MEDIAPIPE_MODEL_URL || ASSET_SOURCES.cdn.modelBaseUrl
+};
+
+const LANDMARKER_TASKS = {
+    face: {
+        Task: FaceLandmarker,
+        options: { outputFaceBlendshapes: true, outputFacialTransformationMatrixes: true, numFaces: 1 }
+    },
+    pose: { Task: PoseLandmarker, options: { numPoses: 1 } },
+    hand: { Task: HandLandmarker, options: { numHands: 2 } }
+};
+
+// face / pose / hand landmarker는 float16 모델만 배포됨 (int8 경로는 404)
+const MODEL_PRECISION = 'float16';
+
+// 모델 경로는 storage.googleapis.com/mediapipe-models 구조를 그대로 따름 (자체 호스팅 사본도 동일)
+export function getModelUrl(model, { poseVariant, modelBaseUrl }) {
+    const base = modelBaseUrl.replace(/\/+$/, '');
+    switch (model) {
+        case 'face':
+            return `${base}/face_landmarker/face_landmarker/${MODEL_PRECISION}/1/face_landmarker.task`;
+        case 'pose':
+            return `${base}/pose_landmarker/pose_landmarker_${poseVariant}/${MODEL_PRECISION}/1/pose_landmarker_${poseVariant}.task`;
+        case 'hand':
+            return `${base}/hand_landmarker/hand_landmarker/${MODEL_PRECISION}/1/hand_landmarker.task`;
+    }
+    throw new Error(`Unknown model: ${model}`);
+}
+
+async function fetchModelAsset(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} ${url}`);
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+// 모델 파일은 한 번만 받고 delegate 순서로 재시도 (다운로드 실패는 delegate를 바꿔도 같으므로 바로 실패 처리)
+// 모두 실패하면 landmarker 없이 상태만 반환
+async function createLandmarker(filesetResolver, model, settings, createCanvas) {
+    const { Task, options } = LANDMARKER_TASKS[model];
+    const delegates = settings.delegate === 'auto' ? ['GPU', 'CPU'] : [settings.delegate];
+    const failed = (err) => ({
+        landmarker: null,
+        status: { delegate: null, error: err ? (err.message || String(err)) : 'unknown error' }
+    });
+
+    let modelAssetBuffer;
+    try {
+        modelAssetBuffer = await fetchModelAsset(getModelUrl(model, settings));
+    } catch (err) {
+        console.warn(`[MediaPipe] ${model} model download failed:`, err);
+        return failed(err);
+    }
+
+    let lastError = null;
+    for (const delegate of delegates) {
+        try {
+            const landmarker = await Task.createFromOptions(filesetResolver, {
+                baseOptions: { modelAssetBuffer, delegate },
+                runningMode: "VIDEO",
+                ...options,
+                ...(createCanvas ? { canvas: createCanvas() } : {})
+            });
+            return { landmarker, status: { delegate, error: null } };
+        } catch (err) {
+            lastError = err;
+            console.warn(`[MediaPipe] ${model} (${delegate}) failed:`, err);
+        }
+    }
+    return failed(lastError);
+}
+
+// 모델별로 독립 생성: 일부가 실패해도 나머지로 동작 (예: face만), 전부 실패하면 throw
+// URL은 절대 경로여야 함 (Worker에서는 상대 경로가 Worker 스크립트 기준으로 해석됨)
+// createCanvas: Worker에서는 landmarker마다 OffscreenCanvas를 넘겨 GPU delegate 사용
+export async function createLandmarkers(settings = DEFAULT_MODEL_SETTINGS, { createCanvas = null } = {}) {
+    settings = { ...DEFAULT_MODEL_SETTINGS, ...settings };
+    const filesetResolver = await FilesetResolver.forVisionTasks(settings.wasmBaseUrl.replace(/\/+$/, ''));
+
+    const landmarkers = {};
+    const status = {};
+    // 순차 생성 (GPU 컨텍스트 초기화 경쟁 방지)
+    for (const model of Object.keys(LANDMARKER_TASKS)) {
+        const created = await createLandmarker(filesetResolver, model, settings, createCanvas);
+        landmarkers[model] = created.landmarker;
+        status[model] = { ...created.status, variant: model === 'pose' ? settings.poseVariant : null };
+    }
+
+    if (!landmarkers.face && !landmarkers.pose && !landmarkers.hand) {
+        throw new Error(`No landmarker could be created: ${status.face.error}`);
+    }
+    return { landmarkers, status };
+}
+
+// ============================================================
+// Detection Scheduler
+// 모델마다 N 프레임에 한 번씩 실행하고 추론 시간을 측정,
+// 프레임당 평균 추론 시간이 예산을 넘으면 주기를 자동으로 늘림 (pose → hands → face 순)
+// 건너뛴 프레임에는 해당 모델의 마지막 결과를 그대로 사용
+// ============================================================
+export const DEFAULT_SCHEDULER_SETTINGS = {
+    face: 1,          // N 프레임마다 실행
+    pose: 2,
+    hands: 'auto',    // 'auto': pose 손목이 보일 때만 매 프레임 / 숫자: N 프레임마다
+    budget: 20,       // 프레임당 평균 추론 시간 예산 (ms)
+    adaptive: true    // 예산 초과 시 주기 자동 조정
+};
+
+const SCHEDULER_MAX_INTERVAL = 6;
+const SCHEDULER_DEGRADE_ORDER = ['pose', 'hands', 'pose', 'hands', 'face', 'pose', 'hands'];
+const SCHEDULER_DEGRADE_FRAMES = 30;    // 주기를 늘린 뒤 다시 판단하기까지의 프레임 수
+const SCHEDULER_RECOVER_FRAMES = 90;    // 예산 여유가 이만큼 유지되면 주기를 한 단계 되돌림
+const SCHEDULER_RECOVER_RATIO = 0.5;    // 예산의 이 비율 아래면 여유가 있다고 판단
+const TIME_SMOOTHING = 0.1;             // 추론 시간 EMA 계수
+const WRIST_VISIBILITY = 0.5;
+const POSE_WRISTS = [15, 16];
+
+export class DetectionScheduler {
+    constructor(settings = DEFAULT_SCHEDULER_SETTINGS) {
+        this.configure(settings);
+        this.reset();
+    }
+
+    // 설정이 바뀌면 자동 조정 단계도 처음부터 다시 시작
+    configure(settings) {
+        this.settings = { ...DEFAULT_SCHEDULER_SETTINGS, ...settings };
+        this.degrade = { face: 0, pose: 0, hands: 0 };
+        this.degradeLevel = 0;
+        this.framesSinceAdjust = 0;
+        this.framesUnderBudget = 0;
+    }
+
+    reset() {
+        this.frame = 0;
+        this.lastRun = { face: -Infinity, pose: -Infinity, hands: -Infinity };
+        this.last = { face: null, pose: null, hands: null };
+        this.runs = { face: 0, pose: 0, hands: 0 };
+        this.inferenceTime = { face: 0, pose: 0, hands: 0 };
+        this.frameTime = 0;
+    }
+
+    interval(model) {
+        const base = this.settings[model] === 'auto' ? 1 : this.settings[model];
+        return Math.min(SCHEDULER_MAX_INTERVAL, base + this.degrade[model]);
+    }
+
+    isDue(model) {
+        return this.frame - this.lastRun[model] >= this.interval(model);
+    }
+
+    wristsVisible() {
+        const landmarks = this.last.pose?.landmarks?.[0];
+        return !!landmarks && POSE_WRISTS.some(i => (landmarks[i]?.visibility ?? 0) > WRIST_VISIBILITY);
+    }
+
+    run(model, landmarker, source, timestamp) {
+        const start = performance.now();
+        this.last[model] = landmarker.detectForVideo(source, timestamp);
+        const elapsed = performance.now() - start;
+
+        // 첫 실행은 GPU 워밍업이 포함되므로 측정에서 제외
+        if (this.runs[model] > 0) {
+            this.inferenceTime[model] += (elapsed - this.inferenceTime[model]) * TIME_SMOOTHING;
+        }
+        this.runs[model]++;
+        this.lastRun[model] = this.frame;
+        return this.runs[model] > 1 ? elapsed : 0;
+    }
+
+    // 추론 실행 (결과만 반환, 아바타에는 적용하지 않음)
+    // stale: 이번 프레임에 건너뛰어 이전 결과를 재사용한 모델 (세션 기록 / 보정 샘플링에서 중복 제외)
+    detect(landmarkers, source, timestamp, bodyTracking) {
+        const results = {
+            timestamp,
+            bodyTracking,
+            face: null,
+            hands: null,
+            pose: null,
+            stale: { face: false, hands: false, pose: false }
+        };
+        let cost = 0;
+
+        // 1. Detect Face
+        if (landmarkers.face) {
+            if (this.isDue('face')) cost += this.run('face', landmarkers.face, source, timestamp);
+            else results.stale.face = true;
+            results.face = this.last.face;
+        }
+
+        // 2. Body Tracking이 활성화된 경우에만 Pose/Hand 추론 (hands 'auto'는 pose 결과를 보고 판단)
+        if (bodyTracking) {
+            if (landmarkers.pose) {
+                if (this.isDue('pose')) cost += this.run('pose', landmarkers.pose, source, timestamp);
+                else results.stale.pose = true;
+                results.pose = this.last.pose;
+            }
+            if (landmarkers.hand) {
+                const onDemand = this.settings.hands === 'auto' && landmarkers.pose;
+                if (onDemand && !this.wristsVisible()) {
+                    this.last.hands = null;
+                } else if (this.isDue('hands')) {
+                    cost += this.run('hands', landmarkers.hand, source, timestamp);
+                } else {
+                    results.stale.hands = true;
+                }
+                results.hands = this.last.hands;
+            }
+        } else {
+            this.last.pose = null;
+            this.last.hands = null;
+        }
+
+        this.frame++;
+        this.adapt(cost);
+        return results;
+    }
+
+    adapt(cost) {
+        this.frameTime += (cost - this.frameTime) * TIME_SMOOTHING;
+        this.framesSinceAdjust++;
+        this.framesUnderBudget = this.frameTime < this.settings.budget * SCHEDULER_RECOVER_RATIO
+            ? this.framesUnderBudget + 1
+            : 0;
+        if (!this.settings.adaptive) return;
+
+        if (this.frameTime > this.settings.budget && this.framesSinceAdjust >= SCHEDULER_DEGRADE_FRAMES
+            && this.degradeLevel < SCHEDULER_DEGRADE_ORDER.length) {
+            this.degrade[SCHEDULER_DEGRADE_ORDER[this.degradeLevel++]]++;
+            this.framesSinceAdjust = 0;
+        } else if (this.framesUnderBudget >= SCHEDULER_RECOVER_FRAMES && this.degradeLevel > 0) {
+            this.degrade[SCHEDULER_DEGRADE_ORDER[--this.degradeLevel]]--;
+            this.framesSinceAdjust = 0;
+            this.framesUnderBudget = 0;
+        }
+    }
+
+    getStats() {
+        return {
+            inferenceTime: { ...this.inferenceTime },
+            interval: { face: this.interval('face'), pose: this.interval('pose'), hands: this.interval('hands') },
+            handsActive: this.last.hands !== null,
+            frameTime: this.frameTime,
+            budget: this.settings.budget,
+            degradeLevel: this.degradeLevel
+        };
+    }
+}
+
+export function closeLandmarkers(landmarkers) {
+    for (const landmarker of Object.values(landmarkers)) {
+        if (landmarker) landmarker.close();
+    }
+}
@@ -0,0 +1,108 @@
+// ============================================================
+// Service Worker (오프라인 동작)
+// - 페이지/앱 파일 (같은 origin): network-first, 오프라인이면 캐시
+// - wasm / .task 모델 / VRM: cache-first (버전이 URL에 포함되어 내용이 바뀌지 않음)
+// - main.js가 { type: 'precache', urls } 메시지로 현재 설정의 wasm/모델/VRM과 앱 번들 (js/css)을 미리 캐시
+// ============================================================
+const CACHE_NAME = 'prismic-eagle-v1';
+const APP_SHELL = ['./', './index.html'];
+const IMMUTABLE_ASSET = /\.(wasm|task|vrm)$/;
+const ASSET_HOSTS = ['cdn.jsdelivr.net', 'storage.googleapis.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+function isImmutableAsset(url) {
+    return IMMUTABLE_ASSET.test(url.pathname) || ASSET_HOSTS.includes(url.hostname);
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (err) {
+        // 쿼리 (?replay= 등)가 달라도 같은 페이지로 응답
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            const shell = await caches.match('./index.html');
+            if (shell) return shell;
+        }
+        throw err;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || request.headers.has('range')) return;
+
+    const url = new URL(request.url);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+
+    if (isImmutableAsset(url)) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+// 캐시에 없는 URL만 내려받고 결과를 MessagePort로 회신
+async function precache(urls) {
+    const cache = await caches.open(CACHE_NAME);
+    const result = { cached: 0, fetched: 0, failed: [] };
+
+    for (const url of urls) {
+        try {
+            if (await cache.match(url)) {
+                result.cached++;
+                continue;
+            }
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            await cache.put(url, response);
+            result.fetched++;
+        } catch {
+            result.failed.push(url);
+        }
+    }
+    return result;
+}
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    if (!message || message.type !== 'precache') return;
+
+    const reply = event.ports[0];
+    event.waitUntil(
+        precache(message.urls).then(result => reply && reply.postMessage(result))
+    );
+});
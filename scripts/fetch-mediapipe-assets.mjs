@@ -0,0 +1,68 @@
+// MediaPipe wasm / 모델을 public/mediapipe/ 에 내려받아 앱과 같은 origin에서 제공 (오프라인용)
+// 사용법: npm run assets:mediapipe [-- --force]
+//   wasm  → node_modules/@mediapipe/tasks-vision/wasm 에서 복사 (설치된 버전과 일치)
+//   모델  → storage.googleapis.com/mediapipe-models 와 같은 경로 구조로 저장
+import { mkdir, copyFile, writeFile, access } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ASSET_SOURCES, WASM_FILES, getModelUrl } from '../mediapipe.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const wasmSource = join(root, 'node_modules/@mediapipe/tasks-vision/wasm');
+const outputDir = join(root, 'public/mediapipe');
+
+const force = process.argv.includes('--force');
+
+async function exists(path) {
+    try {
+        await access(path);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+async function copyWasm() {
+    await mkdir(join(outputDir, 'wasm'), { recursive: true });
+    for (const file of WASM_FILES) {
+        await copyFile(join(wasmSource, file), join(outputDir, 'wasm', file));
+        console.log(`[wasm] ${file}`);
+    }
+}
+
+async function downloadModels() {
+    const cdnBase = ASSET_SOURCES.cdn.modelBaseUrl;
+    const models = [
+        { model: 'face' },
+        { model: 'hand' },
+        { model: 'pose', poseVariant: 'lite' },
+        { model: 'pose', poseVariant: 'full' },
+        { model: 'pose', poseVariant: 'heavy' }
+    ];
+
+    let failed = 0;
+    for (const { model, poseVariant } of models) {
+        const url = getModelUrl(model, { poseVariant, modelBaseUrl: cdnBase });
+        const target = join(outputDir, 'models', url.slice(cdnBase.length));
+        if (!force && await exists(target)) {
+            console.log(`[model] ${url.slice(cdnBase.length + 1)} (cached)`);
+            continue;
+        }
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            // 나머지 모델은 계속 받음 (앱은 빠진 모델 없이도 동작)
+            console.warn(`[model] ${url.slice(cdnBase.length + 1)} skipped (HTTP ${response.status})`);
+            failed++;
+            continue;
+        }
+        await mkdir(dirname(target), { recursive: true });
+        await writeFile(target, Buffer.from(await response.arrayBuffer()));
+        console.log(`[model] ${url.slice(cdnBase.length + 1)}`);
+    }
+    return failed;
+}
+
+await copyWasm();
+const failed = await downloadModels();
+console.log(`MediaPipe assets written to public/mediapipe${failed > 0 ? ` (${failed} skipped)` : ''}`);
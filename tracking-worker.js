@@ -0,0 +1,73 @@
+import { createLandmarkers, closeLandmarkers, DetectionScheduler } from './mediapipe.js';
+
+// ============================================================
+// Tracking Worker
+// 렌더 루프와 분리된 스레드에서 MediaPipe 추론 실행
+// main.js → { type: 'init', models, scheduler } / { type: 'schedule', scheduler } / { type: 'reset' }
+//           { type: 'detect', frame, timestamp, bodyTracking } / { type: 'close' }
+// main.js ← { type: 'ready', status } / { type: 'error', message } / { type: 'results', results, inferenceTime, stats }
+// ============================================================
+
+// tasks-vision은 wasm 로더를 importScripts로 읽는데, module worker에서는 TypeError가 나므로
+// self.import 폴백을 제공 (로더 스크립트를 전역에서 실행하고 ModuleFactory 노출)
+self.import = async (url) => {
+    const response = await fetch(url);
+    const code = await response.text();
+    new Function(`${code}\nself.ModuleFactory = ModuleFactory;`)();
+};
+
+let landmarkers = null;
+const scheduler = new DetectionScheduler();
+
+self.onmessage = async (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'init':
+            if (message.scheduler) scheduler.configure(message.scheduler);
+            try {
+                const created = await createLandmarkers(message.models, {
+                    createCanvas: () => new OffscreenCanvas(1, 1)
+                });
+                landmarkers = created.landmarkers;
+                self.postMessage({ type: 'ready', status: created.status });
+            } catch (err) {
+                self.postMessage({ type: 'error', message: err.message || String(err) });
+            }
+            break;
+
+        case 'detect': {
+            const { frame, timestamp, bodyTracking } = message;
+            try {
+                if (!landmarkers) return;
+                const start = performance.now();
+                const results = scheduler.detect(landmarkers, frame, timestamp, bodyTracking);
+                self.postMessage({
+                    type: 'results',
+                    results,
+                    inferenceTime: performance.now() - start,
+                    stats: scheduler.getStats()
+                });
+            } catch (err) {
+                self.postMessage({ type: 'error', message: err.message || String(err) });
+            } finally {
+                frame.close();
+            }
+            break;
+        }
+
+        case 'schedule':
+            scheduler.configure(message.scheduler);
+            break;
+
+        case 'reset':
+            scheduler.reset();
+            break;
+
+        case 'close':
+            if (landmarkers) closeLandmarkers(landmarkers);
+            landmarkers = null;
+            self.close();
+            break;
+    }
+};
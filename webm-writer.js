@@ -0,0 +1,207 @@
+// ============================================================
+// WebM Writer
+// WebCodecs 인코더 출력 (EncodedVideoChunk / EncodedAudioChunk)을 WebM 파일로 묶음
+// 모든 청크를 메모리에 모은 뒤 한 번에 기록하므로 크기를 미리 계산할 수 있음 (오프라인 내보내기용)
+// ============================================================
+const TIMECODE_SCALE = 1000000;          // 1 ms 단위 타임코드
+const MAX_CLUSTER_DURATION = 30000;      // SimpleBlock 상대 타임코드는 int16 (ms)
+
+const VIDEO_TRACK = 1;
+const AUDIO_TRACK = 2;
+
+// EBML 가변 길이 정수 (요소 크기: 항상 8바이트로 기록)
+function encodeSize(size) {
+    const bytes = new Uint8Array(8);
+    bytes[0] = 0x01;
+    let value = size;
+    for (let i = 7; i > 0; i--) {
+        bytes[i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    return bytes;
+}
+
+function encodeUint(value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return new Uint8Array(bytes);
+}
+
+function encodeFloat(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+}
+
+function encodeId(id) {
+    return encodeUint(id);
+}
+
+function concat(parts) {
+    const length = parts.reduce((sum, part) => sum + part.length, 0);
+    const out = new Uint8Array(length);
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+function element(id, data) {
+    let payload;
+    if (data instanceof Uint8Array) payload = data;
+    else if (Array.isArray(data)) payload = concat(data);
+    else if (typeof data === 'string') payload = new TextEncoder().encode(data);
+    else payload = encodeUint(data);
+    return concat([encodeId(id), encodeSize(payload.length), payload]);
+}
+
+// 큰 요소 (Segment / Cluster / SimpleBlock)는 복사 없이 조각 배열로 유지하고 Blob 생성 시 한 번만 합침
+function elementParts(id, parts) {
+    const length = parts.reduce((sum, part) => sum + part.length, 0);
+    return [encodeId(id), encodeSize(length), ...parts];
+}
+
+function floatElement(id, value) {
+    return element(id, encodeFloat(value));
+}
+
+function simpleBlock(track, relativeTime, keyFrame, data) {
+    const header = new Uint8Array(4);
+    header[0] = 0x80 | track;                               // 트랙 번호 (1바이트 vint)
+    new DataView(header.buffer).setInt16(1, relativeTime);  // 클러스터 기준 상대 시간
+    header[3] = keyFrame ? 0x80 : 0x00;
+    return elementParts(0xA3, [header, data]);
+}
+
+// Opus 코덱 정보 (인코더가 description을 주지 않을 때 직접 생성)
+function createOpusHead(channels, sampleRate) {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set(new TextEncoder().encode('OpusHead'), 0);
+    head[8] = 1;                               // version
+    head[9] = channels;
+    view.setUint16(10, 0, true);               // pre-skip
+    view.setUint32(12, sampleRate, true);
+    view.setInt16(16, 0, true);                // output gain
+    head[18] = 0;                              // channel mapping family
+    return head;
+}
+
+export class WebMWriter {
+    // video: { codec: 'V_VP8' | 'V_VP9', width, height }
+    // audio: { sampleRate, channels } (선택)
+    constructor({ video, audio = null }) {
+        this.video = video;
+        this.audio = audio;
+        this.audioCodecPrivate = null;
+        this.chunks = [];
+    }
+
+    addVideoChunk(chunk) {
+        this.addChunk(VIDEO_TRACK, chunk);
+    }
+
+    addAudioChunk(chunk, metadata) {
+        if (!this.audio) return;
+        if (!this.audioCodecPrivate && metadata?.decoderConfig?.description) {
+            this.audioCodecPrivate = new Uint8Array(metadata.decoderConfig.description);
+        }
+        this.addChunk(AUDIO_TRACK, chunk);
+    }
+
+    addChunk(track, chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        this.chunks.push({
+            track,
+            time: Math.round(chunk.timestamp / 1000),   // µs → ms
+            keyFrame: chunk.type === 'key',
+            data
+        });
+    }
+
+    // durationMs: 전체 길이 (ms)
+    finalize(durationMs) {
+        const tracks = [
+            element(0xAE, [                              // TrackEntry
+                element(0xD7, VIDEO_TRACK),              // TrackNumber
+                element(0x73C5, VIDEO_TRACK),            // TrackUID
+                element(0x83, 1),                        // TrackType: video
+                element(0x86, this.video.codec),         // CodecID
+                element(0xE0, [                          // Video
+                    element(0xB0, this.video.width),     // PixelWidth
+                    element(0xBA, this.video.height)     // PixelHeight
+                ])
+            ])
+        ];
+        if (this.audio) {
+            tracks.push(element(0xAE, [
+                element(0xD7, AUDIO_TRACK),
+                element(0x73C5, AUDIO_TRACK),
+                element(0x83, 2),                        // TrackType: audio
+                element(0x86, 'A_OPUS'),
+                element(0x63A2, this.audioCodecPrivate   // CodecPrivate
+                    ?? createOpusHead(this.audio.channels, this.audio.sampleRate)),
+                element(0xE1, [                          // Audio
+                    floatElement(0xB5, this.audio.sampleRate),
+                    element(0x9F, this.audio.channels)
+                ])
+            ]));
+        }
+
+        const segment = [
+            element(0x1549A966, [                        // Info
+                element(0x2AD7B1, TIMECODE_SCALE),
+                element(0x4D80, 'prismic-eagle'),        // MuxingApp
+                element(0x5741, 'prismic-eagle'),        // WritingApp
+                floatElement(0x4489, durationMs)         // Duration
+            ]),
+            element(0x1654AE6B, tracks),                 // Tracks
+            ...this.buildClusters()
+        ];
+
+        const header = element(0x1A45DFA3, [             // EBML
+            element(0x4286, 1),                          // EBMLVersion
+            element(0x42F7, 1),                          // EBMLReadVersion
+            element(0x42F2, 4),                          // EBMLMaxIDLength
+            element(0x42F3, 8),                          // EBMLMaxSizeLength
+            element(0x4282, 'webm'),                     // DocType
+            element(0x4287, 4),                          // DocTypeVersion
+            element(0x4285, 2)                           // DocTypeReadVersion
+        ]);
+
+        return new Blob([header, ...elementParts(0x18538067, segment)], { type: 'video/webm' });
+    }
+
+    // 비디오 키프레임마다 (또는 상대 시간 한계 전에) 새 클러스터 시작
+    buildClusters() {
+        const chunks = [...this.chunks].sort((a, b) => a.time - b.time || a.track - b.track);
+        const clusters = [];
+        let blocks = [];
+        let clusterTime = 0;
+
+        const flush = () => {
+            if (blocks.length === 0) return;
+            clusters.push(...elementParts(0x1F43B675, [element(0xE7, clusterTime), ...blocks]));
+            blocks = [];
+        };
+
+        for (const chunk of chunks) {
+            const startsCluster = blocks.length === 0
+                || (chunk.track === VIDEO_TRACK && chunk.keyFrame)
+                || chunk.time - clusterTime >= MAX_CLUSTER_DURATION;
+            if (startsCluster) {
+                flush();
+                clusterTime = chunk.time;
+            }
+            blocks.push(...simpleBlock(chunk.track, chunk.time - clusterTime, chunk.keyFrame, chunk.data));
+        }
+        flush();
+        return clusters;
+    }
+}